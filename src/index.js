@@ -1,28 +1,392 @@
 #!/usr/bin/env node
 
-import { Command } from "commander";
+import { Command, InvalidArgumentError } from "commander";
 import path from "path";
 import { logger } from "./lib/logger.js";
+import { lintInstanceApps } from "./lib/app-lint.js";
+import {
+  createDiagnostics,
+  formatBuildSummary,
+  formatDiagnostic,
+  reportDiagnostics
+} from "./lib/diagnostics.js";
+import {
+  createIgnoreRules,
+  IGNORE_FILE,
+  isIgnoredWithin
+} from "./lib/ignore.js";
 import {
   loadManifest,
   resolveInstances,
-  updateManifestDate
+  updateManifestDate,
+  validateManifestFile
 } from "./lib/manifest-loader.js";
+import { formatValidationError } from "./lib/manifest-schema.js";
+import { invalidateInstances } from "./lib/build-index.js";
+import { BUILD_REPORT_FILE, verifyBuild } from "./lib/build-report.js";
+import { getArchiveTime } from "./lib/tar-archive.js";
 import {
   generateApps,
-  cleanDist,
   packageApps,
   packageInstances
 } from "./lib/app-generator.js";
+import {
+  collectSourcePaths,
+  findAffectedInstances,
+  watchPaths
+} from "./lib/watcher.js";
 
 const program = new Command();
 
+/**
+ * Collects repeated --var key=value options into an object
+ * @param {string} value - Option value in key=value form
+ * @param {Object} previous - Values collected so far
+ * @returns {Object} Collected values
+ */
+function collectVar(value, previous) {
+  const separator = value.indexOf("=");
+  if (separator < 1) {
+    throw new InvalidArgumentError("Expected key=value.");
+  }
+  return {
+    ...previous,
+    [value.slice(0, separator)]: value.slice(separator + 1)
+  };
+}
+
+/**
+ * Parses --concurrency
+ * @param {string} value - Option value
+ * @returns {number} Positive whole number
+ */
+function parseConcurrency(value) {
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new InvalidArgumentError("Expected a whole number of at least 1.");
+  }
+  return concurrency;
+}
+
+/**
+ * Loads and checks a course's manifest, then generates and packages what
+ * changed since the last build, and prints a summary of the problems found
+ * for each instance
+ * @param {string} courseDir - Path to the course directory
+ * @param {Object} options - Build command options
+ * @param {Object} [build] - Watch mode settings
+ * @param {Function} [build.only] - Given the resolved instances, returns
+ *   the names of the instances to check for changes
+ * @param {Array<string>} [build.manifestFiles] - Filled with every manifest
+ *   file read
+ * @returns {Promise<{resolvedInstances: Map, ignore: Object,
+ *   errorCount: number}>} Resolved instances, ignore rules and the number of
+ *   errors building and packaging them
+ * @throws {Error} If the manifest is invalid or has errors
+ */
+async function buildCourse(courseDir, options, build = {}) {
+  // With --strict, every warning is recorded as an error: manifest and
+  // lint findings, and problems found while generating, such as globs that
+  // match nothing
+  const diagnostics = createDiagnostics({ strict: options.strict });
+  // Load and parse manifest
+  const manifest = loadManifest(courseDir, {
+    vars: options.var,
+    diagnostics,
+    manifestFiles: build.manifestFiles
+  });
+
+  // Resolve instance configurations
+  const resolvedInstances = resolveInstances(
+    manifest.instances,
+    manifest.spec,
+    {
+      courseDir,
+      outputDir: path.resolve(courseDir, options.outputDir || "dist"),
+      allowedSources: manifest.allowedSources,
+      diagnostics
+    }
+  );
+
+  // Content matching .jslabignore or the manifest's ignore patterns is
+  // never checked, copied or packaged
+  const ignore = createIgnoreRules(courseDir, manifest.ignore);
+
+  // Check app structure before anything is copied
+  lintInstanceApps(courseDir, resolvedInstances, diagnostics, ignore);
+
+  const diagnosticErrors = reportDiagnostics(diagnostics.items);
+  if (diagnosticErrors > 0) {
+    throw new Error(
+      `Manifest has ${diagnosticErrors} error(s) (warnings count as errors with --strict)`
+    );
+  }
+
+  logger.debug(
+    { instances: Array.from(resolvedInstances.keys()) },
+    "Resolved instances"
+  );
+
+  if (options.dryRun) {
+    logger.info("Dry run - showing configuration:");
+    for (const [instanceName, config] of resolvedInstances) {
+      console.log(`\n${instanceName}:`);
+      // Entries inherited through "extends" name the manifest they came from
+      const from = (entry) => (entry.origin ? `  (${entry.origin})` : "");
+      if (config.apps?.length > 0) {
+        console.log("  Apps:");
+        config.apps.forEach((app) =>
+          console.log(`    - ${app.source} -> ${app.destination}${from(app)}`)
+        );
+      }
+      if (config.files?.length > 0) {
+        console.log("  Files:");
+        config.files.forEach((file) =>
+          console.log(
+            `    - ${file.source} -> ${file.destination}${file.merge ? " (merge)" : ""}${from(file)}`
+          )
+        );
+      }
+      if (config.topology) {
+        console.log(`  Topology: ${Object.keys(config.topology).join(", ")}`);
+      }
+      if (config.datagens?.length > 0) {
+        console.log("  Datagens:");
+        config.datagens.forEach((datagen) =>
+          console.log(
+            `    - ${datagen.source} -> ${datagen.destination || "(no destination)"}${from(datagen)}`
+          )
+        );
+      }
+    }
+    return { resolvedInstances, ignore, errorCount: 0 };
+  }
+
+  // Generate apps, rebuilding only what changed unless --force. Problems
+  // such as missing sources are added to the diagnostics
+  const { changed, skipped } = await generateApps(
+    courseDir,
+    resolvedInstances,
+    {
+      ...options,
+      metadata: manifest.metadata,
+      vars: options.var,
+      ignore,
+      symlinks: manifest.symlinks,
+      diagnostics,
+      only: build.only?.(resolvedInstances)
+    }
+  );
+
+  // Package the rebuilt instances as tarballs if requested
+  if (options.tar) {
+    const distDir = path.join(courseDir, options.outputDir || "dist");
+    // Instances built with errors are only packaged with --keep-going
+    const failed = options.keepGoing
+      ? []
+      : changed.filter((name) =>
+          diagnostics.items.some(
+            (diagnostic) =>
+              diagnostic.severity === "error" && diagnostic.instance === name
+          )
+        );
+    const changedInstances = new Map(
+      [...resolvedInstances].filter(
+        ([name]) => changed.includes(name) && !failed.includes(name)
+      )
+    );
+    const packaging = {
+      diagnostics,
+      keepGoing: options.keepGoing,
+      concurrency: options.concurrency,
+      // Archives of the same files are identical, whenever they are built
+      mtime: getArchiveTime(manifest.metadata?.updated)
+    };
+    let unpackaged = [];
+
+    if (options.tar === "apps" || options.tar === "all") {
+      logger.info("Packaging apps as tar.gz archives");
+      unpackaged = await packageApps(
+        distDir,
+        changedInstances,
+        options.clean,
+        ignore,
+        packaging
+      );
+    }
+
+    if (options.tar === "instances" || options.tar === "all") {
+      if (unpackaged.length > 0 && !options.keepGoing) {
+        unpackaged = changed;
+      } else {
+        logger.info("Packaging instances as tar.gz archives");
+        unpackaged.push(
+          ...(await packageInstances(
+            distDir,
+            changedInstances,
+            options.clean,
+            ignore,
+            packaging
+          ))
+        );
+      }
+    }
+
+    // Instances whose archives are missing are rebuilt and packaged again
+    // by the next build
+    invalidateInstances(distDir, [...new Set([...failed, ...unpackaged])]);
+  }
+
+  const statuses = [...resolvedInstances.keys()].map((name) => ({
+    name,
+    status: skipped.includes(name)
+      ? "not built"
+      : changed.includes(name)
+        ? "built"
+        : "up to date"
+  }));
+  console.log(`\n${formatBuildSummary(diagnostics.items, statuses)}\n`);
+
+  const errorCount = diagnostics.items.filter(
+    (diagnostic) => diagnostic.severity === "error"
+  ).length;
+  return { resolvedInstances, ignore, errorCount };
+}
+
+/**
+ * Builds a course, then rebuilds it whenever its manifest or sources change.
+ * A change to a manifest or .jslabignore file checks every instance; other
+ * changes check the instances using the changed source and those whose
+ * resolved configuration changed, such as when a new file matches a glob.
+ * @param {string} courseDir - Path to the course directory
+ * @param {Object} options - Build command options
+ */
+function watchCourse(courseDir, options) {
+  const distDir = path.resolve(courseDir, options.outputDir || "dist");
+  const courseIgnoreFile = path.join(courseDir, IGNORE_FILE);
+  let manifestFiles = [path.join(courseDir, "manifest.json")];
+  let sources = new Map();
+  let configs = new Map();
+  let ignore = createIgnoreRules(courseDir);
+  let watcher = null;
+  // Changes seen while a build runs are built together once it finishes;
+  // null stands for a full check
+  let building = false;
+  let pending;
+
+  const rebuild = async (changedPaths) => {
+    const isFullCheck =
+      changedPaths === null ||
+      changedPaths.some(
+        (changed) =>
+          changed === courseIgnoreFile || manifestFiles.includes(changed)
+      );
+    const filesRead = [];
+
+    if (changedPaths) {
+      logger.info({ changed: changedPaths }, "Change detected - rebuilding");
+    }
+
+    try {
+      const result = await buildCourse(courseDir, options, {
+        manifestFiles: filesRead,
+        only: isFullCheck
+          ? undefined
+          : (resolvedInstances) => [
+              ...findAffectedInstances(changedPaths, sources),
+              ...[...resolvedInstances.keys()].filter(
+                (name) =>
+                  configs.get(name) !==
+                  JSON.stringify(resolvedInstances.get(name))
+              )
+            ]
+      });
+      ({ ignore } = result);
+      manifestFiles = filesRead;
+      sources = collectSourcePaths(courseDir, result.resolvedInstances);
+      configs = new Map(
+        [...result.resolvedInstances].map(([name, config]) => [
+          name,
+          JSON.stringify(config)
+        ])
+      );
+      if (result.errorCount > 0) {
+        logger.error(
+          { errorCount: result.errorCount },
+          "Build finished with errors; watching for changes"
+        );
+      } else {
+        logger.info(
+          "✓ Lab environment apps are up to date; watching for changes"
+        );
+      }
+    } catch (error) {
+      // Keep the last good build and wait for the next change
+      logger.error({ error: error.message }, "Failed to generate apps");
+      manifestFiles = [...new Set([...manifestFiles, ...filesRead])];
+    }
+
+    watcher?.close();
+    try {
+      watcher = watchPaths(
+        // The course directory covers everything inside it, including files
+        // that start matching a source glob
+        [courseDir, ...manifestFiles, ...sources.keys()].filter(
+          (watchPath) =>
+            watchPath === courseDir || !isInside(watchPath, courseDir)
+        ),
+        schedule,
+        {
+          exclude: (changed) =>
+            isInside(changed, distDir) ||
+            (isInside(changed, courseDir) &&
+              changed !== courseIgnoreFile &&
+              isIgnoredWithin(courseDir, changed, ignore)),
+          required: [courseDir]
+        }
+      );
+    } catch (error) {
+      // Without the course directory no change would ever be seen
+      logger.error({ error: error.message }, "Cannot watch for changes");
+      process.exit(1);
+    }
+  };
+
+  const schedule = (changedPaths) => {
+    if (building) {
+      pending =
+        pending === null || changedPaths === null
+          ? null
+          : [...new Set([...(pending || []), ...changedPaths])].sort();
+      return;
+    }
+
+    building = true;
+    rebuild(changedPaths).finally(() => {
+      building = false;
+      if (pending !== undefined) {
+        const next = pending;
+        pending = undefined;
+        schedule(next);
+      }
+    });
+  };
+
+  schedule(null);
+}
+
+function isInside(filePath, dir) {
+  return filePath === dir || filePath.startsWith(`${dir}${path.sep}`);
+}
+
 program
   .name("json2lab")
   .description(
     "Generate Splunk lab environment apps from manifest configuration"
   )
   .version("1.0.0")
+  // Keep build options such as --var from swallowing subcommand options
+  .enablePositionalOptions()
   .argument(
     "<coursedir>",
     "Path to the course directory containing manifest.json"
@@ -35,85 +399,217 @@ program
     "Package as tar.gz archives: apps, instances, or all"
   )
   .option("-v, --verbose", "Enable verbose logging", false)
+  .option(
+    "--var <key=value>",
+    "Set a ${key} manifest variable (repeatable)",
+    collectVar,
+    {}
+  )
   .option(
     "--dry-run",
     "Show what would be generated without creating files",
     false
   )
-  .action((coursedir, options) => {
+  .option("--strict", "Treat warnings as errors", false)
+  .option(
+    "-f, --force",
+    "Rebuild everything instead of only what changed",
+    false
+  )
+  .option("-w, --watch", "Rebuild when the manifest or sources change", false)
+  .option(
+    "--keep-going",
+    "Build and package later instances after one has errors",
+    false
+  )
+  .option(
+    "--concurrency <n>",
+    "Instances to build and package at once (default: one per CPU)",
+    parseConcurrency
+  )
+  .action(async (coursedir, options) => {
+    // Set log level
+    if (options.verbose) {
+      logger.level = "debug";
+    }
+
+    const courseDir = path.resolve(coursedir);
+    logger.info({ courseDir }, "Starting json2lab");
+
     try {
-      // Set log level
-      if (options.verbose) {
-        logger.level = "debug";
+      // Always update manifest date (with optional custom date); in watch
+      // mode only once, so the update doesn't trigger a rebuild
+      updateManifestDate(courseDir, options.date);
+
+      if (!options.watch) {
+        const { errorCount } = await buildCourse(courseDir, options);
+        if (errorCount > 0) {
+          throw new Error(`Build finished with ${errorCount} error(s)`);
+        }
+        logger.info("✓ Successfully generated lab environment apps");
       }
+    } catch (error) {
+      logger.error({ error: error.message }, "Failed to generate apps");
+      process.exit(1);
+    }
 
+    if (options.watch) {
+      watchCourse(courseDir, options);
+    }
+  });
+
+program
+  .command("validate")
+  .description("Validate manifest.json against the manifest schema")
+  .argument(
+    "<coursedir>",
+    "Path to the course directory containing manifest.json"
+  )
+  .option(
+    "--var <key=value>",
+    "Set a ${key} manifest variable (repeatable)",
+    collectVar,
+    {}
+  )
+  .option("--strict", "Treat warnings as errors", false)
+  .action((coursedir, options) => {
+    try {
       const courseDir = path.resolve(coursedir);
-      logger.info({ courseDir }, "Starting json2lab");
+      const diagnostics = createDiagnostics({ strict: options.strict });
+      const { manifestPath, manifest, errors } = validateManifestFile(
+        courseDir,
+        { vars: options.var, diagnostics }
+      );
 
-      // Always update manifest date (with optional custom date)
-      updateManifestDate(courseDir, options.date);
+      if (errors.length === 0) {
+        // Resolving reports selectors that don't match spec.instances and
+        // entries that read or write outside their directory
+        resolveInstances(manifest.instances, manifest.spec, {
+          courseDir,
+          allowedSources: manifest.allowedSources,
+          diagnostics
+        });
+      }
+
+      for (const diagnostic of diagnostics.items) {
+        console.log(
+          `${diagnostic.severity}: ${formatDiagnostic({ file: manifestPath, ...diagnostic })}`
+        );
+      }
+      const diagnosticErrors = diagnostics.items.filter(
+        (diagnostic) => diagnostic.severity === "error"
+      ).length;
 
-      // Always clean dist directory before generating
-      cleanDist(courseDir, options);
+      if (errors.length > 0) {
+        for (const error of errors) {
+          console.log(
+            `${error.file || manifestPath}:${formatValidationError(error)}`
+          );
+        }
+        logger.error(
+          { errorCount: errors.length },
+          "manifest.json failed validation"
+        );
+        process.exit(1);
+      }
+
+      if (diagnosticErrors > 0) {
+        logger.error(
+          { errorCount: diagnosticErrors },
+          "manifest.json failed validation"
+        );
+        process.exit(1);
+      }
 
-      // Load and parse manifest
-      const manifest = loadManifest(courseDir);
+      logger.info("✓ manifest.json is valid");
+    } catch (error) {
+      logger.error({ error: error.message }, "Failed to validate manifest");
+      process.exit(1);
+    }
+  });
 
-      // Resolve instance configurations
+program
+  .command("lint")
+  .description("Check the structure of every app the manifest uses")
+  .argument(
+    "<coursedir>",
+    "Path to the course directory containing manifest.json"
+  )
+  .option(
+    "--var <key=value>",
+    "Set a ${key} manifest variable (repeatable)",
+    collectVar,
+    {}
+  )
+  .option("--strict", "Treat findings as errors", false)
+  .action((coursedir, options) => {
+    try {
+      const courseDir = path.resolve(coursedir);
+      const manifest = loadManifest(courseDir, { vars: options.var });
       const resolvedInstances = resolveInstances(
         manifest.instances,
-        manifest.spec
+        manifest.spec,
+        { courseDir, allowedSources: manifest.allowedSources }
       );
 
-      logger.debug(
-        { instances: Array.from(resolvedInstances.keys()) },
-        "Resolved instances"
+      const diagnostics = createDiagnostics();
+      const findingCount = lintInstanceApps(
+        courseDir,
+        resolvedInstances,
+        diagnostics,
+        createIgnoreRules(courseDir, manifest.ignore)
       );
 
-      if (options.dryRun) {
-        logger.info("Dry run - showing configuration:");
-        for (const [instanceName, config] of resolvedInstances) {
-          console.log(`\n${instanceName}:`);
-          if (config.apps?.length > 0) {
-            console.log("  Apps:");
-            config.apps.forEach((app) => console.log(`    - ${app}`));
-          }
-          if (config.files?.length > 0) {
-            console.log("  Files:");
-            config.files.forEach((file) =>
-              console.log(`    - ${file.source} -> ${file.destination}`)
-            );
-          }
-          if (config.datagen) {
-            console.log("  Datagen:", config.datagen);
-          }
+      // Group findings by instance, in instance order
+      for (const instanceName of resolvedInstances.keys()) {
+        const findings = diagnostics.items.filter(
+          (finding) => finding.instance === instanceName
+        );
+        if (findings.length === 0) continue;
+
+        console.log(`\n${instanceName}:`);
+        for (const finding of findings) {
+          console.log(`  ${finding.message} [${finding.code}]`);
         }
-        return;
       }
 
-      // Generate apps
-      generateApps(courseDir, resolvedInstances, options);
+      if (findingCount > 0 && options.strict) {
+        logger.error({ findingCount }, "App lint failed");
+        process.exit(1);
+      }
 
-      // Package as tarballs if requested
-      if (options.tar) {
-        const distDir = path.join(courseDir, options.outputDir || "dist");
+      logger.info({ findingCount }, "✓ App lint completed");
+    } catch (error) {
+      logger.error({ error: error.message }, "Failed to lint apps");
+      process.exit(1);
+    }
+  });
 
-        if (options.tar === "apps" || options.tar === "all") {
-          logger.info("Packaging apps as tar.gz archives");
-          packageApps(distDir, resolvedInstances, options.clean);
-        }
+program
+  .command("verify")
+  .description(`Re-hash a build and compare it with its ${BUILD_REPORT_FILE}`)
+  .argument("<dist>", "Path to the dist directory of a build")
+  .action((dist) => {
+    try {
+      const { checked, problems } = verifyBuild(path.resolve(dist));
 
-        if (options.tar === "instances" || options.tar === "all") {
-          logger.info("Packaging instances as tar.gz archives");
-          packageInstances(distDir, resolvedInstances, options.clean);
-        }
+      for (const { path: problemPath, problem } of problems) {
+        console.log(`  ${problem}: ${problemPath}`);
       }
 
-      logger.info("✓ Successfully generated lab environment apps");
+      if (problems.length > 0) {
+        logger.error(
+          { checked, problemCount: problems.length },
+          "Build does not match its report"
+        );
+        process.exit(1);
+      }
+
+      logger.info({ checked }, "✓ Build matches its report");
     } catch (error) {
-      logger.error({ error: error.message }, "Failed to generate apps");
+      logger.error({ error: error.message }, "Failed to verify build");
       process.exit(1);
     }
   });
 
-program.parse();
+await program.parseAsync();
@@ -1,15 +1,79 @@
-import fs from "fs";
+import fsp from "fs/promises";
 import path from "path";
-import { execSync } from "child_process";
 import { logger } from "./logger.js";
+import { DEFAULT_CONCURRENCY, mapConcurrent } from "./concurrency.js";
+import { formatConf, mergeConf } from "./conf-file.js";
+import { buildDatagenRunner, describeDatagen } from "./datagen-runner.js";
+import { expandEntries, isGlob } from "./glob.js";
+import {
+  createSourceHasher,
+  hashFileAsync,
+  hashValue,
+  JSLAB_VERSION,
+  readBuildIndex,
+  writeBuildIndex
+} from "./build-index.js";
+import {
+  describeFile,
+  readBuildReport,
+  recordArchives,
+  writeBuildReport
+} from "./build-report.js";
+import { createIgnoreRules } from "./ignore.js";
+import {
+  createTemplateContext,
+  isTemplate,
+  renderTemplate,
+  renderedName
+} from "./template.js";
+import { createSymlinkPolicy } from "./symlinks.js";
+import { getArchiveTime, writeTarGz } from "./tar-archive.js";
+import { TOPOLOGY_APP } from "./topology.js";
+
+// Where instances are written while they are built, before they are moved
+// into dist in manifest order
+const STAGING_DIR = ".jslab-staging";
 
 /**
- * Generates Splunk apps in the dist directory based on manifest configuration
+ * Generates Splunk apps in the dist directory based on manifest configuration.
+ *
+ * Builds are incremental: an index in dist records a hash of the inputs of
+ * every output (each app directory, system/ and datagen/), and only outputs
+ * whose inputs changed are rewritten. Instances and outputs the manifest no
+ * longer produces are removed. Without a usable index, or with options.force,
+ * dist is wiped and everything is rebuilt.
+ *
+ * The build report, dist/jslab-build.json, lists every file written, with
+ * its source and checksum.
+ *
+ * Instances are built concurrently into a staging directory in dist, then
+ * moved into place, with their log messages and problems, in manifest
+ * order, so the result doesn't depend on which instance finishes first.
+ * Each source is read and hashed once, however many instances use it.
  * @param {string} courseDir - Path to the course directory
  * @param {Map} resolvedInstances - Map of instance names to their configurations
  * @param {Object} options - Generation options
+ * @param {Object} [options.metadata] - Manifest metadata, for templates
+ * @param {Object} [options.vars] - Values passed with --var, for templates
+ * @param {Object} [options.ignore] - Rules from createIgnoreRules(); defaults
+ *   to the course's .jslabignore
+ * @param {boolean} [options.force] - Rebuild everything
+ * @param {Array<string>} [options.only] - Instances to check for changes;
+ *   other instances built before are left as they are
+ * @param {string} [options.tar] - Packaging mode the outputs are built for
+ * @param {boolean} [options.clean] - Whether packaging removes directories
+ * @param {Object} [options.diagnostics] - Collector from createDiagnostics()
+ *   for missing sources, template errors and other problems
+ * @param {boolean} [options.keepGoing] - Build later instances after an
+ *   instance has errors
+ * @param {string} [options.symlinks] - How symlinks inside copied directories
+ *   are handled, from SYMLINK_POLICIES
+ * @param {number} [options.concurrency] - Most instances built at once
+ * @returns {Promise<{changed: Array<string>, skipped: Array<string>}>} Names
+ *   of the instances that were (re)built, for packaging, and of those left
+ *   as they were because an earlier instance had errors
  */
-export function generateApps(courseDir, resolvedInstances, options = {}) {
+export async function generateApps(courseDir, resolvedInstances, options = {}) {
   const distDir = path.join(courseDir, options.outputDir || "dist");
 
   logger.info(
@@ -17,99 +81,737 @@ export function generateApps(courseDir, resolvedInstances, options = {}) {
     "Starting app generation"
   );
 
-  // Create dist directory
-  if (!fs.existsSync(distDir)) {
-    fs.mkdirSync(distDir, { recursive: true });
+  // Packaging removes or replaces directories, so a different mode starts over
+  const settings = {
+    jslab: JSLAB_VERSION,
+    tar: options.tar || null,
+    clean: Boolean(options.clean),
+    symlinks: options.symlinks || "follow"
+  };
+  const previous = options.force ? null : readBuildIndex(distDir);
+  // The report lists files of unchanged instances too, so without it
+  // everything is rebuilt
+  const previousReport = previous ? readBuildReport(distDir) : null;
+  const isReusable =
+    previousReport !== null &&
+    hashValue(previous.settings) === hashValue(settings);
+
+  if (!isReusable) {
+    await cleanDist(courseDir, options);
+  }
+  const previousInstances = isReusable
+    ? Object.fromEntries(
+        Object.entries(previous.instances).map(([name, hashes]) => [
+          name,
+          { hashes, ...previousReport.instances[name] }
+        ])
+      )
+    : {};
+
+  // Create dist directory, and drop what an interrupted build left staged
+  const stagingDir = path.join(distDir, STAGING_DIR);
+  await fsp.mkdir(distDir, { recursive: true });
+  await fsp.rm(stagingDir, { recursive: true, force: true });
+
+  for (const instanceName of Object.keys(previousInstances)) {
+    if (!resolvedInstances.has(instanceName)) {
+      logger.info(
+        { instance: instanceName },
+        `Removing ${instanceName}, which is no longer in the manifest`
+      );
+      await removeOutput(distDir, instanceName);
+    }
+  }
+
+  const instanceNames = [...resolvedInstances.keys()];
+  const ignore = options.ignore || createIgnoreRules(courseDir);
+  const hashSource = createSourceHasher(
+    createSymlinkPolicy(courseDir, settings.symlinks)
+  );
+  const instances = {};
+  const changed = [];
+  const skipped = [];
+  let failedInstance = null;
+
+  const manifestPath = path.join(courseDir, "manifest.json");
+  const { courseId, slug, updated } = options.metadata || {};
+  const report = {
+    jslab: JSLAB_VERSION,
+    manifest: {
+      sha256: (await exists(manifestPath))
+        ? await hashFileAsync(manifestPath)
+        : null
+    },
+    metadata: { courseId, slug, updated },
+    instances: {},
+    // Archives of instances and outputs that are rebuilt are dropped below;
+    // packaging adds them again
+    archives: isReusable
+      ? Object.fromEntries(
+          Object.entries(previousReport.archives).filter(([archive]) =>
+            resolvedInstances.has(
+              archive.split("/")[0].replace(/\.tar\.gz$/, "")
+            )
+          )
+        )
+      : {}
+  };
+
+  // Builds one instance into the staging directory
+  let hasErrors = false;
+  const stageInstance = async (instanceName) => {
+    const previousInstance = previousInstances[instanceName];
+    if (
+      options.only &&
+      !options.only.includes(instanceName) &&
+      previousInstance
+    ) {
+      return { unchecked: true };
+    }
+
+    const problems = createProblemReporter(options.diagnostics, instanceName);
+    const context = createTemplateContext(instanceName, instanceNames, options);
+    // Templates that fail to render and symlinks that are not copied are
+    // retried on the next build
+    let writeFailed = false;
+    const retry = () => {
+      writeFailed = true;
+    };
+    const render = createRenderer(context, problems, retry);
+
+    const outputs = await planInstanceOutputs(
+      courseDir,
+      instanceName,
+      resolvedInstances.get(instanceName),
+      {
+        render,
+        ignore,
+        problems,
+        retry,
+        hashSource,
+        distDir,
+        // Rendered output depends on the instance's template values too;
+        // environment variables are left out, so changing one a template
+        // uses needs --force
+        templateValues: { ...context, env: undefined }
+      }
+    );
+    const staged = await writeInstanceOutputs(
+      courseDir,
+      distDir,
+      path.join(stagingDir, instanceName),
+      instanceName,
+      outputs,
+      previousInstance,
+      problems
+    );
+    hasErrors ||= problems.errorCount > 0;
+    return { problems, staged, writeFailed };
+  };
+
+  // Without keepGoing, no instance is started after one has errors
+  const results = await mapConcurrent(
+    instanceNames,
+    options.concurrency || DEFAULT_CONCURRENCY,
+    stageInstance,
+    () => hasErrors && !options.keepGoing
+  );
+
+  for (const [index, instanceName] of instanceNames.entries()) {
+    const result = results[index];
+    const previousInstance = previousInstances[instanceName];
+    const keepPrevious = () => {
+      instances[instanceName] = previousInstance.hashes;
+      report.instances[instanceName] = { files: previousInstance.files };
+    };
+
+    // Without keepGoing, instances after one with errors keep what the
+    // previous build left, even if they were built in the meantime
+    if (failedInstance || result === undefined) {
+      skipped.push(instanceName);
+      if (previousInstance) keepPrevious();
+      continue;
+    }
+    if (result.unchecked) {
+      keepPrevious();
+      continue;
+    }
+
+    result.problems.flush();
+    if (result.problems.errorCount > 0 && !options.keepGoing) {
+      failedInstance = instanceName;
+    }
+    if (result.staged === null) {
+      keepPrevious();
+      continue;
+    }
+
+    const generated = await commitInstanceOutputs(
+      distDir,
+      instanceName,
+      result.staged
+    );
+    instances[instanceName] = result.writeFailed ? {} : generated.hashes;
+    report.instances[instanceName] = { files: generated.files };
+    for (const archive of Object.keys(report.archives)) {
+      const isKept = generated.kept.some(
+        (output) =>
+          archive === `${instanceName}/${output}.tar.gz` ||
+          archive.startsWith(`${instanceName}/${output}/`)
+      );
+      if (
+        archive === `${instanceName}.tar.gz` ||
+        (archive.startsWith(`${instanceName}/`) && !isKept)
+      ) {
+        delete report.archives[archive];
+      }
+    }
+    changed.push(instanceName);
+  }
+
+  await fsp.rm(stagingDir, { recursive: true, force: true });
+  writeBuildIndex(distDir, settings, instances);
+  writeBuildReport(distDir, report);
+
+  if (skipped.length > 0) {
+    logger.warn(
+      { instance: failedInstance, skipped },
+      `Stopped after errors in ${failedInstance}; later instances were not built`
+    );
+  }
+  logger.info(
+    {
+      built: changed.length,
+      unchanged: instanceNames.length - changed.length - skipped.length,
+      skipped: skipped.length
+    },
+    "App generation completed"
+  );
+
+  return { changed, skipped };
+}
+
+/**
+ * Lists what an instance's outputs are built from, and how to write them
+ * @param {string} courseDir - Path to the course directory
+ * @param {string} instanceName - Name of the instance
+ * @param {Object} config - Resolved configuration of the instance
+ * @param {Object} build - Renderer, ignore rules, problem reporter, retry
+ *   callback, source hasher, dist directory and the template values of the
+ *   instance
+ * @returns {Promise<Map<string, Object>>} Output paths, relative to the
+ *   instance directory, mapped to { inputs, complete, writes }; an output
+ *   whose source is missing is incomplete and rebuilt every time
+ */
+async function planInstanceOutputs(courseDir, instanceName, config, build) {
+  const {
+    render,
+    ignore,
+    problems,
+    retry,
+    hashSource,
+    distDir,
+    templateValues
+  } = build;
+  const outputs = new Map();
+  const add = (output, inputs, complete, write) => {
+    const planned = outputs.get(output) || {
+      inputs: [],
+      complete: true,
+      writes: []
+    };
+    planned.inputs.push(inputs);
+    planned.complete &&= complete;
+    planned.writes.push(write);
+    outputs.set(output, planned);
+  };
+
+  // Apps
+  for (const appConfig of expandGlobs(
+    courseDir,
+    config.apps || [],
+    problems,
+    distDir
+  )) {
+    const appPath = path.resolve(courseDir, appConfig.source);
+    const appIgnore = ignore.forApp(appPath);
+    const source = /^https?:\/\//.test(appConfig.source)
+      ? null
+      : await hashSource(appPath, appIgnore);
+    const templated = Boolean(appConfig.template || source?.templated);
+
+    add(
+      `${appConfig.destination || "apps"}/${path.basename(appPath)}`,
+      {
+        entry: appConfig,
+        source: source?.hash,
+        template: templated ? templateValues : null
+      },
+      source !== null,
+      (instanceDir, record) =>
+        copyApp(courseDir, instanceDir, appConfig, instanceName, {
+          source,
+          render,
+          ignore,
+          problems,
+          retry,
+          record
+        })
+    );
+  }
+
+  // Individual files, which can merge into each other, so they are rebuilt
+  // together
+  let fileLayers;
+  for (const fileConfig of expandGlobs(
+    courseDir,
+    config.files || [],
+    problems,
+    distDir
+  )) {
+    const sourcePath = path.resolve(courseDir, fileConfig.source);
+    const source = await hashSource(sourcePath, ignore);
+    const templated = isTemplate(sourcePath, fileConfig.template);
+
+    add(
+      "system",
+      {
+        entry: fileConfig,
+        source: source?.hash,
+        template: templated ? templateValues : null
+      },
+      source !== null,
+      (instanceDir, record) => {
+        // Sources written to each output path so far, for "merge": true
+        if (!fileLayers) fileLayers = new Map();
+        return copyFile(courseDir, instanceDir, fileConfig, instanceName, {
+          source,
+          fileLayers,
+          render,
+          ignore,
+          problems,
+          record
+        });
+      }
+    );
+  }
+
+  // The cluster wiring generated from spec.topology
+  if (config.topology) {
+    add(`apps/${TOPOLOGY_APP}`, config.topology, true, (instanceDir, record) =>
+      writeTopologyApp(
+        instanceDir,
+        config.topology,
+        instanceName,
+        problems,
+        record
+      )
+    );
   }
 
-  for (const [instanceName, config] of resolvedInstances) {
-    generateInstanceApps(courseDir, distDir, instanceName, config);
+  // Datagens
+  for (const datagenConfig of expandGlobs(
+    courseDir,
+    config.datagens || [],
+    problems,
+    distDir
+  )) {
+    if (datagenConfig.source === "TBD" || !datagenConfig.source) {
+      problems.warn(
+        "datagen-placeholder",
+        "datagen placeholder found - skipping"
+      );
+      continue;
+    }
+
+    const source = await hashSource(
+      path.resolve(courseDir, datagenConfig.source),
+      ignore
+    );
+    add(
+      "datagen",
+      { entry: datagenConfig, source: source?.hash },
+      source !== null,
+      (instanceDir, record) =>
+        copyDatagen(courseDir, instanceDir, datagenConfig, instanceName, {
+          source,
+          ignore,
+          problems,
+          retry,
+          record
+        })
+    );
   }
 
-  logger.info("App generation completed");
+  return outputs;
 }
 
 /**
- * Generates apps for a specific instance
+ * Writes the outputs of one instance whose inputs changed since the build
+ * recorded in previous to a staging directory
  * @param {string} courseDir - Path to the course directory
  * @param {string} distDir - Path to the dist directory
- * @param {string} instanceName - Name of the instance (e.g., "idx1")
- * @param {Object} config - Instance configuration
+ * @param {string} stageDir - Directory to write the changed outputs to
+ * @param {string} instanceName - Name of the instance
+ * @param {Map<string, Object>} outputs - Outputs from planInstanceOutputs()
+ * @param {Object} [previous] - What the previous build recorded: { hashes }
+ *   with the input hash of each output, and { files } from its report
+ * @param {Object} problems - Reporter from createProblemReporter(), for log
+ *   messages
+ * @returns {Promise<Object|null>} Staged instance for
+ *   commitInstanceOutputs(): output paths mapped to their input hash (null
+ *   for incomplete outputs), the outputs rewritten and kept, and where each
+ *   file written came from; or null if the instance was already up to date
  */
-function generateInstanceApps(courseDir, distDir, instanceName, config) {
+async function writeInstanceOutputs(
+  courseDir,
+  distDir,
+  stageDir,
+  instanceName,
+  outputs,
+  previous,
+  problems
+) {
   const instanceDir = path.join(distDir, instanceName);
+  const hashes = Object.fromEntries(
+    [...outputs].map(([output, { inputs, complete }]) => [
+      output,
+      complete ? hashValue(inputs) : null
+    ])
+  );
+  const instanceExists = await exists(instanceDir);
+  // Packaging with --clean can leave only the instance archive
+  const isPackaged = !instanceExists && (await exists(`${instanceDir}.tar.gz`));
+  const current = new Set();
+  for (const output of Object.keys(hashes)) {
+    const outputPath = path.join(instanceDir, output);
+    if (
+      hashes[output] !== null &&
+      previous?.hashes[output] === hashes[output] &&
+      (isPackaged ||
+        (await exists(outputPath)) ||
+        (await exists(`${outputPath}.tar.gz`)))
+    ) {
+      current.add(output);
+    }
+  }
 
-  logger.info(
+  if (
+    previous &&
+    (isPackaged || instanceExists) &&
+    Object.keys(previous.hashes).length === outputs.size &&
+    current.size === outputs.size
+  ) {
+    problems.log.info(
+      { instance: instanceName },
+      `${instanceName} is up to date`
+    );
+    return null;
+  }
+
+  problems.log.info(
     { instance: instanceName },
     `Generating apps for ${instanceName}`
   );
 
-  if (!fs.existsSync(instanceDir)) {
-    fs.mkdirSync(instanceDir, { recursive: true });
+  // The outputs of an instance packaged with --clean are only in its
+  // archive, so it is rebuilt from scratch
+  if (!instanceExists) {
+    previous = null;
+    current.clear();
   }
 
-  // Process apps
-  if (config.apps && config.apps.length > 0) {
-    for (const appConfig of config.apps) {
-      copyApp(courseDir, instanceDir, appConfig, instanceName);
+  // Where each file written came from, by path within the instance, with
+  // the size and checksum of files copied as they were
+  const origins = new Map();
+  const toPosix = (from, to) =>
+    path.relative(from, to).split(path.sep).join("/");
+  const record = (filePath, origin, digest) =>
+    origins.set(toPosix(stageDir, filePath), {
+      origin:
+        origin.source === undefined
+          ? origin
+          : {
+              source: Array.isArray(origin.source)
+                ? origin.source.map((source) => toPosix(courseDir, source))
+                : toPosix(courseDir, origin.source)
+            },
+      digest
+    });
+
+  const rewritten = [];
+  const kept = [];
+  await fsp.mkdir(stageDir, { recursive: true });
+  for (const [output, { writes }] of outputs) {
+    if (current.has(output)) {
+      problems.log.debug(
+        { instance: instanceName, output },
+        `${output} is up to date`
+      );
+      kept.push(output);
+      continue;
+    }
+    rewritten.push(output);
+    for (const write of writes) {
+      await write(stageDir, record);
     }
   }
 
-  // Process individual files
-  if (config.files && config.files.length > 0) {
-    for (const fileConfig of config.files) {
-      copyFile(courseDir, instanceDir, fileConfig, instanceName);
+  return { hashes, previous, stageDir, rewritten, kept, origins };
+}
+
+/**
+ * Moves the outputs of an instance from its staging directory into dist,
+ * and removes the outputs it no longer has
+ * @param {string} distDir - Path to the dist directory
+ * @param {string} instanceName - Name of the instance
+ * @param {Object} staged - Staged instance from writeInstanceOutputs()
+ * @returns {Promise<Object>} { hashes, files, kept }: output paths mapped to
+ *   their input hash, report entries for the instance's files and the
+ *   outputs left as they were
+ */
+async function commitInstanceOutputs(distDir, instanceName, staged) {
+  const { hashes, previous, stageDir, rewritten, kept, origins } = staged;
+  const instanceDir = path.join(distDir, instanceName);
+  await fsp.mkdir(instanceDir, { recursive: true });
+
+  for (const output of Object.keys(previous?.hashes || {})) {
+    if (!(output in hashes)) {
+      logger.info(
+        { instance: instanceName, output },
+        `Removing ${output}, which is no longer in the manifest`
+      );
+      await removeOutput(instanceDir, output);
     }
   }
 
-  // Process datagen
-  if (config.datagen && config.datagen.source) {
-    for (const datagenPath of config.datagen.source) {
-      if (datagenPath === "TBD" || !datagenPath) {
-        logger.warn(
-          { instance: instanceName },
-          "datagen placeholder found - skipping"
-        );
-        continue;
+  for (const output of rewritten) {
+    await removeOutput(instanceDir, output);
+  }
+  // An output inside another one moves along with it
+  for (const output of [...rewritten].sort()) {
+    const stagedPath = path.join(stageDir, output);
+    if (!(await exists(stagedPath))) continue;
+
+    const outputPath = path.join(instanceDir, output);
+    await fsp.mkdir(path.dirname(outputPath), { recursive: true });
+    await fsp.rename(stagedPath, outputPath);
+  }
+
+  const files = Object.fromEntries(
+    Object.entries(previous?.files || {}).filter(([file]) =>
+      kept.some((output) => file.startsWith(`${output}/`))
+    )
+  );
+  for (const [file, { origin, digest }] of origins) {
+    files[file] = digest
+      ? { ...origin, ...digest }
+      : await describeFile(path.join(instanceDir, file), origin);
+  }
+
+  return { hashes, files, kept };
+}
+
+/**
+ * Checks whether a path exists, without following a final symlink
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>} True if something is at the path
+ */
+async function exists(filePath) {
+  try {
+    await fsp.lstat(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Removes an output directory or file and its archive
+ * @param {string} parentDir - Directory holding the output
+ * @param {string} output - Output path relative to parentDir
+ */
+async function removeOutput(parentDir, output) {
+  const outputPath = path.join(parentDir, output);
+  await fsp.rm(outputPath, { recursive: true, force: true });
+  await fsp.rm(`${outputPath}.tar.gz`, { force: true });
+}
+
+/**
+ * Writes the jslab_topology app generated from spec.topology
+ * @param {string} instanceDir - Path to the instance directory
+ * @param {Object} files - Generated .conf text keyed by path within the app
+ * @param {string} instanceName - Name of the instance
+ * @param {Object} problems - Reporter from createProblemReporter(), for log
+ *   messages
+ * @param {Function} record - Records each file written for the build report
+ */
+async function writeTopologyApp(
+  instanceDir,
+  files,
+  instanceName,
+  problems,
+  record
+) {
+  const appDir = path.join(instanceDir, "apps", TOPOLOGY_APP);
+  const appFiles = {
+    "default/app.conf": formatConf([
+      { name: "install", settings: { state: "enabled" } },
+      { name: "package", settings: { check_for_updates: false } },
+      {
+        name: "ui",
+        settings: { is_visible: false, label: "jslab topology" }
       }
-      copyDatagen(
-        courseDir,
-        instanceDir,
-        datagenPath,
-        config.datagen.destination,
-        instanceName
+    ]),
+    ...files
+  };
+
+  problems.log.info(
+    { instance: instanceName, app: TOPOLOGY_APP },
+    `Writing ${TOPOLOGY_APP} app`
+  );
+
+  for (const [file, content] of Object.entries(appFiles)) {
+    const filePath = path.join(appDir, file);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, content);
+    record(filePath, { generated: "spec.topology" });
+  }
+}
+
+/**
+ * Creates the reporter for problems found building or packaging an instance.
+ * It holds the instance's log messages and problems until flushed, so
+ * instances handled at the same time still report in manifest order.
+ * @param {Object} [diagnostics] - Collector from createDiagnostics()
+ * @param {string} instanceName - Name of the instance
+ * @returns {Object} Reporter: error and warn take (code, message, details),
+ *   errorCount counts the errors reported so far, log has the logger's
+ *   debug, info and warn methods, and flush() logs everything held and adds
+ *   the problems to the diagnostics
+ */
+function createProblemReporter(diagnostics, instanceName) {
+  // Log messages and problems, in the order they were reported
+  const held = [];
+  const hold = (level) => (details, message) =>
+    held.push({ level, details, message });
+  const report =
+    (severity) =>
+    (code, message, details = {}) => {
+      const item = { instance: instanceName, ...details };
+      held.push({
+        level: severity,
+        details: { code, ...item },
+        message,
+        problem: [code, message, item]
+      });
+    };
+
+  const problems = {
+    errorCount: 0,
+    log: { debug: hold("debug"), info: hold("info"), warn: hold("warn") },
+    error: (...args) => {
+      problems.errorCount++;
+      report("error")(...args);
+    },
+    // With --strict, warnings stop the build like errors do
+    warn: (...args) =>
+      diagnostics?.strict ? problems.error(...args) : report("warn")(...args),
+    flush: () => {
+      for (const { level, details, message, problem } of held.splice(0)) {
+        logger[level](details, message);
+        if (problem) diagnostics?.[level](...problem);
+      }
+    }
+  };
+  return problems;
+}
+
+/**
+ * Creates a function that renders templates for one instance, reporting
+ * placeholders it cannot resolve
+ * @param {Object} context - Values from createTemplateContext()
+ * @param {Object} problems - Reporter from createProblemReporter()
+ * @param {Function} onError - Called when a template fails to render
+ * @returns {Function} Maps (text, file) to the rendered text, or null on errors
+ */
+function createRenderer(context, problems, onError) {
+  return (text, file) => {
+    const rendered = renderTemplate(text, context);
+    for (const message of rendered.errors) {
+      problems.error(
+        "template-error",
+        `Failed to render template ${file}: ${message}`,
+        { source: file }
       );
     }
+    if (rendered.errors.length > 0) {
+      onError();
+      return null;
+    }
+    return rendered.text;
+  };
+}
+
+/**
+ * Expands source globs (e.g., "./apps/idx-*") left in an instance's entries
+ * @param {string} courseDir - Path to the course directory
+ * @param {Array<Object>} entries - Entries with a source path or glob
+ * @param {Object} problems - Reporter from createProblemReporter()
+ * @param {string} outputDir - Path to the dist directory, which globs never
+ *   match
+ * @returns {Array<Object>} Entries with globs replaced by their sorted matches
+ */
+function expandGlobs(courseDir, entries, problems, outputDir) {
+  if (!entries.some((entry) => isGlob(entry.source))) {
+    return entries;
   }
+
+  const expanded = expandEntries(courseDir, entries, { outputDir });
+  for (const pattern of expanded.unmatched) {
+    problems.warn("unmatched-glob", `Source glob ${pattern} matched nothing`, {
+      pattern
+    });
+  }
+  return expanded.entries;
 }
 
 /**
  * Copies an app directory to the instance directory
  * @param {string} courseDir - Path to the course directory
  * @param {string} instanceDir - Path to the instance directory
- * @param {Object} appConfig - App configuration with source and destination
+ * @param {Object} appConfig - App configuration with source, destination and template
  * @param {string} instanceName - Name of the instance
+ * @param {Object} copy - Copy options
+ * @param {Object|null} copy.source - Source from the source hasher, or null
+ *   when missing
+ * @param {Function} copy.render - Renders a template for this instance
+ * @param {Object} copy.ignore - Rules from createIgnoreRules()
+ * @param {Object} copy.problems - Reporter from createProblemReporter()
+ * @param {Function} copy.retry - Called when something is left out because
+ *   of an error, so the app is rebuilt next time
+ * @param {Function} copy.record - Records each file written for the build report
  */
-function copyApp(courseDir, instanceDir, appConfig, instanceName) {
+async function copyApp(courseDir, instanceDir, appConfig, instanceName, copy) {
   const appPath = appConfig.source;
   const destination = appConfig.destination || "apps";
 
   // Handle different path types
   if (appPath.startsWith("http://") || appPath.startsWith("https://")) {
-    logger.warn(
-      { instance: instanceName, url: appPath },
-      "HTTP/HTTPS app sources not yet supported"
+    copy.problems.warn(
+      "unsupported-source",
+      `HTTP/HTTPS app sources not yet supported: ${appPath}`,
+      { source: appPath }
     );
     return;
   }
 
   const resolvedAppPath = path.resolve(courseDir, appPath);
 
-  if (!fs.existsSync(resolvedAppPath)) {
-    logger.error(
-      { instance: instanceName, appPath: resolvedAppPath },
-      "App source not found"
-    );
+  if (copy.source === null) {
+    copy.problems.error("missing-source", `App source not found: ${appPath}`, {
+      source: appPath
+    });
     return;
   }
 
@@ -117,37 +819,75 @@ function copyApp(courseDir, instanceDir, appConfig, instanceName) {
   const destDir = path.join(instanceDir, destination);
   const destPath = path.join(destDir, appName);
 
-  logger.info(
+  copy.problems.log.info(
     { instance: instanceName, app: appName, destination },
     `Copying app ${appName} to ${destination}`
   );
 
-  if (!fs.existsSync(destDir)) {
-    fs.mkdirSync(destDir, { recursive: true });
-  }
+  await fsp.mkdir(destDir, { recursive: true });
 
-  copyRecursive(resolvedAppPath, destPath);
+  await copySource(copy.source, resolvedAppPath, destPath, {
+    render: copy.render,
+    all: Boolean(appConfig.template),
+    problems: copy.problems,
+    retry: copy.retry,
+    record: copy.record
+  });
 }
 
 /**
  * Copies an individual file to the instance directory
  * @param {string} courseDir - Path to the course directory
  * @param {string} instanceDir - Path to the instance directory
- * @param {Object} fileConfig - File configuration with source and destination
+ * @param {Object} fileConfig - File configuration with source, destination and merge
  * @param {string} instanceName - Name of the instance
+ * @param {Object} copy - Copy options
+ * @param {Object|null} copy.source - Source from the source hasher, or null
+ *   when missing
+ * @param {Map} copy.fileLayers - Sources already written to each destination path
+ * @param {Function} copy.render - Renders a template for this instance
+ * @param {Object} copy.ignore - Rules from createIgnoreRules()
+ * @param {Object} copy.problems - Reporter from createProblemReporter()
+ * @param {Function} copy.record - Records each file written for the build report
  */
-function copyFile(courseDir, instanceDir, fileConfig, instanceName) {
+async function copyFile(
+  courseDir,
+  instanceDir,
+  fileConfig,
+  instanceName,
+  copy
+) {
+  const { source, fileLayers, render, ignore, problems, record } = copy;
   const sourcePath = path.resolve(courseDir, fileConfig.source);
 
-  if (!fs.existsSync(sourcePath)) {
-    logger.error(
-      { instance: instanceName, source: sourcePath },
-      "File source not found"
+  if (source === null) {
+    problems.error(
+      "missing-source",
+      `File source not found: ${fileConfig.source}`,
+      { source: fileConfig.source }
     );
     return;
   }
 
-  const fileName = path.basename(sourcePath);
+  if (ignore.ignores(sourcePath)) {
+    problems.log.debug(
+      { instance: instanceName, source: fileConfig.source },
+      "Skipping ignored file"
+    );
+    return;
+  }
+
+  const isTemplated = isTemplate(sourcePath, fileConfig.template);
+  let rendered = null;
+  if (isTemplated) {
+    rendered = render(
+      await fsp.readFile(sourcePath, "utf-8"),
+      fileConfig.source
+    );
+    if (rendered === null) return;
+  }
+
+  const fileName = renderedName(path.basename(sourcePath));
   // Handle destination - if it already includes 'system/', use as-is, otherwise prepend 'system/'
   let destDir;
   if (fileConfig.destination.startsWith("system/")) {
@@ -157,7 +897,7 @@ function copyFile(courseDir, instanceDir, fileConfig, instanceName) {
   }
   const destPath = path.join(destDir, fileName);
 
-  logger.info(
+  problems.log.info(
     {
       instance: instanceName,
       file: fileName,
@@ -166,34 +906,94 @@ function copyFile(courseDir, instanceDir, fileConfig, instanceName) {
     `Copying file ${fileName}`
   );
 
-  if (!fs.existsSync(destDir)) {
-    fs.mkdirSync(destDir, { recursive: true });
+  await fsp.mkdir(destDir, { recursive: true });
+
+  const layer = {
+    source: fileConfig.source,
+    sourcePath,
+    read: async () => rendered ?? fsp.readFile(sourcePath, "utf-8")
+  };
+  const earlierLayers = fileLayers.get(destPath);
+
+  if (fileConfig.merge && earlierLayers) {
+    if (/\.(conf|meta)$/.test(fileName)) {
+      const layers = [...earlierLayers, layer];
+      fileLayers.set(destPath, layers);
+      problems.log.info(
+        { instance: instanceName, file: fileName, layers: layers.length },
+        `Merging stanzas into ${fileName}`
+      );
+      const texts = await Promise.all(
+        layers.map(async ({ source, read }) => ({ source, text: await read() }))
+      );
+      await fsp.writeFile(destPath, mergeConf(texts));
+      record(destPath, {
+        source: layers.map((merged) => merged.sourcePath)
+      });
+      return;
+    }
+    problems.warn(
+      "unsupported-merge",
+      `${fileConfig.source}: merge is only supported for .conf and .meta files - overwriting`,
+      { source: fileConfig.source }
+    );
   }
 
-  fs.copyFileSync(sourcePath, destPath);
+  fileLayers.set(destPath, [layer]);
+  if (isTemplated) {
+    await fsp.writeFile(destPath, rendered);
+  } else {
+    await fsp.copyFile(sourcePath, destPath);
+  }
+  await fsp.chmod(destPath, outputMode(destPath, source.mode));
+  record(
+    destPath,
+    { source: sourcePath },
+    isTemplated ? undefined : { size: source.size, sha256: source.sha256 }
+  );
 }
 
 /**
- * Copies a datagen script to the instance directory
+ * Copies a datagen script or folder to the instance directory, with the
+ * wrapper and unit that run the script, or the folder's entry script
  * @param {string} courseDir - Path to the course directory
  * @param {string} instanceDir - Path to the instance directory
- * @param {string} datagenPath - Relative path to the datagen script
- * @param {string} destination - Destination path for the datagen
+ * @param {Object} datagenConfig - Datagen configuration with source and destination
  * @param {string} instanceName - Name of the instance
+ * @param {Object} copy - Copy options
+ * @param {Object|null} copy.source - Source from the source hasher, or null
+ *   when missing
+ * @param {Object} copy.ignore - Rules from createIgnoreRules()
+ * @param {Object} copy.problems - Reporter from createProblemReporter()
+ * @param {Function} copy.retry - Called when something is left out because
+ *   of an error, so the datagens are rebuilt next time
+ * @param {Function} copy.record - Records each file written for the build report
  */
-function copyDatagen(
+async function copyDatagen(
   courseDir,
   instanceDir,
-  datagenPath,
-  destination,
-  instanceName
+  datagenConfig,
+  instanceName,
+  copy
 ) {
-  const sourcePath = path.resolve(courseDir, datagenPath);
+  const { source, ignore, problems, retry, record } = copy;
+  const { destination } = datagenConfig;
+  const sourcePath = path.resolve(courseDir, datagenConfig.source);
 
-  if (!fs.existsSync(sourcePath)) {
-    logger.error(
-      { instance: instanceName, source: sourcePath },
-      "Datagen source not found"
+  if (source === null) {
+    problems.error(
+      "missing-source",
+      `Datagen source not found: ${datagenConfig.source}`,
+      { source: datagenConfig.source }
+    );
+    return;
+  }
+
+  const isDirectory = Boolean(source.entries);
+  if (ignore.ignores(sourcePath, isDirectory)) {
+    problems.log.debug(
+      { instance: instanceName, source: datagenConfig.source },
+      "Skipping ignored datagen"
     );
     return;
   }
@@ -203,65 +1003,194 @@ function copyDatagen(
   const destDir = path.join(instanceDir, "datagen");
   const destPath = path.join(destDir, fileName);
 
-  logger.info(
+  problems.log.info(
     { instance: instanceName, datagen: fileName, destination },
     `Copying datagen ${fileName}`
   );
 
-  if (!fs.existsSync(destDir)) {
-    fs.mkdirSync(destDir, { recursive: true });
-  }
+  await fsp.mkdir(destDir, { recursive: true });
 
   // Copy the datagen (could be file or directory)
-  const stats = fs.statSync(sourcePath);
-  if (stats.isDirectory()) {
-    copyRecursive(sourcePath, destPath);
-  } else {
-    fs.copyFileSync(sourcePath, destPath);
-  }
+  await copySource(source, sourcePath, destPath, { problems, retry, record });
 
-  // Store metadata about where it should be deployed
+  // Store metadata about where it should be deployed, and for scripts, how
+  // they run there
   if (destination) {
     const metadataPath = path.join(destDir, "datagen-metadata.json");
-    const metadata = {
-      [fileName]: {
-        destination: destination
-      }
-    };
+    let descriptor = { destination };
 
-    // Append to existing metadata if file exists
+    // Metadata of the datagens copied before this one, appended to
     let existingMetadata = {};
-    if (fs.existsSync(metadataPath)) {
-      existingMetadata = JSON.parse(fs.readFileSync(metadataPath, "utf-8"));
+    if (await exists(metadataPath)) {
+      existingMetadata = JSON.parse(await fsp.readFile(metadataPath, "utf-8"));
+    }
+
+    const { entry } = datagenConfig;
+    if (isDirectory && !entry) {
+      problems.warn(
+        "datagen-not-run",
+        `Datagen folder ${fileName} has no entry script - no wrapper or unit written`,
+        { source: datagenConfig.source }
+      );
+    }
+    const scriptPath = isDirectory
+      ? entry && path.join(destPath, ...entry.split("/"))
+      : destPath;
+    if (scriptPath && !(await exists(scriptPath))) {
+      problems.error(
+        "missing-source",
+        `Datagen entry not found: ${entry} in ${datagenConfig.source}`,
+        { source: datagenConfig.source }
+      );
+      retry();
+      return;
+    }
+
+    if (scriptPath) {
+      descriptor = describeDatagen(
+        datagenConfig,
+        fileName,
+        isDirectory ? entry : undefined
+      );
+      const other = Object.keys(existingMetadata).find(
+        (otherName) =>
+          otherName !== fileName &&
+          existingMetadata[otherName].unit?.file === descriptor.unit.file
+      );
+      if (other) {
+        problems.error(
+          "datagen-conflict",
+          `Datagens ${other} and ${fileName} would both install ${descriptor.unit.installPath} - rename one`,
+          { source: datagenConfig.source }
+        );
+        retry();
+        return;
+      }
+
+      await fsp.chmod(scriptPath, parseInt(descriptor.mode, 8));
+
+      const runner = buildDatagenRunner(descriptor, instanceName);
+      for (const [runnerFile, text] of Object.entries(runner)) {
+        const runnerPath = path.join(destDir, runnerFile);
+        await fsp.writeFile(runnerPath, text);
+        await fsp.chmod(
+          runnerPath,
+          runnerFile === descriptor.wrapper.file ? 0o755 : 0o644
+        );
+        record(runnerPath, { generated: "datagens" });
+      }
     }
+    const metadata = { [fileName]: descriptor };
 
-    fs.writeFileSync(
+    await fsp.writeFile(
       metadataPath,
       JSON.stringify({ ...existingMetadata, ...metadata }, null, 2)
     );
+    record(metadataPath, { generated: "datagens" });
   }
 }
 
 /**
- * Recursively copies a directory
- * @param {string} src - Source directory path
- * @param {string} dest - Destination directory path
+ * Copies a file or directory from its scanned entries, rendering .tmpl files
+ * when given a renderer. Files and directories keep their permissions, and
+ * scripts are made executable as described in outputMode(); ignored entries
+ * were left out when the source was scanned.
+ * @param {Object} source - Source from the source hasher
+ * @param {string} sourcePath - Path to the source
+ * @param {string} dest - Destination path
+ * @param {Object} options - Copy options
+ * @param {Function} [options.render] - Renders a template for the instance
+ * @param {boolean} [options.all] - Render every text file, not just .tmpl files
+ * @param {Object} options.problems - Reporter from createProblemReporter(),
+ *   for symlinks that are not copied
+ * @param {Function} options.retry - Called for each symlink not copied
+ * @param {Function} options.record - Records each file written for the
+ *   build report
  */
-function copyRecursive(src, dest) {
-  const stats = fs.statSync(src);
+async function copySource(source, sourcePath, dest, options) {
+  if (!source.entries) {
+    await copySourceFile({ ...source, sourcePath }, dest, options);
+    return;
+  }
+
+  // Directories get their mode once their content is written, in case it
+  // leaves them read-only
+  const directories = [[dest, source.mode]];
+  await fsp.mkdir(dest, { recursive: true });
 
-  if (stats.isDirectory()) {
-    if (!fs.existsSync(dest)) {
-      fs.mkdirSync(dest, { recursive: true });
+  for (const entry of source.entries) {
+    const entryDest = path.join(dest, ...entry.path.split("/"));
+
+    if (entry.type === "directory") {
+      await fsp.mkdir(entryDest, { recursive: true });
+      directories.push([entryDest, entry.mode]);
+    } else if (entry.type === "link") {
+      await fsp.symlink(entry.target, entryDest);
+      options.record(entryDest, { source: entry.sourcePath });
+    } else if (entry.type === "rejected") {
+      const { code, message, details } = entry.problem;
+      options.problems.error(code, message, details);
+      options.retry();
+    } else {
+      await copySourceFile(entry, entryDest, options);
     }
+  }
 
-    const entries = fs.readdirSync(src);
-    for (const entry of entries) {
-      copyRecursive(path.join(src, entry), path.join(dest, entry));
+  for (const [dir, mode] of directories.reverse()) {
+    await fsp.chmod(dir, mode);
+  }
+}
+
+/**
+ * Copies one scanned file, rendering it if it is a template
+ * @param {Object} file - File entry from the source hasher, with sourcePath
+ * @param {string} dest - Destination path
+ * @param {Object} options - Copy options, as for copySource()
+ */
+async function copySourceFile(file, dest, options) {
+  if (options.render && isTemplate(file.sourcePath, options.all)) {
+    const content = await fsp.readFile(file.sourcePath);
+    // Binary files in an app marked "template": true are copied as-is
+    if (!content.includes(0)) {
+      const rendered = options.render(
+        content.toString("utf-8"),
+        file.sourcePath
+      );
+      if (rendered !== null) {
+        const renderedDest = renderedName(dest);
+        await fsp.writeFile(renderedDest, rendered);
+        await fsp.chmod(renderedDest, outputMode(renderedDest, file.mode));
+        options.record(renderedDest, { source: file.sourcePath });
+      }
+      return;
     }
-  } else {
-    fs.copyFileSync(src, dest);
   }
+
+  await fsp.copyFile(file.sourcePath, dest);
+  await fsp.chmod(dest, outputMode(dest, file.mode));
+  options.record(
+    dest,
+    { source: file.sourcePath },
+    { size: file.size, sha256: file.sha256 }
+  );
+}
+
+/**
+ * Permissions for a copied file: those of its source, plus execute
+ * permission for whoever can read it for shell scripts and for Python
+ * scripts in a bin/ directory, which Splunk and datagens run directly, so
+ * they don't depend on the umask of the checkout they were built from
+ * @param {string} destPath - Path the file is written to
+ * @param {number} sourceMode - Mode of the source file
+ * @returns {number} Permission bits
+ */
+function outputMode(destPath, sourceMode) {
+  const mode = sourceMode & 0o777;
+  const isScript =
+    destPath.endsWith(".sh") ||
+    (destPath.endsWith(".py") &&
+      path.basename(path.dirname(destPath)) === "bin");
+  return isScript ? mode | ((mode & 0o444) >> 2) : mode;
 }
 
 /**
@@ -269,64 +1198,92 @@ function copyRecursive(src, dest) {
  * @param {string} courseDir - Path to the course directory
  * @param {Object} options - Options with outputDir
  */
-export function cleanDist(courseDir, options = {}) {
+export async function cleanDist(courseDir, options = {}) {
   const distDir = path.join(courseDir, options.outputDir || "dist");
 
-  if (fs.existsSync(distDir)) {
+  if (await exists(distDir)) {
     logger.info({ distDir }, "Cleaning dist directory");
-    fs.rmSync(distDir, { recursive: true, force: true });
+    await fsp.rm(distDir, { recursive: true, force: true });
   }
 }
 
 /**
- * Packages apps as tar.gz archives within each instance directory
+ * Packages apps as tar.gz archives within each instance directory. The apps
+ * packaged are the ones the resolved instances copy, at whatever depth their
+ * destination puts them, plus the topology app; each archive is written
+ * next to its app and recorded in the build report with the app's source.
  * @param {string} distDir - Path to the dist directory
  * @param {Map} resolvedInstances - Map of instance names to their configurations
  * @param {boolean} removeOriginal - Whether to remove original directories after packaging
+ * @param {Object} [ignore] - Rules from createIgnoreRules() for content left
+ *   out of archives
+ * @param {Object} [options] - Packaging options
+ * @param {Object} [options.diagnostics] - Collector from createDiagnostics()
+ *   for archives that fail
+ * @param {boolean} [options.keepGoing] - Package later instances after an
+ *   archive fails
+ * @param {number} [options.concurrency] - Most instances packaged at once
+ * @param {number} [options.mtime] - Modification time recorded for every
+ *   archive entry, in seconds since the epoch; defaults to getArchiveTime()
+ * @returns {Promise<Array<string>>} Names of the instances not fully
+ *   packaged, because an archive failed or packaging stopped before them
  */
-export function packageApps(
+export async function packageApps(
   distDir,
   resolvedInstances,
-  removeOriginal = false
+  removeOriginal = false,
+  ignore = createIgnoreRules(null),
+  options = {}
 ) {
-  for (const [instanceName] of resolvedInstances) {
-    const instanceDir = path.join(distDir, instanceName);
-
-    if (!fs.existsSync(instanceDir)) continue;
-
-    // Find all app directories (excluding system, datagen, etc.)
-    const entries = fs.readdirSync(instanceDir);
+  const packaging = { ...options, removeOriginal, ignore };
+  return packageEach(
+    distDir,
+    resolvedInstances,
+    packaging,
+    async (tar, instanceName) => {
+      const instanceDir = path.join(distDir, instanceName);
+      const config = resolvedInstances.get(instanceName);
+      const apps = new Map();
 
-    for (const entry of entries) {
-      const entryPath = path.join(instanceDir, entry);
-      const stats = fs.statSync(entryPath);
-
-      // Skip non-directories and special folders
-      if (!stats.isDirectory() || ["system", "datagen"].includes(entry)) {
-        continue;
+      for (const appConfig of config.apps || []) {
+        // HTTP sources aren't copied, and globs are expanded when instances
+        // are resolved with a course directory
+        if (/^https?:\/\//.test(appConfig.source) || isGlob(appConfig.source)) {
+          continue;
+        }
+        const appName = path.basename(path.normalize(appConfig.source));
+        const appDir = path.join(
+          instanceDir,
+          appConfig.destination || "apps",
+          appName
+        );
+        if (!apps.has(appDir)) {
+          apps.set(appDir, {
+            source: path.posix.normalize(appConfig.source.replace(/\\/g, "/"))
+          });
+        }
+      }
+      if (config.topology) {
+        apps.set(path.join(instanceDir, "apps", TOPOLOGY_APP), {
+          generated: "spec.topology"
+        });
       }
 
-      // Check if this is an app directory (has subdirectories)
-      const subEntries = fs.readdirSync(entryPath);
-      const hasSubdirs = subEntries.some((sub) => {
-        const subPath = path.join(entryPath, sub);
-        return fs.statSync(subPath).isDirectory();
-      });
+      for (const [appDir, origin] of apps) {
+        // Apps whose source is missing were never copied, and apps left
+        // as they were by a build with removeOriginal are already packaged
+        const stats = await fsp.stat(appDir).catch(() => null);
+        if (!stats?.isDirectory()) continue;
 
-      if (hasSubdirs) {
-        // This is a destination folder (apps, manager-apps, etc.) - tar each app inside
-        for (const appName of subEntries) {
-          const appPath = path.join(entryPath, appName);
-          if (fs.statSync(appPath).isDirectory()) {
-            tarDirectory(entryPath, appName, instanceName, removeOriginal);
-          }
-        }
-      } else {
-        // This is an app directory at the root level - tar it
-        tarDirectory(instanceDir, entry, instanceName, removeOriginal);
+        await tar(
+          path.dirname(appDir),
+          path.basename(appDir),
+          instanceName,
+          origin
+        );
       }
     }
-  }
+  );
 }
 
 /**
@@ -334,19 +1291,134 @@ export function packageApps(
  * @param {string} distDir - Path to the dist directory
  * @param {Map} resolvedInstances - Map of instance names to their configurations
  * @param {boolean} removeOriginal - Whether to remove original directories after packaging
+ * @param {Object} [ignore] - Rules from createIgnoreRules() for content left
+ *   out of archives
+ * @param {Object} [options] - Packaging options, as for packageApps()
+ * @returns {Promise<Array<string>>} Names of the instances not packaged,
+ *   because their archive failed or packaging stopped before them
  */
-export function packageInstances(
+export async function packageInstances(
   distDir,
   resolvedInstances,
-  removeOriginal = false
+  removeOriginal = false,
+  ignore = createIgnoreRules(null),
+  options = {}
 ) {
-  for (const [instanceName] of resolvedInstances) {
-    const instanceDir = path.join(distDir, instanceName);
+  const packaging = { ...options, removeOriginal, ignore };
+  return packageEach(
+    distDir,
+    resolvedInstances,
+    packaging,
+    async (tar, instanceName) => {
+      if (!(await exists(path.join(distDir, instanceName)))) return;
 
-    if (!fs.existsSync(instanceDir)) continue;
+      await tar(distDir, instanceName, "instances");
+    }
+  );
+}
+
+/**
+ * Packages instances concurrently, then, in manifest order, reports the
+ * archives that failed, removes the directories archived with
+ * removeOriginal and records the archives in the build report
+ * @param {string} distDir - Path to the dist directory
+ * @param {Map} resolvedInstances - Map of instance names to their configurations
+ * @param {Object} packaging - Options for packageApps(), with its
+ *   removeOriginal and ignore arguments
+ * @param {Function} packageInstance - Called with (tar, instanceName), where
+ *   tar(parentDir, targetName, context, origin) archives one directory,
+ *   recording origin with the archive in the build report; returns a
+ *   promise
+ * @returns {Promise<Array<string>>} Names of the instances not fully packaged
+ */
+async function packageEach(
+  distDir,
+  resolvedInstances,
+  packaging,
+  packageInstance
+) {
+  const { removeOriginal, ignore, diagnostics, keepGoing, mtime } = packaging;
+  const archive = { mtime: mtime ?? getArchiveTime(), ignore };
+  const instanceNames = [...resolvedInstances.keys()];
+  let hasErrors = false;
+
+  const results = await mapConcurrent(
+    instanceNames,
+    packaging.concurrency || DEFAULT_CONCURRENCY,
+    async (instanceName) => {
+      const problems = createProblemReporter(diagnostics, instanceName);
+      const created = [];
+      const tar = async (parentDir, targetName, context, origin = {}) => {
+        try {
+          const archivePath = await tarDirectory(
+            parentDir,
+            targetName,
+            context,
+            archive,
+            problems
+          );
+          created.push({
+            archivePath,
+            targetPath: path.join(parentDir, targetName),
+            context,
+            origin
+          });
+        } catch (error) {
+          problems.error(
+            "package-failed",
+            `Failed to create ${targetName}.tar.gz: ${error.message}`,
+            { archive: path.join(parentDir, `${targetName}.tar.gz`) }
+          );
+        }
+      };
+
+      await packageInstance(tar, instanceName);
+      hasErrors ||= problems.errorCount > 0;
+      return { problems, created };
+    },
+    () => hasErrors && !keepGoing
+  );
+
+  const archives = [];
+  const unpackaged = [];
+  let stopped = false;
+
+  for (const [index, instanceName] of instanceNames.entries()) {
+    const result = results[index];
 
-    tarDirectory(distDir, instanceName, "instances", removeOriginal);
+    // Without keepGoing, packaging stops at the first instance that fails;
+    // archives of later instances created in the meantime are removed
+    if (stopped || result === undefined) {
+      unpackaged.push(instanceName);
+      for (const { archivePath } of result?.created || []) {
+        await fsp.rm(archivePath, { force: true });
+      }
+      continue;
+    }
+
+    result.problems.flush();
+    for (const { archivePath, targetPath, context, origin } of result.created) {
+      if (removeOriginal) {
+        await fsp.rm(targetPath, { recursive: true, force: true });
+        logger.debug(
+          { context, target: path.basename(targetPath) },
+          "Removed original directory"
+        );
+      }
+      archives.push({
+        archivePath,
+        removedDir: removeOriginal ? targetPath : null,
+        origin
+      });
+    }
+    if (result.problems.errorCount > 0) {
+      unpackaged.push(instanceName);
+      stopped = !keepGoing;
+    }
   }
+
+  await recordArchives(distDir, archives);
+  return unpackaged;
 }
 
 /**
@@ -354,33 +1426,19 @@ export function packageInstances(
  * @param {string} parentDir - Parent directory containing the target
  * @param {string} targetName - Name of the directory to tar
  * @param {string} context - Context for logging (instance name or 'instances')
- * @param {boolean} removeOriginal - Whether to remove original directory after packaging
+ * @param {Object} archive - Options for writeTarGz(): the mtime of every
+ *   entry and the ignore rules for content left out
+ * @param {Object} problems - Reporter from createProblemReporter(), for log
+ *   messages
+ * @returns {Promise<string>} Path to the archive
+ * @throws {Error} If the archive can't be written
  */
-function tarDirectory(parentDir, targetName, context, removeOriginal = false) {
-  const targetPath = path.join(parentDir, targetName);
+async function tarDirectory(parentDir, targetName, context, archive, problems) {
   const tarFile = `${targetName}.tar.gz`;
   const tarPath = path.join(parentDir, tarFile);
 
-  try {
-    // Use COPYFILE_DISABLE=1 to avoid macOS extended attributes
-    const cmd = `cd "${parentDir}" && COPYFILE_DISABLE=1 tar --format ustar -czf "${tarFile}" "${targetName}"`;
-
-    execSync(cmd, { stdio: "pipe" });
-
-    logger.info({ context, archive: tarFile }, `Created ${tarFile}`);
+  await writeTarGz(parentDir, targetName, tarPath, archive);
 
-    // Remove original directory if requested
-    if (removeOriginal) {
-      fs.rmSync(targetPath, { recursive: true, force: true });
-      logger.debug(
-        { context, target: targetName },
-        "Removed original directory"
-      );
-    }
-  } catch (error) {
-    logger.error(
-      { context, target: targetName, error: error.message },
-      `Failed to create tar archive`
-    );
-  }
+  problems.log.info({ context, archive: tarFile }, `Created ${tarFile}`);
+  return tarPath;
 }
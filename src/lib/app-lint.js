@@ -0,0 +1,171 @@
+import fs from "fs";
+import path from "path";
+import { STANZA_PATTERN, parseConf } from "./conf-file.js";
+import { createIgnoreRules, isIgnoredWithin } from "./ignore.js";
+import { listFiles } from "./list-files.js";
+import { renderedName } from "./template.js";
+
+/**
+ * Structural checks for Splunk apps before they are copied into a lab.
+ *
+ * - `missing-app-conf` - no default/app.conf
+ * - `missing-stanza` - app.conf has no [launcher], [package] or [ui] stanza
+ * - `package-id-mismatch` - [package] id differs from the app directory name
+ * - `local-directory` - the app ships a local/ directory
+ * - `local-meta` - the app ships metadata/local.meta
+ * - `empty-conf` - a .conf file has no content
+ * - `malformed-stanza` - a line starts like a stanza header but isn't one
+ */
+
+const REQUIRED_STANZAS = ["launcher", "package", "ui"];
+
+/**
+ * Checks one app directory
+ * @param {string} appPath - Path to the app directory
+ * @param {Object} [ignore] - Rules from createIgnoreRules(); ignored files are
+ *   not copied, so they are not checked
+ * @returns {Array<{code: string, message: string, file: string}>} Findings,
+ *   with file relative to the app directory
+ */
+export function lintApp(appPath, ignore = null) {
+  const findings = [];
+  const appName = path.basename(appPath);
+  const report = (code, file, message) =>
+    findings.push({ code, file, message });
+  const isShipped = (file) =>
+    !ignore || !isIgnoredWithin(appPath, path.join(appPath, file), ignore);
+
+  const confFiles = listFiles(appPath).filter(
+    (file) => renderedName(file).endsWith(".conf") && isShipped(file)
+  );
+
+  // default/app.conf.tmpl renders to default/app.conf
+  const appConf = confFiles.find(
+    (file) => renderedName(file) === "default/app.conf"
+  );
+
+  if (!appConf) {
+    report(
+      "missing-app-conf",
+      "default/app.conf",
+      "app has no default/app.conf"
+    );
+  } else {
+    const sections = parseConf(
+      fs.readFileSync(path.join(appPath, appConf), "utf-8")
+    );
+    for (const stanza of REQUIRED_STANZAS) {
+      if (!sections.some((section) => section.name === stanza)) {
+        report("missing-stanza", appConf, `app.conf has no [${stanza}] stanza`);
+      }
+    }
+
+    const id = sections
+      .find((section) => section.name === "package")
+      ?.lines.find((line) => line.key === "id")
+      ?.text.replace(/^[^=]*=\s*/, "")
+      .trim();
+    if (
+      sections.some((section) => section.name === "package") &&
+      id !== appName
+    ) {
+      report(
+        "package-id-mismatch",
+        appConf,
+        id
+          ? `[package] id "${id}" does not match the app directory "${appName}"`
+          : `[package] has no id; expected "${appName}"`
+      );
+    }
+  }
+
+  if (isDirectory(path.join(appPath, "local")) && isShipped("local")) {
+    report("local-directory", "local", "app ships a local/ directory");
+  }
+  if (
+    fs.existsSync(path.join(appPath, "metadata", "local.meta")) &&
+    isShipped("metadata/local.meta")
+  ) {
+    report(
+      "local-meta",
+      "metadata/local.meta",
+      "app ships metadata/local.meta"
+    );
+  }
+
+  for (const file of confFiles) {
+    const text = fs.readFileSync(path.join(appPath, file), "utf-8");
+
+    if (text.trim() === "") {
+      report("empty-conf", file, `${file} is empty`);
+      continue;
+    }
+
+    text.split(/\r?\n/).forEach((line, index, lines) => {
+      const isContinuation = index > 0 && /\\$/.test(lines[index - 1]);
+      if (
+        !isContinuation &&
+        /^\s*\[/.test(line) &&
+        !STANZA_PATTERN.test(line)
+      ) {
+        report(
+          "malformed-stanza",
+          file,
+          `${file}:${index + 1} malformed stanza header "${line.trim()}"`
+        );
+      }
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Lints every app resolved for each instance, checking each app directory
+ * once however many instances use it
+ * @param {string} courseDir - Path to the course directory
+ * @param {Map} resolvedInstances - Map of instance names to their configurations
+ * @param {Object} diagnostics - Collector from createDiagnostics()
+ * @param {Object} [ignore] - Rules from createIgnoreRules(); defaults to the
+ *   course's .jslabignore
+ * @returns {number} Number of findings reported
+ */
+export function lintInstanceApps(
+  courseDir,
+  resolvedInstances,
+  diagnostics,
+  ignore = createIgnoreRules(courseDir)
+) {
+  const cache = new Map();
+  let count = 0;
+
+  for (const [instanceName, config] of resolvedInstances) {
+    for (const app of config.apps || []) {
+      const appPath = path.resolve(courseDir, app.source);
+      // Missing apps and URLs are reported when copying
+      if (!isDirectory(appPath)) continue;
+
+      if (!cache.has(appPath)) {
+        cache.set(appPath, lintApp(appPath, ignore.forApp(appPath)));
+      }
+      for (const finding of cache.get(appPath)) {
+        count++;
+        diagnostics.warn(finding.code, `${app.source}: ${finding.message}`, {
+          instance: instanceName,
+          app: app.source,
+          file: path.join(appPath, finding.file)
+        });
+      }
+    }
+  }
+
+  return count;
+}
+
+function isDirectory(filePath) {
+  try {
+    return fs.statSync(filePath).isDirectory();
+  } catch {
+    return false;
+  }
+}
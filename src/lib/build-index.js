@@ -0,0 +1,233 @@
+import crypto from "crypto";
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { createSymlinkPolicy } from "./symlinks.js";
+import { TEMPLATE_SUFFIX } from "./template.js";
+
+/**
+ * The index incremental builds keep in dist: for every instance, each output
+ * (an app directory, system/, datagen/) with a hash of everything it was
+ * built from. A later build rewrites only the outputs whose hash changed and
+ * removes the ones no longer produced.
+ */
+
+export const BUILD_INDEX_FILE = ".jslab-index.json";
+const INDEX_FORMAT = 1;
+
+/**
+ * Version of jslab, from package.json
+ */
+export const JSLAB_VERSION = JSON.parse(
+  fs.readFileSync(new URL("../../package.json", import.meta.url), "utf-8")
+).version;
+
+/**
+ * Reads the index a previous build left in dist
+ * @param {string} distDir - Path to the dist directory
+ * @returns {Object|null} Index, or null when missing or unreadable
+ */
+export function readBuildIndex(distDir) {
+  try {
+    const index = JSON.parse(
+      fs.readFileSync(path.join(distDir, BUILD_INDEX_FILE), "utf-8")
+    );
+    return index.format === INDEX_FORMAT ? index : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Writes the build index to dist
+ * @param {string} distDir - Path to the dist directory
+ * @param {Object} settings - Build settings that affect every output, such
+ *   as the jslab version and packaging mode; any change forces a full build
+ * @param {Object} instances - Instance names mapped to { output: hash }
+ */
+export function writeBuildIndex(distDir, settings, instances) {
+  fs.writeFileSync(
+    path.join(distDir, BUILD_INDEX_FILE),
+    JSON.stringify({ format: INDEX_FORMAT, settings, instances }, null, 2)
+  );
+}
+
+/**
+ * Marks every output of some instances as changed, so the next build
+ * rebuilds them, such as after packaging them failed
+ * @param {string} distDir - Path to the dist directory
+ * @param {Array<string>} instanceNames - Instances to rebuild
+ */
+export function invalidateInstances(distDir, instanceNames) {
+  const index = readBuildIndex(distDir);
+  if (!index || instanceNames.length === 0) return;
+
+  for (const name of instanceNames) {
+    // Outputs stay listed, so ones the manifest drops are still removed
+    index.instances[name] = Object.fromEntries(
+      Object.keys(index.instances[name] || {}).map((output) => [output, null])
+    );
+  }
+  writeBuildIndex(distDir, index.settings, index.instances);
+}
+
+/**
+ * Hashes a JSON-serializable value
+ * @param {*} value - Value to hash
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashValue(value) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(value))
+    .digest("hex");
+}
+
+/**
+ * Creates a hasher for source files and directories that reads and hashes
+ * each path once per build, however many instances use it
+ * @param {Function} [checkLink] - Symlink check from createSymlinkPolicy();
+ *   links are followed without it
+ * @returns {Function} Maps (sourcePath, ignore) to a promise of the scanned
+ *   source, or of null when the source doesn't exist. A scanned source has
+ *   its hash, whether it is or holds a .tmpl file (templated), its mode,
+ *   size and sha256 for a file, and for a directory the entries to copy, in
+ *   order: { path, sourcePath, type, mode } for each directory, with size
+ *   and sha256 for each file, { path, sourcePath, type: "link", target } for
+ *   each link kept and { path, type: "rejected", problem } for each link not
+ *   copied, where path is relative to the source and sourcePath absolute
+ */
+export function createSourceHasher(checkLink = createSymlinkPolicy(null)) {
+  const cache = new Map();
+
+  return (sourcePath, ignore) => {
+    if (!cache.has(sourcePath)) {
+      cache.set(sourcePath, hashSource(sourcePath, ignore, checkLink));
+    }
+    return cache.get(sourcePath);
+  };
+}
+
+async function hashSource(sourcePath, ignore, checkLink) {
+  let stats;
+  try {
+    stats = await fsp.stat(sourcePath);
+  } catch {
+    return null;
+  }
+
+  if (!stats.isDirectory()) {
+    const sha256 = await hashFileAsync(sourcePath);
+    return {
+      hash: hashValue([stats.mode & 0o777, sha256]),
+      templated: sourcePath.endsWith(TEMPLATE_SUFFIX),
+      mode: stats.mode & 0o777,
+      size: stats.size,
+      sha256
+    };
+  }
+
+  // Hash each relative path with its mode and content, in a fixed order, so
+  // renames, removed files and permission changes change the hash as well
+  // as edits
+  const hash = crypto.createHash("sha256");
+  const entries = [];
+  let templated = false;
+
+  const walk = async (dir, relative) => {
+    const dirEntries = (await fsp.readdir(dir, { withFileTypes: true })).sort(
+      (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0)
+    );
+
+    for (const entry of dirEntries) {
+      const entryPath = path.join(dir, entry.name);
+      const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+      const checked = entry.isSymbolicLink()
+        ? await checkLink(entryPath)
+        : null;
+      const isDirectory = checked
+        ? checked.link.isDirectory
+        : entry.isDirectory();
+      if (ignore?.ignores(entryPath, isDirectory)) continue;
+
+      if (checked && checked.action !== "follow") {
+        // Links that are kept, or not copied, change the output only when
+        // their target does
+        hash.update(`${entryRelative}\0-> ${checked.link.target}\n`);
+        entries.push(
+          checked.action === "keep"
+            ? {
+                path: entryRelative,
+                sourcePath: entryPath,
+                type: "link",
+                target: checked.link.target
+              }
+            : {
+                path: entryRelative,
+                type: "rejected",
+                problem: checked.problem
+              }
+        );
+        continue;
+      }
+
+      const entryStats = await fsp.stat(entryPath);
+      const mode = entryStats.mode & 0o777;
+      if (isDirectory) {
+        hash.update(`${entryRelative}/\n`);
+        entries.push({
+          path: entryRelative,
+          sourcePath: entryPath,
+          type: "directory",
+          mode
+        });
+        await walk(entryPath, entryRelative);
+      } else {
+        const sha256 = await hashFileAsync(entryPath);
+        hash.update(`${entryRelative}\0${mode.toString(8)}\0${sha256}\n`);
+        entries.push({
+          path: entryRelative,
+          sourcePath: entryPath,
+          type: "file",
+          mode,
+          size: entryStats.size,
+          sha256
+        });
+        templated ||= entry.name.endsWith(TEMPLATE_SUFFIX);
+      }
+    }
+  };
+
+  await walk(sourcePath, "");
+  return {
+    hash: hash.digest("hex"),
+    templated,
+    mode: stats.mode & 0o777,
+    entries
+  };
+}
+
+/**
+ * Hashes a file's content
+ * @param {string} filePath - Path to the file
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashFile(filePath) {
+  return crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(filePath))
+    .digest("hex");
+}
+
+/**
+ * Hashes a file's content without holding it in memory
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} SHA-256 hex digest
+ */
+export async function hashFileAsync(filePath) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
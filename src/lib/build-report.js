@@ -0,0 +1,254 @@
+import crypto from "crypto";
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { BUILD_INDEX_FILE, hashFile, hashFileAsync } from "./build-index.js";
+import { listFiles } from "./list-files.js";
+import { readTarGz } from "./tar-archive.js";
+
+/**
+ * The build report, dist/jslab-build.json: which jslab version and manifest
+ * produced a build, and for every instance each file written with its
+ * source, size and SHA-256, plus the checksum of every archive, with the
+ * source of the app it holds for app archives. Symlinks kept as links are
+ * listed with their target instead.
+ *
+ * File paths are relative to the instance directory and archive paths to
+ * dist. A file or archive that packaging with --clean moved into an archive
+ * names that archive in `archive`, and is checked against its entry there.
+ */
+
+export const BUILD_REPORT_FILE = "jslab-build.json";
+
+/**
+ * Reads the report a build left in dist
+ * @param {string} distDir - Path to the dist directory
+ * @returns {Object|null} Report, or null when missing or unreadable
+ */
+export function readBuildReport(distDir) {
+  try {
+    return JSON.parse(
+      fs.readFileSync(path.join(distDir, BUILD_REPORT_FILE), "utf-8")
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Writes the build report to dist, with instances, files and archives sorted
+ * @param {string} distDir - Path to the dist directory
+ * @param {Object} report - Report to write
+ */
+export function writeBuildReport(distDir, report) {
+  const sorted = (object) =>
+    Object.fromEntries(
+      Object.entries(object).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    );
+
+  fs.writeFileSync(
+    path.join(distDir, BUILD_REPORT_FILE),
+    JSON.stringify(
+      {
+        ...report,
+        instances: sorted(
+          Object.fromEntries(
+            Object.entries(report.instances).map(([name, instance]) => [
+              name,
+              { files: sorted(instance.files) }
+            ])
+          )
+        ),
+        archives: sorted(report.archives)
+      },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+/**
+ * Describes a written file for the report
+ * @param {string} filePath - Path to the written file
+ * @param {Object} origin - Where it came from: { source } with a path, or
+ *   an array of paths for merged files, or { generated } naming the manifest
+ *   setting it was generated from
+ * @returns {Promise<Object>} Report entry with the origin, size and sha256,
+ *   or the origin and link target for a symlink
+ */
+export async function describeFile(filePath, origin) {
+  const stats = await fsp.lstat(filePath);
+  if (stats.isSymbolicLink()) {
+    return { ...origin, link: await fsp.readlink(filePath) };
+  }
+  return {
+    ...origin,
+    size: stats.size,
+    sha256: await hashFileAsync(filePath)
+  };
+}
+
+/**
+ * Adds archives created by packaging to the report in dist
+ * @param {string} distDir - Path to the dist directory
+ * @param {Array<{archivePath: string, removedDir: string|null,
+ *   origin: Object}>} archives - Archives created, each with the directory
+ *   packaging removed, if any, and where its content came from, as for
+ *   describeFile()
+ */
+export async function recordArchives(distDir, archives) {
+  const report = readBuildReport(distDir);
+  if (!report || archives.length === 0) return;
+
+  const toDistPath = (filePath) =>
+    path.relative(distDir, filePath).split(path.sep).join("/");
+  const isUnder = (distPath, dir) =>
+    distPath === dir || distPath.startsWith(`${dir}/`);
+
+  for (const { archivePath, removedDir, origin = {} } of archives) {
+    const archive = toDistPath(archivePath);
+    report.archives[archive] = await describeFile(archivePath, origin);
+
+    if (!removedDir) continue;
+    const removed = toDistPath(removedDir);
+
+    // Content already packaged into an inner archive keeps pointing at it;
+    // that archive is in turn read from this one
+    for (const [instanceName, { files }] of Object.entries(report.instances)) {
+      for (const [file, entry] of Object.entries(files)) {
+        if (isUnder(`${instanceName}/${file}`, removed)) {
+          entry.archive ??= archive;
+        }
+      }
+    }
+    for (const [otherArchive, entry] of Object.entries(report.archives)) {
+      if (isUnder(otherArchive, removed)) {
+        entry.archive ??= archive;
+      }
+    }
+  }
+
+  writeBuildReport(distDir, report);
+}
+
+/**
+ * Re-hashes a build against its report. Files and archives packaged into an
+ * archive are read and hashed from that archive.
+ * @param {string} distDir - Path to the dist directory
+ * @returns {{checked: number, problems: Array<{path: string, problem: string}>}}
+ *   Number of files and archives checked, and every path that is "missing",
+ *   "modified" (different size or hash, or a symlink with another target) or
+ *   "unexpected" (not in the report), relative to dist
+ * @throws {Error} If dist has no build report
+ */
+export function verifyBuild(distDir) {
+  const report = readBuildReport(distDir);
+  if (!report) {
+    throw new Error(`No ${BUILD_REPORT_FILE} found in ${distDir}`);
+  }
+
+  const problems = [];
+  const expected = new Set();
+  const archives = new Map();
+  let checked = 0;
+
+  // Entries of an archive by dist path, read from dist or, for an archive
+  // packaged into another one, from that archive; empty when unreadable
+  const openArchive = (archive) => {
+    if (!archives.has(archive)) {
+      const parent = report.archives[archive]?.archive;
+      let content;
+      if (parent) {
+        content = openArchive(parent).get(archive)?.content;
+      } else {
+        const archivePath = path.join(distDir, archive);
+        if (fs.statSync(archivePath, { throwIfNoEntry: false })?.isFile()) {
+          content = fs.readFileSync(archivePath);
+        }
+      }
+
+      const entries = new Map();
+      try {
+        for (const [name, entry] of content ? readTarGz(content) : []) {
+          entries.set(
+            path.posix.join(path.posix.dirname(archive), name),
+            entry
+          );
+        }
+      } catch {
+        // A damaged archive is reported as modified; its entries as missing
+      }
+      archives.set(archive, entries);
+    }
+    return archives.get(archive);
+  };
+
+  const check = (distPath, entry) => {
+    expected.add(distPath);
+    checked++;
+
+    let actual;
+    if (entry.archive) {
+      actual = openArchive(entry.archive).get(distPath);
+    } else {
+      const filePath = path.join(distDir, distPath);
+      const stats = fs.lstatSync(filePath, { throwIfNoEntry: false });
+      if (stats?.isSymbolicLink()) {
+        actual = { link: fs.readlinkSync(filePath) };
+      } else if (stats) {
+        actual = {
+          size: stats.isFile() ? stats.size : null,
+          sha256: stats.isFile() ? hashFile(filePath) : null
+        };
+      }
+    }
+    if (actual?.content) {
+      actual = {
+        size: actual.content.length,
+        sha256: crypto.createHash("sha256").update(actual.content).digest("hex")
+      };
+    }
+
+    if (!actual) {
+      problems.push({ path: distPath, problem: "missing" });
+    } else if (
+      entry.link !== undefined
+        ? actual.link !== entry.link
+        : actual.size !== entry.size || actual.sha256 !== entry.sha256
+    ) {
+      problems.push({ path: distPath, problem: "modified" });
+    }
+  };
+
+  for (const [instanceName, { files }] of Object.entries(report.instances)) {
+    for (const [file, entry] of Object.entries(files)) {
+      check(`${instanceName}/${file}`, entry);
+    }
+  }
+  for (const [archive, entry] of Object.entries(report.archives)) {
+    check(archive, entry);
+  }
+
+  const packaged = [...archives.values()].flatMap((entries) => [
+    ...entries.keys()
+  ]);
+  for (const distPath of [...listDistFiles(distDir), ...packaged]) {
+    if (!expected.has(distPath)) {
+      problems.push({ path: distPath, problem: "unexpected" });
+    }
+  }
+
+  problems.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+  return { checked, problems };
+}
+
+/**
+ * Lists the files in dist, except the build's own bookkeeping files
+ * @param {string} distDir - Path to the dist directory
+ * @returns {Array<string>} Paths relative to dist, with forward slashes
+ */
+function listDistFiles(distDir) {
+  return listFiles(distDir, { symlinks: true }).filter(
+    (file) => ![BUILD_INDEX_FILE, BUILD_REPORT_FILE].includes(file)
+  );
+}
@@ -0,0 +1,49 @@
+import os from "os";
+
+/**
+ * Number of tasks run at once when no --concurrency is given
+ */
+// os.availableParallelism() only exists from Node 18.14
+export const DEFAULT_CONCURRENCY =
+  os.availableParallelism?.() ?? os.cpus().length;
+
+/**
+ * Calls an async function for each item, with at most `limit` calls running
+ * at once, starting them in item order
+ * @param {Array} items - Items to process
+ * @param {number} limit - Most calls running at once
+ * @param {Function} fn - Called with (item, index); returns a promise
+ * @param {Function} [shouldStop] - Checked before starting each call; once it
+ *   returns true, no more calls are started
+ * @returns {Promise<Array>} Results in item order, undefined for items never
+ *   started
+ * @throws {Error} The first error a call threw, once the calls already
+ *   running have finished
+ */
+export async function mapConcurrent(
+  items,
+  limit,
+  fn,
+  shouldStop = () => false
+) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (next < items.length && !failure && !shouldStop()) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failure ??= { error };
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker)
+  );
+  if (failure) throw failure.error;
+  return results;
+}
@@ -0,0 +1,186 @@
+/**
+ * Reading and merging Splunk .conf files.
+ *
+ * A .conf file is a list of `[stanza]` headers, each followed by
+ * `key = value` settings. Settings before the first header belong to the
+ * global section. A line ending in `\` continues on the next line, and lines
+ * starting with `#` are comments.
+ */
+
+/**
+ * Pattern matching a `[stanza]` header line
+ */
+export const STANZA_PATTERN = /^\s*\[(.*)\]\s*$/;
+const SETTING_PATTERN = /^\s*([^=#\s][^=]*?)\s*=/;
+
+/**
+ * Parses .conf text into sections, keeping every line as written
+ * @param {string} text - .conf file contents
+ * @returns {Array<Object>} Sections in file order, each { name, comments,
+ *   lines }, where the global section is named "", comments are the comment
+ *   lines directly above the stanza header and each line is
+ *   { type, key, text } with type "setting", "comment", "blank" or "other"
+ */
+export function parseConf(text) {
+  const rawLines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  if (rawLines[rawLines.length - 1] === "") {
+    rawLines.pop();
+  }
+
+  const sections = [{ name: "", comments: [], lines: [] }];
+  let current = sections[0];
+
+  for (let i = 0; i < rawLines.length; i++) {
+    const line = rawLines[i];
+
+    if (/^\s*$/.test(line)) {
+      current.lines.push({ type: "blank", text: line });
+      continue;
+    }
+    if (/^\s*#/.test(line)) {
+      current.lines.push({ type: "comment", text: line });
+      continue;
+    }
+
+    const stanza = STANZA_PATTERN.exec(line);
+    if (stanza) {
+      // Comments right above a header describe the stanza, not the settings
+      // before it
+      let start = current.lines.length;
+      while (start > 0 && current.lines[start - 1].type === "comment") start--;
+      const comments = current.lines.splice(start);
+      current = { name: stanza[1], comments, lines: [] };
+      sections.push(current);
+      continue;
+    }
+
+    // A trailing backslash continues the value on the next line
+    const continued = [line];
+    while (
+      /\\$/.test(continued[continued.length - 1]) &&
+      i + 1 < rawLines.length
+    ) {
+      continued.push(rawLines[++i]);
+    }
+
+    const setting = SETTING_PATTERN.exec(line);
+    current.lines.push(
+      setting
+        ? { type: "setting", key: setting[1], text: continued.join("\n") }
+        : { type: "other", text: continued.join("\n") }
+    );
+  }
+
+  // Drop the global section when only blank lines come before the first stanza
+  if (sections[0].lines.every((line) => line.type === "blank")) {
+    sections.shift();
+  }
+
+  return sections;
+}
+
+/**
+ * Merges .conf layers in precedence order: later layers add stanzas and
+ * settings, and override settings with the same key in the same stanza
+ * @param {Array<{source: string, text: string}>} layers - Layers, lowest precedence first
+ * @returns {string} Merged .conf text, with a header naming the sources of each stanza
+ */
+export function mergeConf(layers) {
+  const merged = [];
+
+  for (const { source, text } of layers) {
+    for (const section of parseConf(text)) {
+      let target = merged.find((existing) => existing.name === section.name);
+      if (!target) {
+        target = { ...section, lines: [], sources: [] };
+        merged.push(target);
+      }
+      if (!target.sources.includes(source)) {
+        target.sources.push(source);
+      }
+      mergeSectionLines(target.lines, section.lines);
+    }
+  }
+
+  // Keep the global section first, as Splunk reads it before any stanza
+  merged.sort((a, b) => (a.name === "" ? -1 : b.name === "" ? 1 : 0));
+
+  const header = [
+    "# Merged by jslab from, in order of precedence:",
+    ...layers.map(({ source }) => `#   ${source}`),
+    "#",
+    ...merged.map(
+      (section) =>
+        `# ${section.name === "" ? "(global settings)" : `[${section.name}]`}: ${section.sources.join(", ")}`
+    )
+  ];
+
+  const body = merged.flatMap((section) => [
+    ...section.comments.map((line) => line.text),
+    ...(section.name === "" ? [] : [`[${section.name}]`]),
+    ...trimBlankLines(section.lines).map((line) => line.text),
+    ""
+  ]);
+
+  return [...header, "", ...body].join("\n");
+}
+
+/**
+ * Writes stanzas as .conf text
+ * @param {Array<{name: string, settings: Object}>} stanzas - Stanzas in
+ *   output order, each with its settings as key/value pairs
+ * @returns {string} .conf text
+ */
+export function formatConf(stanzas) {
+  return stanzas
+    .map(({ name, settings }) =>
+      [
+        `[${name}]`,
+        ...Object.entries(settings).map(([key, value]) => `${key} = ${value}`)
+      ].join("\n")
+    )
+    .join("\n\n")
+    .concat("\n");
+}
+
+/**
+ * Merges one layer's lines for a section into the lines merged so far.
+ * Settings replace earlier ones with the same key in place; new settings are
+ * appended with the comments directly above them.
+ * @param {Array<Object>} target - Lines merged so far, updated in place
+ * @param {Array<Object>} lines - Lines from the next layer
+ */
+function mergeSectionLines(target, lines) {
+  const isNew = target.length === 0;
+  let pending = [];
+
+  for (const line of lines) {
+    if (line.type !== "setting") {
+      pending.push(line);
+      continue;
+    }
+
+    const index = target.findIndex(
+      (existing) => existing.type === "setting" && existing.key === line.key
+    );
+    if (index === -1) {
+      target.push(...pending, line);
+    } else {
+      target[index] = line;
+    }
+    pending = [];
+  }
+
+  // Keep trailing comments only from the layer that added the section
+  if (isNew) {
+    target.push(...pending);
+  }
+}
+
+function trimBlankLines(lines) {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && lines[start].type === "blank") start++;
+  while (end > start && lines[end - 1].type === "blank") end--;
+  return lines.slice(start, end);
+}
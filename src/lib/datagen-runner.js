@@ -0,0 +1,185 @@
+import path from "path";
+
+/**
+ * How datagen scripts run on a lab host.
+ *
+ * Every datagen script with a destination, and every datagen folder with an
+ * entry script, gets a descriptor with its run settings filled in, a launch
+ * wrapper and either a systemd service, which
+ * keeps a continuous script running, or a cron entry, which starts a
+ * scheduled one. The wrapper is installed next to the script; it sets the
+ * environment, runs the script with its interpreter and arguments, and
+ * appends what the script prints to its output file, if it has one.
+ */
+
+/**
+ * Manifest settings of a datagens group that describe how its scripts run
+ */
+export const DATAGEN_SETTINGS = [
+  "entry",
+  "interpreter",
+  "args",
+  "schedule",
+  "output",
+  "owner",
+  "mode",
+  "env"
+];
+
+// Interpreters for scripts without one set; other scripts are run directly
+const INTERPRETERS = {
+  ".py": "python3",
+  ".sh": "bash",
+  ".js": "node",
+  ".pl": "perl"
+};
+
+/**
+ * Fills in the run settings of a datagen script with their defaults
+ * @param {Object} datagen - Resolved datagen entry with a destination and
+ *   the settings in DATAGEN_SETTINGS
+ * @param {string} fileName - Name of the script, or of the folder holding it
+ * @param {string} [entry] - Path of the script inside the folder, for
+ *   datagen folders
+ * @returns {Object} Descriptor with the script's path on the host, every run
+ *   setting, and the file names and install paths of its wrapper and unit
+ */
+export function describeDatagen(datagen, fileName, entry) {
+  const destination = datagen.destination;
+  const script = entry ? path.posix.join(fileName, entry) : fileName;
+  // The extension stays in the name, so gen.py and gen.sh get their own units
+  const name = `jslab-datagen-${fileName.replace(/[^A-Za-z0-9_-]/g, "-")}`;
+  const schedule = datagen.schedule || null;
+  const wrapperFile = `run-${fileName}.sh`;
+
+  return {
+    destination,
+    path: path.posix.join(destination, script),
+    interpreter:
+      datagen.interpreter ?? INTERPRETERS[path.extname(script)] ?? null,
+    args: datagen.args || [],
+    env: datagen.env || {},
+    output: datagen.output || null,
+    owner: datagen.owner || "root",
+    mode: datagen.mode || "0755",
+    schedule,
+    wrapper: {
+      file: wrapperFile,
+      path: path.posix.join(destination, wrapperFile)
+    },
+    // cron.d ignores file names with a dot, so the entry is installed
+    // without its .cron suffix
+    unit: schedule
+      ? { file: `${name}.cron`, installPath: `/etc/cron.d/${name}` }
+      : {
+          file: `${name}.service`,
+          installPath: `/etc/systemd/system/${name}.service`
+        }
+  };
+}
+
+/**
+ * Builds the launch wrapper and the systemd service or cron entry of a
+ * datagen script
+ * @param {Object} descriptor - Descriptor from describeDatagen()
+ * @param {string} instanceName - Name of the instance, for the header comments
+ * @returns {Object} File names mapped to their text
+ */
+export function buildDatagenRunner(descriptor, instanceName) {
+  const { wrapper, unit } = descriptor;
+  const command = [
+    ...(descriptor.interpreter ? [descriptor.interpreter] : []),
+    descriptor.path,
+    ...descriptor.args
+  ]
+    .map(shellQuote)
+    .join(" ");
+
+  const wrapperText = [
+    "#!/bin/sh",
+    `# Runs the ${path.posix.basename(descriptor.path)} datagen. Generated by jslab for ${instanceName}.`,
+    ...Object.entries(descriptor.env).map(
+      ([key, value]) => `export ${key}=${shellQuote(value)}`
+    ),
+    `cd ${shellQuote(descriptor.destination)} || exit 1`,
+    ...(descriptor.output
+      ? [
+          `mkdir -p ${shellQuote(path.posix.dirname(descriptor.output))}`,
+          `exec ${command} >> ${shellQuote(descriptor.output)}`
+        ]
+      : [`exec ${command}`]),
+    ""
+  ].join("\n");
+
+  const header = `# Generated by jslab for ${instanceName}; install as ${unit.installPath}`;
+  const unitText = descriptor.schedule
+    ? [
+        header,
+        `${descriptor.schedule} ${descriptor.owner} ${cronQuote(wrapper.path)}`,
+        ""
+      ]
+    : [
+        header,
+        "[Unit]",
+        `Description=jslab datagen ${systemdEscape(path.posix.basename(descriptor.path))}`,
+        "After=network.target",
+        "",
+        "[Service]",
+        "Type=simple",
+        `User=${descriptor.owner}`,
+        `ExecStart=${systemdQuote(wrapper.path)}`,
+        "Restart=always",
+        "RestartSec=5",
+        "",
+        "[Install]",
+        "WantedBy=multi-user.target",
+        ""
+      ];
+
+  return {
+    [wrapper.file]: wrapperText,
+    [unit.file]: unitText.join("\n")
+  };
+}
+
+/**
+ * Quotes a value for a POSIX shell
+ * @param {string} value - Value to quote
+ * @returns {string} Value in single quotes, or as-is when it is safe bare
+ */
+function shellQuote(value) {
+  return /^[A-Za-z0-9_@%+=:,./-]+$/.test(value)
+    ? value
+    : `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Quotes a value for the command field of a crontab line, where cron turns
+ * an unescaped % into a newline
+ * @param {string} value - Value to quote
+ * @returns {string} Shell-quoted value with every % escaped
+ */
+function cronQuote(value) {
+  return shellQuote(value).replace(/%/g, "\\%");
+}
+
+/**
+ * Quotes a value for a systemd command line
+ * @param {string} value - Value to quote
+ * @returns {string} Value in double quotes with specifiers and variables
+ *   escaped, or as-is when it is safe bare
+ */
+function systemdQuote(value) {
+  return /^[A-Za-z0-9_@+=:,./-]+$/.test(value)
+    ? value
+    : `"${systemdEscape(value).replace(/[\\"]/g, "\\$&")}"`;
+}
+
+/**
+ * Escapes % specifiers and $ variables in a systemd setting
+ * @param {string} value - Setting value
+ * @returns {string} Value with % and $ doubled
+ */
+function systemdEscape(value) {
+  return value.replace(/[%$]/g, "$&$&");
+}
@@ -0,0 +1,133 @@
+import { logger } from "./logger.js";
+
+/**
+ * Collects structured warnings and errors found while loading and resolving
+ * a manifest, so callers decide how to report them and whether they fail the
+ * build (e.g., with --strict).
+ *
+ * Each diagnostic has a severity ("warning" or "error"), a code (e.g.,
+ * "unknown-prefix"), a message and optional details such as jsonPath, file,
+ * line, column and instance.
+ */
+
+/**
+ * Creates an empty diagnostics collector
+ * @param {Object} [options] - Collector options
+ * @param {boolean} [options.strict] - Record warnings as errors, so every
+ *   count, summary and exit status sees them as errors (--strict)
+ * @returns {{items: Array<Object>, warn: Function, error: Function,
+ *   strict: boolean}} Collector
+ */
+export function createDiagnostics(options = {}) {
+  const items = [];
+  const strict = Boolean(options.strict);
+  const add = (severity) => (code, message, details = {}) => {
+    items.push({ severity, code, message, ...details });
+  };
+
+  return {
+    items,
+    warn: add(strict ? "error" : "warning"),
+    error: add("error"),
+    strict
+  };
+}
+
+/**
+ * Formats a diagnostic as "file:line:column jsonPath: message [code]"
+ * @param {Object} diagnostic - Diagnostic to format
+ * @returns {string} Formatted diagnostic
+ */
+export function formatDiagnostic(diagnostic) {
+  const position = diagnostic.line
+    ? `:${diagnostic.line}:${diagnostic.column}`
+    : "";
+  const location = diagnostic.file ? `${diagnostic.file}${position} ` : "";
+  const where = diagnostic.jsonPath ? `${diagnostic.jsonPath}: ` : "";
+  return `${location}${where}${diagnostic.message} [${diagnostic.code}]`;
+}
+
+/**
+ * Logs every diagnostic and counts the ones that fail the build
+ * @param {Array<Object>} items - Diagnostics to report
+ * @returns {number} Number of errors
+ */
+export function reportDiagnostics(items) {
+  let errorCount = 0;
+
+  for (const diagnostic of items) {
+    const isError = diagnostic.severity === "error";
+    const { message, ...details } = diagnostic;
+
+    if (isError) {
+      errorCount++;
+      logger.error(details, message);
+    } else {
+      logger.warn(details, message);
+    }
+  }
+
+  return errorCount;
+}
+
+/**
+ * Formats the summary printed after a build: a table with the errors and
+ * warnings of each instance, then the diagnostics themselves by instance.
+ * Diagnostics that belong to no instance are listed under "(course)".
+ * @param {Array<Object>} items - Diagnostics of the build
+ * @param {Array<{name: string, status: string}>} instances - Instances in
+ *   build order, with what the build did with each (e.g., "built")
+ * @returns {string} Summary text
+ */
+export function formatBuildSummary(items, instances) {
+  const groups = instances.map(({ name, status }) => ({
+    name,
+    status,
+    items: items.filter((diagnostic) => diagnostic.instance === name)
+  }));
+  const names = new Set(instances.map(({ name }) => name));
+  const courseItems = items.filter(
+    (diagnostic) => !names.has(diagnostic.instance)
+  );
+  if (courseItems.length > 0) {
+    groups.push({ name: "(course)", status: "", items: courseItems });
+  }
+
+  const count = (groupItems, severity) =>
+    String(
+      groupItems.filter((diagnostic) => diagnostic.severity === severity).length
+    );
+  const rows = [
+    ["Instance", "Status", "Errors", "Warnings"],
+    ...groups.map((group) => [
+      group.name,
+      group.status,
+      count(group.items, "error"),
+      count(group.items, "warning")
+    ])
+  ];
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+  const table = rows.map((row) =>
+    row
+      .map((cell, column) =>
+        column < 2 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])
+      )
+      .join("  ")
+      .trimEnd()
+  );
+
+  const details = groups
+    .filter((group) => group.items.length > 0)
+    .flatMap((group) => [
+      "",
+      `${group.name}:`,
+      ...group.items.map(
+        (diagnostic) =>
+          `  ${diagnostic.severity}: ${formatDiagnostic(diagnostic)}`
+      )
+    ]);
+
+  return [...table, ...details].join("\n");
+}
@@ -0,0 +1,196 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Minimal glob support for manifest source lists.
+ *
+ * Supports `*`, `?`, `**`, `[abc]`/`[!abc]` and `{a,b}`. A pattern starting
+ * with `!` removes earlier matches from the list it appears in. Globs never
+ * match the output directory, or node_modules folders unless they name one.
+ */
+
+/**
+ * Checks whether a source path contains glob syntax
+ * @param {string} pattern - Source path or pattern
+ * @returns {boolean} True if the path is a glob or negation
+ */
+export function isGlob(pattern) {
+  return pattern.startsWith("!") || /[*?[{]/.test(pattern);
+}
+
+/**
+ * Converts a glob pattern into a regular expression matching whole paths
+ * @param {string} pattern - Glob pattern using forward slashes
+ * @returns {RegExp} Regular expression
+ */
+export function globToRegExp(pattern) {
+  let regex = "";
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "*") {
+      if (pattern[i + 1] === "*") {
+        i++;
+        if (pattern[i + 1] === "/") {
+          // "**/" matches zero or more directories
+          i++;
+          regex += "(?:.*/)?";
+        } else {
+          regex += ".*";
+        }
+      } else {
+        regex += "[^/]*";
+      }
+    } else if (char === "?") {
+      regex += "[^/]";
+    } else if (char === "[" && pattern.indexOf("]", i + 2) !== -1) {
+      const end = pattern.indexOf("]", i + 2);
+      const negated = pattern[i + 1] === "!";
+      const members = pattern.slice(negated ? i + 2 : i + 1, end);
+      regex += `[${negated ? "^" : ""}${members.replace(/[\\\]^]/g, "\\$&")}]`;
+      i = end;
+    } else if (char === "{" && pattern.indexOf("}", i) !== -1) {
+      const end = pattern.indexOf("}", i);
+      const options = pattern.slice(i + 1, end).split(",");
+      regex += `(?:${options.map(escapeRegExp).join("|")})`;
+      i = end;
+    } else {
+      regex += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${regex}$`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+/**
+ * Strips a leading "./" so "./apps/a" and "apps/a" compare equal
+ * @param {string} source - Source path
+ * @returns {string} Normalized path
+ */
+function normalize(source) {
+  return source.replace(/\\/g, "/").replace(/^(\.\/)+/, "");
+}
+
+/**
+ * Creates a predicate that tests source paths against paths or globs
+ * @param {Array<string>} patterns - Source paths or globs (e.g., "./apps/sh-*")
+ * @returns {Function} Returns true for sources matching any pattern
+ */
+export function createSourceMatcher(patterns) {
+  const regexes = patterns.map((pattern) => globToRegExp(normalize(pattern)));
+  return (source) => regexes.some((regex) => regex.test(normalize(source)));
+}
+
+/**
+ * Expands globs in a list of { source, ... } entries. Each match copies the
+ * entry it came from; a negated source removes earlier entries it matches.
+ * Plain paths are kept as-is (missing ones are reported when copying), and
+ * matches of each glob are sorted.
+ * @param {string} courseDir - Path to the course directory
+ * @param {Array<Object>} entries - Entries with a source path or glob
+ * @param {Object} [options] - Expansion options
+ * @param {string} [options.outputDir] - Output directory, which globs never
+ *   match or look inside; defaults to dist in the course directory
+ * @returns {{entries: Array<Object>, unmatched: Array<string>}} Expanded entries and globs that matched nothing
+ */
+export function expandEntries(courseDir, entries, options = {}) {
+  const outputDir = path.resolve(courseDir, options.outputDir || "dist");
+  let expanded = [];
+  const unmatched = [];
+
+  const add = (entry) => {
+    const duplicate = expanded.some(
+      (existing) =>
+        existing.source === entry.source &&
+        existing.destination === entry.destination
+    );
+    if (!duplicate) expanded.push(entry);
+  };
+
+  for (const entry of entries) {
+    const pattern = entry.source;
+
+    if (pattern.startsWith("!")) {
+      const regex = globToRegExp(normalize(pattern.slice(1)));
+      const before = expanded.length;
+      expanded = expanded.filter(
+        (existing) => !regex.test(normalize(existing.source))
+      );
+      if (expanded.length === before) {
+        unmatched.push(pattern);
+      }
+      continue;
+    }
+
+    if (!isGlob(pattern)) {
+      add(entry);
+      continue;
+    }
+
+    const matches = matchGlob(courseDir, pattern, outputDir);
+    if (matches.length === 0) {
+      unmatched.push(pattern);
+    }
+    for (const match of matches) {
+      add({ ...entry, source: match });
+    }
+  }
+
+  return { entries: expanded, unmatched };
+}
+
+/**
+ * Finds the files and directories matching one glob
+ * @param {string} courseDir - Path to the course directory
+ * @param {string} pattern - Glob relative to the course directory
+ * @param {string} outputDir - Output directory, left out with its content
+ * @returns {Array<string>} Sorted matches, written with the pattern's own prefix (e.g. "./")
+ */
+function matchGlob(courseDir, pattern, outputDir) {
+  const segments = pattern.replace(/\\/g, "/").split("/");
+  const firstGlob = segments.findIndex((segment) => isGlob(segment));
+  const base = segments.slice(0, firstGlob).join("/");
+  const rest = segments.slice(firstGlob).join("/");
+  const regex = globToRegExp(rest);
+  const maxDepth = rest.includes("**") ? Infinity : segments.length - firstGlob;
+  // Like shell globs, wildcards skip dotfiles unless the pattern names them
+  const includeDotfiles = /(^|\/)\./.test(rest);
+  // Built output and installed packages are never sources, unless the
+  // pattern names node_modules
+  const includeNodeModules = /(^|\/)node_modules(\/|$)/.test(rest);
+  const baseDir = path.resolve(courseDir, base || ".");
+  const matches = [];
+
+  const walk = (dir, relative, depth) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (!includeDotfiles && entry.name.startsWith(".")) continue;
+      if (entry.isDirectory()) {
+        if (!includeNodeModules && entry.name === "node_modules") continue;
+        if (path.join(dir, entry.name) === outputDir) continue;
+      }
+
+      const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+      if (regex.test(entryRelative)) {
+        matches.push(base ? `${base}/${entryRelative}` : entryRelative);
+      }
+      if (entry.isDirectory() && depth < maxDepth) {
+        walk(path.join(dir, entry.name), entryRelative, depth + 1);
+      }
+    }
+  };
+
+  walk(baseDir, "", 1);
+  return matches.sort();
+}
@@ -0,0 +1,155 @@
+import fs from "fs";
+import path from "path";
+import { globToRegExp } from "./glob.js";
+
+/**
+ * gitignore-style rules for content that should never reach a lab: editor
+ * and OS clutter, caches and version control metadata.
+ *
+ * Rules come, in increasing precedence, from the built-in defaults, the
+ * course's `.jslabignore`, the manifest's `ignore` array and an app's own
+ * `.jslabignore`. As in .gitignore, a pattern without a slash matches a name
+ * at any depth, a pattern with a slash is relative to the file that defines
+ * it (the course directory for the manifest), a trailing `/` only matches
+ * directories, `!` re-includes a path and the last matching rule wins.
+ */
+
+export const IGNORE_FILE = ".jslabignore";
+
+export const DEFAULT_IGNORE = [
+  ".DS_Store",
+  "Thumbs.db",
+  "__pycache__/",
+  "*.pyc",
+  ".git/",
+  ".svn/",
+  "*.swp",
+  "*.swo",
+  "*~",
+  IGNORE_FILE
+];
+
+/**
+ * Reads patterns from an ignore file, skipping blank lines and comments
+ * @param {string} text - Ignore file contents
+ * @returns {Array<string>} Patterns
+ */
+export function parseIgnoreFile(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line !== "" && !line.startsWith("#"));
+}
+
+/**
+ * Creates the ignore rules for a course
+ * @param {string|null} courseDir - Course directory with an optional
+ *   .jslabignore; null for the built-in defaults only
+ * @param {Array<string>} [patterns] - Patterns from the manifest's ignore array
+ * @returns {{ignores: Function, forApp: Function}} Rules: ignores(path,
+ *   isDirectory) tests an absolute path, and forApp(appDir) adds the rules in
+ *   an app's own .jslabignore
+ */
+export function createIgnoreRules(courseDir, patterns = []) {
+  const ruleSets = [compileRuleSet(DEFAULT_IGNORE, null)];
+
+  if (courseDir) {
+    ruleSets.push(
+      compileRuleSet(readIgnoreFile(courseDir), courseDir),
+      compileRuleSet(patterns, courseDir)
+    );
+  }
+
+  return withRuleSets(ruleSets);
+}
+
+function withRuleSets(ruleSets) {
+  return {
+    ignores: (filePath, isDirectory = false) =>
+      isIgnored(ruleSets, filePath, isDirectory),
+    forApp: (appDir) =>
+      withRuleSets([
+        ...ruleSets,
+        compileRuleSet(readIgnoreFile(appDir), appDir)
+      ])
+  };
+}
+
+function readIgnoreFile(dir) {
+  const ignorePath = path.join(dir, IGNORE_FILE);
+  return fs.existsSync(ignorePath)
+    ? parseIgnoreFile(fs.readFileSync(ignorePath, "utf-8"))
+    : [];
+}
+
+/**
+ * Compiles patterns defined relative to one directory
+ * @param {Array<string>} patterns - gitignore-style patterns
+ * @param {string|null} baseDir - Directory anchored patterns are relative to
+ * @returns {{baseDir: string|null, rules: Array<Object>}} Compiled rules
+ */
+function compileRuleSet(patterns, baseDir) {
+  const rules = patterns.map((pattern) => {
+    let body = pattern;
+    const negated = body.startsWith("!");
+    if (negated) body = body.slice(1);
+    // "\#" and "\!" match a literal leading "#" or "!"
+    if (/^\\[#!]/.test(body)) body = body.slice(1);
+
+    const directoryOnly = body.endsWith("/");
+    if (directoryOnly) body = body.slice(0, -1);
+
+    const anchored = body.includes("/");
+    if (body.startsWith("/")) body = body.slice(1);
+
+    return { regex: globToRegExp(body), negated, directoryOnly, anchored };
+  });
+
+  return { baseDir, rules };
+}
+
+function isIgnored(ruleSets, filePath, isDirectory) {
+  const name = path.basename(filePath);
+  let ignored = false;
+
+  for (const { baseDir, rules } of ruleSets) {
+    const relative = baseDir
+      ? path.relative(baseDir, filePath).split(path.sep).join("/")
+      : null;
+    const isInside =
+      relative !== null &&
+      relative !== "" &&
+      !relative.startsWith("../") &&
+      !path.isAbsolute(relative);
+
+    for (const rule of rules) {
+      if (rule.directoryOnly && !isDirectory) continue;
+      if (rule.anchored && !isInside) continue;
+
+      if (rule.regex.test(rule.anchored ? relative : name)) {
+        ignored = !rule.negated;
+      }
+    }
+  }
+
+  return ignored;
+}
+
+/**
+ * Checks whether a path, or any directory between it and a root directory,
+ * is ignored
+ * @param {string} rootDir - Directory the path is in, such as an app
+ * @param {string} filePath - Absolute path inside rootDir
+ * @param {Object} ignore - Rules from createIgnoreRules()
+ * @returns {boolean} True if the path would not be copied
+ */
+export function isIgnoredWithin(rootDir, filePath, ignore) {
+  const parts = path.relative(rootDir, filePath).split(path.sep);
+  return parts.some((_, index) => {
+    const partPath = path.join(rootDir, ...parts.slice(0, index + 1));
+    const isDirectory =
+      index < parts.length - 1 ||
+      (fs.existsSync(partPath) && fs.statSync(partPath).isDirectory());
+    return ignore.ignores(partPath, isDirectory);
+  });
+}
@@ -0,0 +1,220 @@
+/**
+ * Instance selectors used as keys under "instances".
+ *
+ * - `*` - every instance
+ * - `idx*` - every instance of a role, up to its count in spec.instances
+ * - `idx[1-2]`, `idx[1,3-4]` - numbered instances of a role
+ * - `idx1,idx3`, `idx*,cm*` - a comma-separated list of any of these
+ * - `site1` - a named group from spec.groups
+ * - `sh3` - a single instance
+ */
+
+const TERM =
+  "[A-Za-z][A-Za-z0-9_-]*(?:\\*|\\[\\d+(?:-\\d+)?(?:,\\d+(?:-\\d+)?)*\\])?";
+
+/**
+ * Pattern matching every valid selector, used by the manifest schema
+ */
+export const SELECTOR_PATTERN = `^(?:\\*|${TERM}(?:,${TERM})*)$`;
+
+/**
+ * Pattern matching the members of a spec.groups entry: any selector but "*",
+ * since a group is a set of instances and "*" would name none of them
+ */
+export const GROUP_MEMBER_PATTERN = `^${TERM}(?:,${TERM})*$`;
+
+/**
+ * Splits a selector into its comma-separated terms, keeping commas inside
+ * ranges such as "idx[1,3]"
+ * @param {string} selector - Instance selector
+ * @returns {Array<string>} Terms
+ */
+export function splitSelector(selector) {
+  return selector.match(/[^,[]+(?:\[[^\]]*\])?/g) || [];
+}
+
+/**
+ * Splits an instance name into its role prefix and index
+ * @param {string} instanceName - Name of the instance (e.g., "idx2")
+ * @returns {{role: string, index: number|null}} Role and index, or a null
+ *   index for names without a number
+ */
+export function parseInstanceName(instanceName) {
+  const match = /^(.*?)(\d+)$/.exec(instanceName);
+  return match
+    ? { role: match[1], index: Number(match[2]) }
+    : { role: instanceName, index: null };
+}
+
+/**
+ * Expands a selector into the instance names it applies to
+ * @param {string} selector - Instance selector (e.g., "idx[1-2]" or "site1")
+ * @param {Object} [spec] - Spec object with instance counts and groups
+ * @returns {{scope: string, names: Array<string>}} Scope ("global", "role" or
+ *   "instance") and matching instance names; global selectors have no names
+ *   because they apply to every resolved instance
+ */
+export function expandSelector(selector, spec = {}) {
+  if (selector === "*") {
+    return { scope: "global", names: [] };
+  }
+
+  const groups = spec.groups || {};
+  const terms = splitSelector(selector);
+  const names = [];
+
+  for (const term of terms) {
+    for (const name of expandTerm(term, spec, [])) {
+      if (!names.includes(name)) names.push(name);
+    }
+  }
+
+  // A single plain name is the most specific block an instance can have;
+  // everything else selects a set of instances like a role wildcard does
+  const isSingleInstance =
+    terms.length === 1 &&
+    !Object.hasOwn(groups, terms[0]) &&
+    /^[A-Za-z][A-Za-z0-9_-]*$/.test(terms[0]);
+
+  return { scope: isSingleInstance ? "instance" : "role", names };
+}
+
+/**
+ * Finds selector terms that don't match spec.instances: role prefixes with no
+ * count, instance numbers beyond the count and reversed ranges
+ * @param {string} selector - Instance selector
+ * @param {Object} [spec] - Spec object with instance counts and groups
+ * @returns {Array<{code: string, message: string}>} Problems found
+ */
+export function checkSelector(selector, spec = {}) {
+  if (selector === "*") {
+    return [];
+  }
+  return splitSelector(selector).flatMap((term) => checkTerm(term, spec, []));
+}
+
+function checkTerm(term, spec, seenGroups) {
+  const counts = spec.instances || {};
+  const groups = spec.groups || {};
+
+  if (Object.hasOwn(groups, term)) {
+    if (seenGroups.includes(term)) {
+      return [];
+    }
+    return groups[term].flatMap((member) =>
+      splitSelector(member).flatMap((memberTerm) =>
+        checkTerm(memberTerm, spec, [...seenGroups, term]).map((problem) => ({
+          ...problem,
+          message: `${problem.message} (in group "${term}")`
+        }))
+      )
+    );
+  }
+
+  const wildcard = /^(.+)\*$/.exec(term);
+  const range = /^(.+)\[([\d,-]+)\]$/.exec(term);
+  const numbered = /^(.*?)(\d+)$/.exec(term);
+  const prefix = (wildcard || range || numbered)?.[1] ?? term;
+
+  if (!Object.hasOwn(counts, prefix)) {
+    return [
+      {
+        code: "unknown-prefix",
+        message: `"${term}" uses prefix "${prefix}", which has no count in spec.instances`
+      }
+    ];
+  }
+
+  const count = counts[prefix];
+
+  // Ranges are cut to the count when expanded, so they are checked part by
+  // part rather than name by name
+  if (range) {
+    const parts = parseRange(range[2]);
+    return [
+      ...parts
+        .filter(({ start, end }) => start > end)
+        .map(({ start, end }) => ({
+          code: "empty-range",
+          message: `"${term}" has the reversed range ${start}-${end}, which selects nothing`
+        })),
+      ...(parts.some(
+        ({ start, end }) => start <= end && (start < 1 || end > count)
+      )
+        ? [
+            {
+              code: "index-out-of-range",
+              message: `"${term}" goes outside spec.instances.${prefix} (${count}); the instances outside it are left out`
+            }
+          ]
+        : [])
+    ];
+  }
+
+  const beyond = expandTerm(term, spec, []).filter(
+    (name) =>
+      Number(name.slice(prefix.length)) > count ||
+      /^0+$/.test(name.slice(prefix.length))
+  );
+
+  return beyond.map((name) => ({
+    code: "index-out-of-range",
+    message: `"${name}" is outside spec.instances.${prefix} (${count})`
+  }));
+}
+
+/**
+ * Parses the list inside a range term's brackets
+ * @param {string} list - List such as "1,3-4"
+ * @returns {Array<{start: number, end: number}>} Parts, as written
+ */
+function parseRange(list) {
+  return list.split(",").map((part) => {
+    const [start, end = start] = part.split("-").map(Number);
+    return { start, end };
+  });
+}
+
+function expandTerm(term, spec, seenGroups) {
+  const counts = spec.instances || {};
+  const groups = spec.groups || {};
+
+  if (Object.hasOwn(groups, term)) {
+    if (seenGroups.includes(term)) {
+      return [];
+    }
+    return groups[term].flatMap((member) =>
+      splitSelector(member).flatMap((memberTerm) =>
+        expandTerm(memberTerm, spec, [...seenGroups, term])
+      )
+    );
+  }
+
+  const wildcard = /^(.+)\*$/.exec(term);
+  if (wildcard) {
+    const prefix = wildcard[1];
+    const count = counts[prefix] || 0;
+    return Array.from({ length: count }, (_, i) => `${prefix}${i + 1}`);
+  }
+
+  // Ranges only select instances within the role's count
+  const range = /^(.+)\[([\d,-]+)\]$/.exec(term);
+  if (range) {
+    const [, prefix, list] = range;
+    const count = counts[prefix] || 0;
+    return parseRange(list).flatMap(({ start, end }) => {
+      const names = [];
+      for (let i = Math.max(start, 1); i <= Math.min(end, count); i++) {
+        names.push(`${prefix}${i}`);
+      }
+      return names;
+    });
+  }
+
+  // "*" inside a group names no instance; the schema rejects it
+  if (term === "*") {
+    return [];
+  }
+
+  return [term];
+}
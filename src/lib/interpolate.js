@@ -0,0 +1,148 @@
+import { formatJsonPath } from "./manifest-schema.js";
+
+/**
+ * `${...}` placeholder interpolation for manifest values.
+ *
+ * Placeholders reference:
+ * - `${metadata.slug}`, `${metadata.splunk.platform.version}` - manifest metadata
+ * - `${vars.name}` or `${name}` - values passed with `--var name=value`
+ * - `${env.NAME}` - environment variables
+ *
+ * Write `$${` for a literal `${`.
+ */
+
+const PLACEHOLDER_PATTERN = /\$(\$?)\{([^}]*)\}/g;
+
+/**
+ * Error thrown when placeholders reference undefined variables
+ */
+export class InterpolationError extends Error {
+  /**
+   * @param {Array<Object>} errors - Problems with jsonPath, expression and message
+   */
+  constructor(errors) {
+    super(
+      `Failed to interpolate manifest values:\n${errors
+        .map((error) => `  ${error.jsonPath}: ${error.message}`)
+        .join("\n")}`
+    );
+    this.name = "InterpolationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Resolves `${...}` placeholders in every string value of a manifest
+ * @param {Object} manifest - Parsed manifest
+ * @param {Object} [options] - Interpolation options
+ * @param {Object} [options.vars] - Values passed with --var
+ * @param {Object} [options.env] - Environment variables (defaults to process.env)
+ * @param {Object} [options.metadata] - Metadata placeholders refer to;
+ *   defaults to the manifest's own, and base manifests use the metadata of
+ *   the manifest extending them
+ * @returns {Object} Manifest with placeholders replaced
+ * @throws {InterpolationError} If a placeholder cannot be resolved
+ */
+export function interpolateManifest(manifest, options = {}) {
+  const context = {
+    metadata: options.metadata || manifest?.metadata || {},
+    vars: options.vars || {},
+    env: options.env || process.env
+  };
+  const errors = [];
+
+  const visit = (value, segments) => {
+    if (typeof value === "string") {
+      return interpolateString(value, context, (expression, message) =>
+        errors.push({
+          path: segments,
+          jsonPath: formatJsonPath(segments),
+          expression,
+          message
+        })
+      );
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => visit(item, [...segments, index]));
+    }
+    if (value !== null && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          visit(item, [...segments, key])
+        ])
+      );
+    }
+    return value;
+  };
+
+  const interpolated = visit(manifest, []);
+
+  if (errors.length > 0) {
+    throw new InterpolationError(errors);
+  }
+
+  return interpolated;
+}
+
+/**
+ * Replaces `${...}` placeholders in a string
+ * @param {string} value - String that may contain placeholders
+ * @param {Object} context - Values to look placeholders up in
+ * @param {Function} onError - Called with (expression, message) for each unresolved placeholder
+ * @returns {string} Interpolated string
+ */
+export function interpolateString(value, context, onError) {
+  return value.replace(PLACEHOLDER_PATTERN, (match, escaped, expression) => {
+    if (escaped) {
+      return match.slice(1);
+    }
+
+    const name = expression.trim();
+    const resolved = lookup(context, name);
+
+    if (resolved === undefined || resolved === null) {
+      onError(name, `undefined variable "${name}" in "${value}"`);
+      return match;
+    }
+    if (typeof resolved === "object" && !Array.isArray(resolved)) {
+      onError(name, `"${name}" is an object, not a value, in "${value}"`);
+      return match;
+    }
+
+    return Array.isArray(resolved) ? resolved.join(",") : String(resolved);
+  });
+}
+
+/**
+ * Looks up a dotted name such as "metadata.splunk.platform.version" or
+ * "metadata.audience.role[0]"; names without a known namespace are looked up
+ * in vars
+ * @param {Object} context - Values to look names up in
+ * @param {string} name - Dotted name
+ * @returns {*} Value, or undefined if not found
+ */
+function lookup(context, name) {
+  const segments = name
+    .replace(/\[(\d+)\]/g, ".$1")
+    .split(".")
+    .filter(Boolean);
+
+  if (segments.length === 0) {
+    return undefined;
+  }
+
+  if (!Object.hasOwn(context, segments[0])) {
+    segments.unshift("vars");
+  }
+
+  return segments.reduce(
+    (current, segment) =>
+      current !== null &&
+      typeof current === "object" &&
+      Object.hasOwn(current, segment)
+        ? current[segment]
+        : undefined,
+    context
+  );
+}
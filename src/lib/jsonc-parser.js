@@ -0,0 +1,294 @@
+/**
+ * Tokenizer-based parser for JSON with comments (JSONC), as used by
+ * manifest.json. Supports `//` line comments, `/* *\/` block comments and
+ * trailing commas, and records the position of every key and value so
+ * errors can point back at the original text.
+ */
+
+/**
+ * Syntax error raised while parsing JSONC, with the original position
+ */
+export class JsoncSyntaxError extends SyntaxError {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} line - 1-based line in the original text
+   * @param {number} column - 1-based column in the original text
+   */
+  constructor(message, line, column) {
+    super(`${message} at line ${line}, column ${column}`);
+    this.name = "JsoncSyntaxError";
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Converts path segments into a JSON pointer used as a location lookup key
+ * @param {Array<string|number>} segments - Path segments
+ * @returns {string} JSON pointer (e.g., "/instances/idx1/apps")
+ */
+export function toPointer(segments) {
+  return segments
+    .map(
+      (segment) =>
+        `/${String(segment).replace(/~/g, "~0").replace(/\//g, "~1")}`
+    )
+    .join("");
+}
+
+const ESCAPES = {
+  '"': '"',
+  "\\": "\\",
+  "/": "/",
+  b: "\b",
+  f: "\f",
+  n: "\n",
+  r: "\r",
+  t: "\t"
+};
+
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/;
+
+/**
+ * Splits JSONC text into tokens, skipping whitespace and comments
+ * @param {string} text - JSONC text
+ * @returns {Array<Object>} Tokens with type, value, line and column
+ * @throws {JsoncSyntaxError} On unterminated strings/comments or unexpected characters
+ */
+export function tokenize(text) {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = (count = 1) => {
+    for (let i = 0; i < count; i++) {
+      if (text[index] === "\n") {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      index++;
+    }
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+    const start = { line, column };
+
+    if (/\s/.test(char) || char === "\uFEFF") {
+      advance();
+      continue;
+    }
+
+    if (char === "/" && text[index + 1] === "/") {
+      while (index < text.length && text[index] !== "\n") advance();
+      continue;
+    }
+
+    if (char === "/" && text[index + 1] === "*") {
+      advance(2);
+      while (
+        index < text.length &&
+        !(text[index] === "*" && text[index + 1] === "/")
+      ) {
+        advance();
+      }
+      if (index >= text.length) {
+        throw new JsoncSyntaxError(
+          "Unterminated block comment",
+          start.line,
+          start.column
+        );
+      }
+      advance(2);
+      continue;
+    }
+
+    if ("{}[]:,".includes(char)) {
+      tokens.push({ type: char, value: char, ...start });
+      advance();
+      continue;
+    }
+
+    if (char === '"') {
+      advance();
+      let value = "";
+      for (;;) {
+        if (index >= text.length || text[index] === "\n") {
+          throw new JsoncSyntaxError(
+            "Unterminated string",
+            start.line,
+            start.column
+          );
+        }
+        const current = text[index];
+        if (current === '"') {
+          advance();
+          break;
+        }
+        if (current === "\\") {
+          const escape = text[index + 1];
+          if (
+            escape === "u" &&
+            /^[0-9a-fA-F]{4}$/.test(text.substr(index + 2, 4))
+          ) {
+            value += String.fromCharCode(
+              parseInt(text.substr(index + 2, 4), 16)
+            );
+            advance(6);
+          } else if (escape in ESCAPES) {
+            value += ESCAPES[escape];
+            advance(2);
+          } else {
+            throw new JsoncSyntaxError(
+              "Invalid escape sequence in string",
+              line,
+              column
+            );
+          }
+          continue;
+        }
+        if (current < " ") {
+          throw new JsoncSyntaxError(
+            "Invalid control character in string",
+            line,
+            column
+          );
+        }
+        value += current;
+        advance();
+      }
+      tokens.push({ type: "string", value, ...start });
+      continue;
+    }
+
+    const number = NUMBER_PATTERN.exec(text.slice(index, index + 64));
+    if ((char === "-" || /\d/.test(char)) && number) {
+      tokens.push({ type: "literal", value: Number(number[0]), ...start });
+      advance(number[0].length);
+      continue;
+    }
+
+    const word = /^[A-Za-z_$][\w$]*/.exec(text.slice(index, index + 32));
+    if (word && ["true", "false", "null"].includes(word[0])) {
+      tokens.push({ type: "literal", value: JSON.parse(word[0]), ...start });
+      advance(word[0].length);
+      continue;
+    }
+
+    throw new JsoncSyntaxError(
+      `Unexpected ${word ? `"${word[0]}"` : `character "${char}"`}`,
+      line,
+      column
+    );
+  }
+
+  tokens.push({ type: "eof", value: null, line, column });
+  return tokens;
+}
+
+/**
+ * Parses JSONC text into a value and a map of source positions
+ * @param {string} text - JSONC text
+ * @returns {{value: *, locations: Map, duplicates: Array<Object>}} Parsed value,
+ *   a map of JSON pointers to { key, value } positions, and the path, line and
+ *   column of every key that repeats an earlier key in the same object (the
+ *   last value wins, as with JSON.parse)
+ * @throws {JsoncSyntaxError} If the text is not valid JSONC
+ */
+export function parseJsonc(text) {
+  const tokens = tokenize(text);
+  const locations = new Map();
+  const duplicates = [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  const describeToken = (token) =>
+    token.type === "eof"
+      ? "end of input"
+      : token.type === "string"
+        ? `string ${JSON.stringify(token.value)}`
+        : `"${token.type === "literal" ? String(token.value) : token.value}"`;
+
+  const expect = (type, description) => {
+    const token = tokens[position];
+    if (token.type !== type) {
+      throw new JsoncSyntaxError(
+        `Expected ${description} but found ${describeToken(token)}`,
+        token.line,
+        token.column
+      );
+    }
+    position++;
+    return token;
+  };
+
+  const parseValue = (segments, keyPosition) => {
+    const token = peek();
+    locations.set(toPointer(segments), {
+      key: keyPosition,
+      value: { line: token.line, column: token.column }
+    });
+
+    if (token.type === "{") {
+      position++;
+      const object = {};
+      while (peek().type !== "}") {
+        const keyToken = expect("string", "a property name");
+        expect(":", '":"');
+        if (Object.hasOwn(object, keyToken.value)) {
+          duplicates.push({
+            path: [...segments, keyToken.value],
+            line: keyToken.line,
+            column: keyToken.column
+          });
+        }
+        // defineProperty keeps a "__proto__" key as plain data
+        Object.defineProperty(object, keyToken.value, {
+          value: parseValue([...segments, keyToken.value], {
+            line: keyToken.line,
+            column: keyToken.column
+          }),
+          enumerable: true,
+          writable: true,
+          configurable: true
+        });
+        if (peek().type !== ",") break;
+        position++; // a trailing comma before "}" is allowed
+      }
+      expect("}", '"," or "}"');
+      return object;
+    }
+
+    if (token.type === "[") {
+      position++;
+      const array = [];
+      while (peek().type !== "]") {
+        array.push(parseValue([...segments, array.length]));
+        if (peek().type !== ",") break;
+        position++; // a trailing comma before "]" is allowed
+      }
+      expect("]", '"," or "]"');
+      return array;
+    }
+
+    if (token.type === "string" || token.type === "literal") {
+      position++;
+      return token.value;
+    }
+
+    throw new JsoncSyntaxError(
+      `Expected a value but found ${describeToken(token)}`,
+      token.line,
+      token.column
+    );
+  };
+
+  const value = parseValue([]);
+  expect("eof", "end of input");
+
+  return { value, locations, duplicates };
+}
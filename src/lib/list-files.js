@@ -0,0 +1,32 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Lists the files in a directory tree, sorted, with forward slashes.
+ * Directories are walked one at a time, as readdirSync() only lists
+ * recursively from Node 18.17; symlinks are never followed.
+ * @param {string} dir - Directory to list
+ * @param {Object} [options] - Listing options
+ * @param {boolean} [options.symlinks] - Whether to list symlinks too
+ * @returns {Array<string>} Paths relative to dir
+ */
+export function listFiles(dir, options = {}) {
+  const files = [];
+
+  const walk = (current, relative) => {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        walk(path.join(current, entry.name), entryRelative);
+      } else if (
+        entry.isFile() ||
+        (options.symlinks && entry.isSymbolicLink())
+      ) {
+        files.push(entryRelative);
+      }
+    }
+  };
+
+  walk(dir, "");
+  return files.sort();
+}
@@ -0,0 +1,197 @@
+/**
+ * Merging rules for manifests that inherit from shared base manifests via
+ * "extends".
+ *
+ * - `spec` is deep-merged: objects merge key by key, arrays (such as `notes`)
+ *   are concatenated and scalar values (such as instance counts) from the
+ *   extending manifest win.
+ * - `instances` blocks with the same selector are merged per block: `apps`,
+ *   `files` and `datagens` lists from the extending manifest are appended to
+ *   the inherited ones, unless the block lists that kind in `override` (or
+ *   sets `"override": true` for every kind), in which case they replace them.
+ * - `exclude` lists of merged blocks are concatenated per kind, and a block's
+ *   `override` only applies to the manifest that sets it.
+ * - `ignore` patterns are concatenated, base first, so an extending manifest
+ *   can re-include a path with `!`.
+ * - `allowedSources` directories are concatenated.
+ * - `metadata` is never inherited.
+ */
+
+export const INHERITABLE_KINDS = ["apps", "files", "datagens"];
+
+/**
+ * Rewrites every instances block into { source: [...], destination } groups,
+ * tagging each group with the manifest it came from
+ * @param {Object} manifest - Parsed manifest
+ * @param {Object} options - Normalization options
+ * @param {string} options.origin - Manifest path recorded on each group
+ * @param {Function} [options.rebase] - Maps a source path, or an
+ *   allowedSources directory, to a course-relative path; sources and
+ *   exclusions negated with "!" are rebased without it
+ * @returns {Object} Manifest with normalized instances
+ */
+export function normalizeManifest(manifest, { origin, rebase: rebasePath }) {
+  // A negated glob keeps its "!" in front of the rebased path
+  const rebase = (source) =>
+    !rebasePath
+      ? source
+      : source.startsWith("!")
+        ? `!${rebasePath(source.slice(1))}`
+        : rebasePath(source);
+  const normalized = { ...manifest };
+  if (manifest.allowedSources) {
+    normalized.allowedSources = manifest.allowedSources.map(rebase);
+  }
+  if (!manifest.instances) {
+    return normalized;
+  }
+
+  const instances = {};
+  for (const [pattern, block] of Object.entries(manifest.instances)) {
+    instances[pattern] = normalizeInstanceBlock(block, origin, rebase);
+  }
+
+  return { ...normalized, instances };
+}
+
+function normalizeInstanceBlock(block, origin, rebase) {
+  const { apps, files, datagens, datagen, ...rest } = block;
+  const normalized = { ...rest };
+
+  // Exclusions match the rebased sources, so they are rebased the same way
+  if (rest.exclude) {
+    normalized.exclude = Object.fromEntries(
+      Object.entries(rest.exclude).map(([kind, sources]) => [
+        kind,
+        sources.map(rebase)
+      ])
+    );
+  }
+
+  const tag = (group) => ({
+    ...group,
+    source: [].concat(group.source).map(rebase),
+    origin
+  });
+
+  if (apps) {
+    if (!Array.isArray(apps)) {
+      normalized.apps = [tag(apps)];
+    } else if (apps.length > 0 && typeof apps[0] === "string") {
+      normalized.apps = [tag({ source: apps, destination: "apps" })];
+    } else {
+      normalized.apps = apps.map(tag);
+    }
+  }
+
+  if (files) {
+    normalized.files = (Array.isArray(files) ? files : [files]).map(tag);
+  }
+
+  const datagenConfig = datagens || datagen;
+  if (datagenConfig) {
+    if (!Array.isArray(datagenConfig)) {
+      normalized.datagens = [tag(datagenConfig)];
+    } else if (
+      datagenConfig.length > 0 &&
+      typeof datagenConfig[0] === "string"
+    ) {
+      normalized.datagens = [tag({ source: datagenConfig })];
+    } else {
+      normalized.datagens = datagenConfig.map(tag);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Merges an extending manifest on top of its (normalized) base manifest
+ * @param {Object} base - Normalized base manifest
+ * @param {Object} child - Normalized extending manifest
+ * @returns {Object} Merged manifest
+ */
+export function mergeManifests(base, child) {
+  const merged = { ...child };
+
+  if (base.spec || child.spec) {
+    merged.spec = deepMerge(base.spec || {}, child.spec || {});
+  }
+
+  // Ignore patterns accumulate; a child can re-include a path with "!"
+  if (base.ignore || child.ignore) {
+    merged.ignore = [...(base.ignore || []), ...(child.ignore || [])];
+  }
+
+  if (base.allowedSources || child.allowedSources) {
+    merged.allowedSources = [
+      ...(base.allowedSources || []),
+      ...(child.allowedSources || [])
+    ];
+  }
+
+  if (child.symlinks === undefined && base.symlinks !== undefined) {
+    merged.symlinks = base.symlinks;
+  }
+
+  if (base.instances || child.instances) {
+    merged.instances = { ...base.instances };
+    for (const [pattern, block] of Object.entries(child.instances || {})) {
+      merged.instances[pattern] = merged.instances[pattern]
+        ? mergeInstanceBlocks(merged.instances[pattern], block)
+        : block;
+    }
+  }
+
+  return merged;
+}
+
+function mergeInstanceBlocks(base, child) {
+  const { override, ...childKinds } = child;
+  const overridden = override === true ? INHERITABLE_KINDS : override || [];
+  const merged = { ...base, ...childKinds };
+  // The base's override was applied when it was merged with its own base
+  delete merged.override;
+
+  for (const kind of INHERITABLE_KINDS) {
+    if (!overridden.includes(kind) && base[kind] && child[kind]) {
+      merged[kind] = [...base[kind], ...child[kind]];
+    }
+  }
+
+  // Exclusions accumulate, so a child adding one keeps the base's
+  if (base.exclude && child.exclude) {
+    merged.exclude = { ...base.exclude };
+    for (const [kind, sources] of Object.entries(child.exclude)) {
+      merged.exclude[kind] = [...(base.exclude[kind] || []), ...sources];
+    }
+  }
+
+  for (const kind of overridden) {
+    if (!child[kind]) {
+      delete merged[kind];
+    }
+  }
+
+  return merged;
+}
+
+function deepMerge(base, override) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    if (Array.isArray(value) && Array.isArray(base[key])) {
+      merged[key] = [...base[key], ...value];
+    } else if (isPlainObject(value) && isPlainObject(base[key])) {
+      merged[key] = deepMerge(base[key], value);
+    } else {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
@@ -1,14 +1,68 @@
 import fs from "fs";
 import path from "path";
 import { logger } from "./logger.js";
+import { DATAGEN_SETTINGS } from "./datagen-runner.js";
+import { createSourceMatcher, expandEntries, isGlob } from "./glob.js";
+import { checkSelector, expandSelector } from "./instance-selectors.js";
+import { InterpolationError, interpolateManifest } from "./interpolate.js";
+import { JsoncSyntaxError, parseJsonc, toPointer } from "./jsonc-parser.js";
+import { mergeManifests, normalizeManifest } from "./manifest-extends.js";
+import { isInside } from "./symlinks.js";
+import { renderedName } from "./template.js";
+import { buildTopology, getTopologySelectors } from "./topology.js";
+import {
+  ManifestValidationError,
+  formatJsonPath,
+  validateManifest
+} from "./manifest-schema.js";
 
 /**
  * Loads and validates a manifest.json file from the specified directory
  * @param {string} courseDir - Path to the course directory
+ * @param {Object} [options] - Load options
+ * @param {Object} [options.vars] - Values for ${...} placeholders, from --var
+ * @param {Object} [options.diagnostics] - Collector for warnings such as
+ *   duplicate keys; without one they are logged
+ * @param {Array<string>} [options.manifestFiles] - Filled with the path of
+ *   every manifest file read, including base manifests
  * @returns {Object} Parsed manifest object
  * @throws {Error} If manifest not found or invalid
+ * @throws {ManifestValidationError} If manifest does not match the schema or uses undefined variables
  */
-export function loadManifest(courseDir) {
+export function loadManifest(courseDir, options = {}) {
+  const { manifestPath, manifest, errors } = validateManifestFile(
+    courseDir,
+    options
+  );
+
+  if (errors.length > 0) {
+    for (const error of errors) {
+      logger.error(
+        { manifestPath, line: error.line, column: error.column },
+        `${error.jsonPath}: ${error.message}`
+      );
+    }
+    throw new ManifestValidationError(manifestPath, errors);
+  }
+
+  return manifest;
+}
+
+/**
+ * Parses manifest.json and any base manifests it extends, resolves their
+ * ${...} placeholders, validates each of them against the manifest schema
+ * and merges them, without throwing on schema errors
+ * @param {string} courseDir - Path to the course directory
+ * @param {Object} [options] - Load options
+ * @param {Object} [options.vars] - Values for ${...} placeholders, from --var
+ * @param {Object} [options.diagnostics] - Collector for warnings such as
+ *   duplicate keys; without one they are logged
+ * @param {Array<string>} [options.manifestFiles] - Filled with the path of
+ *   every manifest file read, including base manifests
+ * @returns {{manifestPath: string, manifest: Object, errors: Array<Object>}} Merged manifest and validation errors
+ * @throws {Error} If manifest not found or not valid JSON
+ */
+export function validateManifestFile(courseDir, options = {}) {
   const manifestPath = path.join(courseDir, "manifest.json");
 
   logger.info({ manifestPath }, "Looking for manifest.json");
@@ -19,305 +73,762 @@ export function loadManifest(courseDir) {
     throw error;
   }
 
-  try {
-    const content = fs.readFileSync(manifestPath, "utf-8");
-    // Remove single-line comments and trailing commas before closing brackets
-    const cleanContent = content
-      .split("\n")
-      .map((line) => {
-        // Remove single-line comments (but preserve strings)
-        const commentIndex = line.indexOf("//");
-        if (commentIndex !== -1) {
-          // Check if it's not inside a string
-          const beforeComment = line.substring(0, commentIndex);
-          const quoteCount = (beforeComment.match(/"/g) || []).length;
-          // If even number of quotes, comment is outside string
-          if (quoteCount % 2 === 0) {
-            return beforeComment;
-          }
-        }
-        return line;
-      })
-      .join("\n")
-      .replace(/,(\s*[}\]])/g, "$1"); // Remove trailing commas
-
-    const manifest = JSON.parse(cleanContent);
+  const { manifest, errors } = readManifestTree(manifestPath, courseDir, [], {
+    warn: createWarn(options.diagnostics),
+    files: options.manifestFiles,
+    vars: options.vars
+  });
 
+  if (errors.length === 0) {
     logger.info(
       { metadata: manifest.metadata },
       "Manifest loaded successfully"
     );
+  }
+
+  return { manifestPath, manifest, errors };
+}
+
+/**
+ * Reads a manifest file, resolves its ${...} placeholders, validates it and
+ * merges in the base manifests it extends. Placeholders are resolved file by
+ * file, so errors point to the file and position of the value; metadata is
+ * never inherited, so every file uses the metadata of manifest.json. Source
+ * paths in base manifests are rewritten relative to the course directory.
+ * @param {string} filePath - Path to the manifest file
+ * @param {string} courseDir - Path to the course directory
+ * @param {Array<string>} chain - Manifests that extend this one, for cycle detection
+ * @param {Object} read - Settings shared by every file read
+ * @param {Function} read.warn - Reports a warning as (code, message, details)
+ * @param {Array<string>} [read.files] - Filled with the path of every file read
+ * @param {Object} [read.vars] - Values for ${...} placeholders, from --var
+ * @param {Object} [read.metadata] - Metadata of manifest.json, for the
+ *   placeholders of base manifests
+ * @returns {{manifest: Object, errors: Array<Object>}} Manifest and validation errors
+ */
+function readManifestTree(filePath, courseDir, chain, read) {
+  const { warn, files = [] } = read;
+  files.push(filePath);
+  const displayPath = toCoursePath(courseDir, filePath, false);
+  const {
+    value: parsed,
+    locations,
+    duplicates
+  } = parseManifestFile(filePath, displayPath);
+
+  for (const duplicate of duplicates) {
+    const key = duplicate.path[duplicate.path.length - 1];
+    warn("duplicate-key", `Duplicate key "${key}"; the last one wins`, {
+      jsonPath: formatJsonPath(duplicate.path),
+      file: filePath,
+      line: duplicate.line,
+      column: duplicate.column
+    });
+  }
 
-    // Validate required fields
-    if (!manifest.instances) {
-      throw new Error('manifest.json missing required "instances" field');
+  const isBase = chain.length > 0;
+  const metadata = isBase ? read.metadata : parsed?.metadata;
+  let manifest = parsed;
+  try {
+    manifest = interpolateManifest(parsed, { vars: read.vars, metadata });
+  } catch (error) {
+    if (!(error instanceof InterpolationError)) throw error;
+    const errors = error.errors.map(({ path: segments, jsonPath, message }) => {
+      const position = locations.get(toPointer(segments))?.value;
+      return {
+        path: segments,
+        jsonPath,
+        message,
+        line: position?.line,
+        column: position?.column,
+        file: filePath
+      };
+    });
+    return { manifest: parsed, errors };
+  }
+
+  // Validate the interpolated values, so placeholders can fill fields with a
+  // pattern or enum; keys are not interpolated, so positions still match
+  const errors = validateManifest(manifest, {
+    locations,
+    partial: isBase || manifest?.extends !== undefined
+  }).map((error) => ({ ...error, file: filePath }));
+
+  if (errors.length > 0) {
+    return { manifest, errors };
+  }
+
+  const bases =
+    manifest.extends === undefined ? [] : [].concat(manifest.extends);
+
+  if (!isBase && bases.length === 0) {
+    return { manifest, errors };
+  }
+
+  let merged = null;
+  bases.forEach((base, index) => {
+    const basePath = path.resolve(path.dirname(filePath), base);
+    const segments = Array.isArray(manifest.extends)
+      ? ["extends", index]
+      : ["extends"];
+    const position = locations.get(toPointer(segments))?.value;
+    const fail = (message) =>
+      errors.push({
+        path: segments,
+        jsonPath: formatJsonPath(segments),
+        message,
+        line: position?.line,
+        column: position?.column,
+        file: filePath
+      });
+
+    if (basePath === filePath || chain.includes(basePath)) {
+      fail(`circular extends of "${base}"`);
+      return;
+    }
+    if (!fs.existsSync(basePath)) {
+      fail(`base manifest "${base}" not found`);
+      return;
+    }
+
+    const result = readManifestTree(basePath, courseDir, [...chain, filePath], {
+      ...read,
+      files,
+      metadata
+    });
+    errors.push(...result.errors);
+    if (result.errors.length === 0) {
+      merged = merged
+        ? mergeManifests(merged, result.manifest)
+        : result.manifest;
+    }
+  });
+
+  if (errors.length > 0) {
+    return { manifest, errors };
+  }
+
+  const rebase = (source) => {
+    if (source === "TBD" || /^https?:\/\//.test(source)) return source;
+    return toCoursePath(
+      courseDir,
+      path.resolve(path.dirname(filePath), source),
+      true
+    );
+  };
+  const own = normalizeManifest(manifest, {
+    origin: displayPath,
+    rebase: isBase ? rebase : undefined
+  });
+  const result = merged ? mergeManifests(merged, own) : own;
+  delete result.extends;
+
+  if (!isBase) {
+    for (const required of ["spec", "instances"]) {
+      if (!(required in result)) {
+        errors.push({
+          path: [],
+          jsonPath: "$",
+          message: `missing required property "${required}" (not found in manifest.json or its base manifests)`,
+          file: filePath
+        });
+      }
     }
+  }
+
+  return { manifest: result, errors };
+}
+
+/**
+ * Reads and parses a JSONC manifest file
+ * @param {string} filePath - Path to the manifest file
+ * @param {string} displayPath - Path used in error messages
+ * @returns {{value: *, locations: Map, duplicates: Array<Object>}} Parsed manifest, source positions and duplicate keys
+ * @throws {Error} If the file is not valid JSON
+ */
+function parseManifestFile(filePath, displayPath) {
+  const content = fs.readFileSync(filePath, "utf-8");
 
-    return manifest;
+  try {
+    return parseJsonc(content);
   } catch (error) {
-    if (error instanceof SyntaxError) {
-      logger.error({ manifestPath }, "Invalid JSON in manifest.json");
-      throw new Error(`Invalid JSON in manifest.json: ${error.message}`);
+    if (error instanceof JsoncSyntaxError) {
+      logger.error(
+        { manifestPath: filePath, line: error.line, column: error.column },
+        `Invalid JSON in ${displayPath}`
+      );
+      throw new Error(`Invalid JSON in ${displayPath}: ${error.message}`);
     }
     throw error;
   }
 }
 
 /**
- * Resolves instance patterns (e.g., "idx*") to specific instances
+ * Expresses a path relative to the course directory with forward slashes
+ * @param {string} courseDir - Path to the course directory
+ * @param {string} targetPath - Absolute path
+ * @param {boolean} dotted - Whether to prefix paths inside the course with "./"
+ * @returns {string} Course-relative path
+ */
+function toCoursePath(courseDir, targetPath, dotted) {
+  const relative = path
+    .relative(courseDir, targetPath)
+    .split(path.sep)
+    .join("/");
+  return dotted && !relative.startsWith("../") ? `./${relative}` : relative;
+}
+
+/**
+ * Resolves instance selectors (e.g., "idx*", "idx[1-2]" or a group name) to
+ * specific instances
  * @param {Object} instances - Instances configuration from manifest
- * @param {Object} spec - Spec object with instance counts
+ * @param {Object} spec - Spec object with instance counts and groups
+ * @param {Object} [options] - Resolution options
+ * @param {string} [options.courseDir] - Course directory used to expand
+ *   source globs and to resolve sources against; defaults to the current
+ *   directory for the latter
+ * @param {string} [options.outputDir] - Output directory, which source globs
+ *   never match; defaults to dist in the course directory
+ * @param {Array<string>} [options.allowedSources] - Directories outside the
+ *   course directory that sources may come from, from the manifest's
+ *   allowedSources
+ * @param {Object} [options.diagnostics] - Collector for selectors that don't
+ *   match spec.instances, globs that match nothing and entries that write the
+ *   same output path, and for entries that read or write outside their
+ *   directory, which are errors; without one they are logged
  * @returns {Map} Map of instance names to their configurations
  */
-export function resolveInstances(instances, spec) {
+export function resolveInstances(instances, spec, options = {}) {
   const resolved = new Map();
-  const instanceCounts = spec?.instances || {};
+  const warn = createWarn(options.diagnostics);
+  const error = createError(options.diagnostics);
+  const expand = createGroupExpander(
+    options.courseDir,
+    options.outputDir,
+    warn
+  );
+
+  const getInstance = (instanceName) => {
+    if (!resolved.has(instanceName)) {
+      resolved.set(instanceName, { apps: [], files: [], datagens: [] });
+    }
+    return resolved.get(instanceName);
+  };
+
+  // Blocks apply in order of precedence: the global "*" block, then role
+  // blocks like "idx*", "idx[1-2]" or a spec.groups name, then specific
+  // instances like "idx4", so later blocks can exclude or replace what
+  // earlier ones added
+  const roleLayers = [];
+  const instanceLayers = [];
+  let globalConfig = null;
 
-  // First pass: resolve specific instances and role-based wildcards
   for (const [pattern, config] of Object.entries(instances)) {
-    if (pattern === "*") {
-      // Skip the global wildcard for now, handle it in the second pass
+    const { scope, names } = expandSelector(pattern, spec || {});
+
+    // Unknown prefixes select nothing and out-of-range names still become
+    // instances, so both are reported rather than silently accepted
+    for (const problem of checkSelector(pattern, spec || {})) {
+      warn(problem.code, problem.message, {
+        jsonPath: formatJsonPath(["instances", pattern])
+      });
+    }
+
+    if (scope === "global") {
+      globalConfig = config;
       continue;
     }
 
-    if (pattern.includes("*")) {
-      // Handle wildcard patterns like "idx*"
-      const prefix = pattern.replace("*", "");
-      const count = instanceCounts[prefix];
-
-      if (count) {
-        for (let i = 1; i <= count; i++) {
-          const instanceName = `${prefix}${i}`;
-          if (!resolved.has(instanceName)) {
-            resolved.set(instanceName, { apps: [], files: [], datagen: null });
-          }
-          const existing = resolved.get(instanceName);
-
-          // Handle apps - support old array format, single object, and array of objects
-          if (config.apps) {
-            if (Array.isArray(config.apps)) {
-              // Check if it's array of strings (old format) or array of objects (colocated roles)
-              if (
-                config.apps.length > 0 &&
-                typeof config.apps[0] === "string"
-              ) {
-                // Old format: ["./app1", "./app2"]
-                existing.apps.push(
-                  ...config.apps.map((app) => ({
-                    source: app,
-                    destination: "apps"
-                  }))
-                );
-              } else {
-                // Array of objects for colocated roles: [{ source: [...], destination: "..." }, ...]
-                for (const appGroup of config.apps) {
-                  if (appGroup.source) {
-                    const destination = appGroup.destination || "apps";
-                    existing.apps.push(
-                      ...appGroup.source.map((app) => ({
-                        source: app,
-                        destination
-                      }))
-                    );
-                  }
-                }
-              }
-            } else if (config.apps.source) {
-              // Single object format: { source: ["./app1"], destination: "manager-apps" }
-              const destination = config.apps.destination || "apps";
-              existing.apps.push(
-                ...config.apps.source.map((app) => ({
-                  source: app,
-                  destination
-                }))
-              );
-            }
-          }
-
-          // Handle files in wildcard patterns
-          if (config.files) {
-            const destination = config.files.destination || "system/local";
-            if (Array.isArray(config.files.source)) {
-              existing.files.push(
-                ...config.files.source.map((file) => ({
-                  source: file,
-                  destination
-                }))
-              );
-            } else if (typeof config.files.source === "string") {
-              existing.files.push({ source: config.files.source, destination });
-            }
-          }
-
-          // Handle datagen/datagens in wildcard patterns - support both spellings
-          const datagenConfig = config.datagens || config.datagen;
-          if (datagenConfig) {
-            if (Array.isArray(datagenConfig)) {
-              existing.datagen = { source: datagenConfig, destination: null };
-            } else if (datagenConfig.source) {
-              existing.datagen = {
-                source: datagenConfig.source,
-                destination: datagenConfig.destination
-              };
-            }
-          }
-        }
-      }
-    } else {
-      // Handle specific instances like "idx4", "sh1"
-      if (!resolved.has(pattern)) {
-        resolved.set(pattern, { apps: [], files: [], datagen: null });
-      }
-      const existing = resolved.get(pattern);
-
-      // Handle apps - support old array format, single object, and array of objects
-      if (config.apps) {
-        if (Array.isArray(config.apps)) {
-          // Check if it's array of strings (old format) or array of objects (colocated roles)
-          if (config.apps.length > 0 && typeof config.apps[0] === "string") {
-            // Old format: ["./app1", "./app2"]
-            existing.apps.push(
-              ...config.apps.map((app) => ({
-                source: app,
-                destination: "apps"
-              }))
-            );
-          } else {
-            // Array of objects for colocated roles: [{ source: [...], destination: "..." }, ...]
-            for (const appGroup of config.apps) {
-              if (appGroup.source) {
-                const destination = appGroup.destination || "apps";
-                existing.apps.push(
-                  ...appGroup.source.map((app) => ({
-                    source: app,
-                    destination
-                  }))
-                );
-              }
-            }
-          }
-        } else if (config.apps.source) {
-          // Single object format: { source: ["./app1"], destination: "manager-apps" }
-          const destination = config.apps.destination || "apps";
-          existing.apps.push(
-            ...config.apps.source.map((app) => ({ source: app, destination }))
-          );
-        }
+    names.forEach(getInstance);
+    (scope === "role" ? roleLayers : instanceLayers).push({
+      pattern,
+      names,
+      config
+    });
+  }
+
+  // Instances wired up by spec.topology get its app even if no block
+  // mentions them
+  const topology = spec?.topology;
+  if (topology) {
+    for (const { segments, selector } of getTopologySelectors(topology)) {
+      for (const problem of checkSelector(selector, spec)) {
+        warn(problem.code, problem.message, {
+          jsonPath: formatJsonPath(segments)
+        });
       }
+      expandSelector(selector, spec).names.forEach(getInstance);
+    }
+  }
 
-      // Handle files - support both old string format and new array format
-      if (config.files) {
-        const destination = config.files.destination || "system/local";
-        if (Array.isArray(config.files.source)) {
-          // New format: { source: ["./file.conf"], destination: "system/local" }
-          existing.files.push(
-            ...config.files.source.map((file) => ({
-              source: file,
-              destination
-            }))
-          );
-        } else if (typeof config.files.source === "string") {
-          // Old format: { source: "./file.conf", destination: "local" }
-          existing.files.push({ source: config.files.source, destination });
+  // The global wildcard "*" applies to ALL instances
+  const globalLayers = globalConfig
+    ? [{ pattern: "*", names: [...resolved.keys()], config: globalConfig }]
+    : [];
+
+  // The block each entry came from, so collisions can name both entries
+  const entryBlocks = new WeakMap();
+
+  for (const { pattern, names, config } of [
+    ...globalLayers,
+    ...roleLayers,
+    ...instanceLayers
+  ]) {
+    for (const instanceName of names) {
+      const added = applyInstanceConfig(
+        resolved.get(instanceName),
+        config,
+        expand
+      );
+      for (const [kind, entries] of Object.entries(added)) {
+        for (const entry of entries) {
+          entryBlocks.set(entry, formatJsonPath(["instances", pattern, kind]));
         }
       }
+    }
+  }
 
-      // Handle datagen/datagens - support both spellings, old array format and new object format
-      const datagenConfig = config.datagens || config.datagen;
-      if (datagenConfig) {
-        if (Array.isArray(datagenConfig)) {
-          // Old format: ["TBD"] or placeholder
-          existing.datagen = { source: datagenConfig, destination: null };
-        } else if (datagenConfig.source) {
-          // New format: { source: ["./script.py"], destination: "/opt/log" }
-          existing.datagen = {
-            source: datagenConfig.source,
-            destination: datagenConfig.destination
-          };
-        }
+  const checkEntry = createContainmentCheck(
+    options.courseDir || ".",
+    options.allowedSources || []
+  );
+  // Problems already reported, so an entry every instance inherits is
+  // reported once
+  const reported = new Set();
+
+  for (const [instanceName, config] of resolved) {
+    removeEscapes(config, entryBlocks, checkEntry, reported, error);
+    removeDuplicates(config);
+    reportCollisions(instanceName, config, entryBlocks, warn);
+  }
+
+  if (topology) {
+    const topologyFiles = buildTopology(topology, spec, [...resolved.keys()]);
+    for (const [instanceName, files] of topologyFiles) {
+      resolved.get(instanceName).topology = files;
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Creates the check that keeps sources inside the course directory and
+ * destinations inside the instance directory. Sources may also come from
+ * the directory of the base manifest that names them, or from one of the
+ * allowed directories. Datagen destinations are paths on the lab host, so
+ * only their sources are checked.
+ * @param {string} courseDir - Path to the course directory
+ * @param {Array<string>} allowedSources - Other directories sources may come
+ *   from, relative to the course directory
+ * @returns {Function} Maps (kind, entry) to a problem { code, message,
+ *   details }, or null when the entry stays inside
+ */
+function createContainmentCheck(courseDir, allowedSources) {
+  const allowedDirs = [courseDir, ...allowedSources].map((dir) =>
+    realpath(path.resolve(courseDir, dir))
+  );
+
+  return (kind, entry) => {
+    const { source, destination } = entry;
+    if (source && source !== "TBD" && !/^https?:\/\//.test(source)) {
+      // Symlinks are resolved, so a link inside the course can't name a
+      // source outside it
+      const sourcePath = realpath(path.resolve(courseDir, source));
+      const dirs = entry.origin
+        ? [
+            ...allowedDirs,
+            realpath(path.dirname(path.resolve(courseDir, entry.origin)))
+          ]
+        : allowedDirs;
+      if (!dirs.some((dir) => isInside(sourcePath, dir))) {
+        return {
+          code: "source-outside",
+          message: `Source "${source}" is outside the course directory and allowedSources`,
+          details: { source }
+        };
       }
     }
+
+    if (kind === "datagens") return null;
+    // Where copyApp() and copyFile() write, relative to the instance directory
+    const outputDir = path.join(
+      kind === "files" && !destination.startsWith("system/") ? "system" : "",
+      destination || "apps"
+    );
+    if (outputDir === ".." || outputDir.startsWith(`..${path.sep}`)) {
+      return {
+        code: "destination-outside",
+        message: `Destination "${destination}" is outside the instance directory`,
+        details: { destination }
+      };
+    }
+    return null;
+  };
+}
+
+/**
+ * Resolves the symlinks in a path
+ * @param {string} filePath - Absolute path
+ * @returns {string} Real path, or the path itself when it doesn't exist, so
+ *   missing sources are reported when they are copied
+ */
+function realpath(filePath) {
+  try {
+    return fs.realpathSync(filePath);
+  } catch {
+    return filePath;
   }
+}
 
-  // Second pass: apply global wildcard "*" to ALL instances
-  if (instances["*"]) {
-    const globalConfig = instances["*"];
-
-    for (const [instanceName, existing] of resolved.entries()) {
-      // Handle apps
-      if (globalConfig.apps) {
-        if (Array.isArray(globalConfig.apps)) {
-          if (
-            globalConfig.apps.length > 0 &&
-            typeof globalConfig.apps[0] === "string"
-          ) {
-            // Old format: ["./app1", "./app2"]
-            existing.apps.push(
-              ...globalConfig.apps.map((app) => ({
-                source: app,
-                destination: "apps"
-              }))
-            );
-          } else {
-            // Array of objects for colocated roles
-            for (const appGroup of globalConfig.apps) {
-              if (appGroup.source) {
-                const destination = appGroup.destination || "apps";
-                existing.apps.push(
-                  ...appGroup.source.map((app) => ({
-                    source: app,
-                    destination
-                  }))
-                );
-              }
-            }
-          }
-        } else if (globalConfig.apps.source) {
-          // Single object format
-          const destination = globalConfig.apps.destination || "apps";
-          existing.apps.push(
-            ...globalConfig.apps.source.map((app) => ({
-              source: app,
-              destination
-            }))
-          );
-        }
+/**
+ * Removes entries of an instance that read a source or write an output
+ * outside their directory, reporting each one as an error
+ * @param {Object} config - Resolved instance configuration
+ * @param {WeakMap} entryBlocks - JSON path of the block each entry came from
+ * @param {Function} checkEntry - Check from createContainmentCheck()
+ * @param {Set<string>} reported - Problems reported so far, updated
+ * @param {Function} error - Reports an error as (code, message, details)
+ */
+function removeEscapes(config, entryBlocks, checkEntry, reported, error) {
+  for (const kind of ["apps", "files", "datagens"]) {
+    config[kind] = config[kind].filter((entry) => {
+      const problem = checkEntry(kind, entry);
+      if (!problem) return true;
+
+      const jsonPath = entryBlocks.get(entry);
+      const key = JSON.stringify([jsonPath, entry.origin, problem.message]);
+      if (!reported.has(key)) {
+        reported.add(key);
+        error(
+          problem.code,
+          entry.origin
+            ? `${problem.message} (in ${entry.origin})`
+            : problem.message,
+          { jsonPath, ...problem.details }
+        );
       }
+      return false;
+    });
+  }
+}
 
-      // Handle files
-      if (globalConfig.files) {
-        const destination = globalConfig.files.destination || "system/local";
-        if (Array.isArray(globalConfig.files.source)) {
-          existing.files.push(
-            ...globalConfig.files.source.map((file) => ({
-              source: file,
-              destination
-            }))
-          );
-        } else if (typeof globalConfig.files.source === "string") {
-          existing.files.push({
-            source: globalConfig.files.source,
-            destination
-          });
-        }
+/**
+ * Removes entries repeated by several blocks (e.g., the same app added by
+ * both "*" and "sh*"), keeping the first of each kind, source and destination
+ * @param {Object} config - Resolved instance configuration
+ */
+function removeDuplicates(config) {
+  for (const kind of ["apps", "files", "datagens"]) {
+    const seen = new Set();
+    config[kind] = config[kind].filter((entry) => {
+      const key = JSON.stringify([
+        path.posix.normalize(entry.source),
+        entry.destination
+      ]);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+/**
+ * Reports entries of an instance whose different sources would be copied to
+ * the same output path, where the later copy overwrites the earlier one
+ * @param {string} instanceName - Name of the instance
+ * @param {Object} config - Resolved instance configuration
+ * @param {WeakMap} entryBlocks - JSON path of the block each entry came from
+ * @param {Function} warn - Reports a warning as (code, message, details)
+ */
+function reportCollisions(instanceName, config, entryBlocks, warn) {
+  const outputs = new Map();
+  const describeEntry = (entry) =>
+    `"${entry.source}" (${entryBlocks.get(entry)}${entry.origin ? ` in ${entry.origin}` : ""})`;
+
+  for (const kind of ["apps", "files", "datagens"]) {
+    for (const entry of config[kind]) {
+      const outputPath = getOutputPath(kind, entry);
+      if (!outputPath) continue;
+
+      const earlier = outputs.get(outputPath);
+      if (!earlier) {
+        outputs.set(outputPath, entry);
+        continue;
+      }
+      // The same source written twice (e.g., to "local" and "system/local")
+      // copies identical content, and "merge": true layers the later file's
+      // stanzas over the earlier one on purpose
+      if (
+        entry.merge ||
+        path.posix.normalize(earlier.source) ===
+          path.posix.normalize(entry.source)
+      ) {
+        continue;
       }
 
-      // Handle datagen/datagens
-      const datagenConfig = globalConfig.datagens || globalConfig.datagen;
-      if (datagenConfig) {
-        if (Array.isArray(datagenConfig)) {
-          existing.datagen = { source: datagenConfig, destination: null };
-        } else if (datagenConfig.source) {
-          existing.datagen = {
-            source: datagenConfig.source,
-            destination: datagenConfig.destination
-          };
+      warn(
+        "output-collision",
+        `${describeEntry(earlier)} and ${describeEntry(entry)} both write ${instanceName}/${outputPath}`,
+        {
+          jsonPath: entryBlocks.get(entry),
+          instance: instanceName,
+          outputPath
         }
+      );
+    }
+  }
+}
+
+/**
+ * Works out where generateApps copies an entry within the instance directory
+ * @param {string} kind - "apps", "files" or "datagens"
+ * @param {Object} entry - Entry with source and destination
+ * @returns {string|null} Output path, or null for placeholders, URLs and
+ *   unexpanded globs
+ */
+function getOutputPath(kind, entry) {
+  const { source } = entry;
+  if (!source || source === "TBD" || /^https?:\/\//.test(source)) {
+    return null;
+  }
+  if (isGlob(source)) {
+    return null;
+  }
+
+  const name = renderedName(path.posix.basename(source.replace(/\\/g, "/")));
+
+  if (kind === "apps") {
+    return path.posix.join(entry.destination || "apps", name);
+  }
+  if (kind === "datagens") {
+    return path.posix.join("datagen", name);
+  }
+  // Files land under system/ unless the destination already starts with it
+  return entry.destination.startsWith("system/")
+    ? path.posix.join(entry.destination, name)
+    : path.posix.join("system", entry.destination, name);
+}
+
+/**
+ * Creates a function that expands source globs in a group's entries,
+ * expanding each distinct group once however many instances it applies to
+ * @param {string} [courseDir] - Course directory; without it globs are kept as-is
+ * @param {string} [outputDir] - Output directory, which globs never match
+ * @param {Function} warn - Reports a warning as (code, message, details)
+ * @returns {Function} Maps a list of entries to the expanded list
+ */
+function createGroupExpander(courseDir, outputDir, warn) {
+  const cache = new Map();
+
+  return (entries) => {
+    if (!courseDir || !entries.some((entry) => isGlob(entry.source))) {
+      return entries;
+    }
+
+    const key = JSON.stringify(entries);
+    if (!cache.has(key)) {
+      const expanded = expandEntries(courseDir, entries, { outputDir });
+      for (const pattern of expanded.unmatched) {
+        warn("unmatched-glob", `Source glob ${pattern} matched nothing`, {
+          pattern
+        });
       }
+      cache.set(key, expanded.entries);
     }
+    return cache.get(key).map((entry) => ({ ...entry }));
+  };
+}
+
+/**
+ * Creates a function that reports warnings to a diagnostics collector, or
+ * logs them when there is none
+ * @param {Object} [diagnostics] - Collector from createDiagnostics()
+ * @returns {Function} Reports a warning as (code, message, details)
+ */
+function createWarn(diagnostics) {
+  if (diagnostics) {
+    return diagnostics.warn;
   }
+  return (code, message, details = {}) =>
+    logger.warn({ code, ...details }, message);
+}
 
-  return resolved;
+/**
+ * Creates a function that reports errors to a diagnostics collector, or logs
+ * them when there is none
+ * @param {Object} [diagnostics] - Collector from createDiagnostics()
+ * @returns {Function} Reports an error as (code, message, details)
+ */
+function createError(diagnostics) {
+  if (diagnostics) {
+    return diagnostics.error;
+  }
+  return (code, message, details = {}) =>
+    logger.error({ code, ...details }, message);
+}
+
+/**
+ * Adds the apps, files and datagens of one instances block to a resolved
+ * instance, after removing inherited entries the block excludes or replaces
+ * @param {Object} existing - Resolved instance configuration
+ * @param {Object} config - Instances block from the manifest
+ * @param {Function} expand - Expands source globs in a group's entries
+ * @returns {{apps: Array, files: Array, datagens: Array}} Entries the block added
+ */
+function applyInstanceConfig(existing, config, expand) {
+  const apps = collectApps(config.apps, expand);
+  const files = collectFiles(config.files, expand);
+  // Handle datagen/datagens - support both spellings
+  const datagenConfig = config.datagens || config.datagen;
+  const datagens = collectDatagens(datagenConfig, expand);
+
+  // "replace": true replaces every kind the block defines
+  const replaced =
+    config.replace === true
+      ? [
+          config.apps && "apps",
+          config.files && "files",
+          datagenConfig && "datagens"
+        ].filter(Boolean)
+      : config.replace || [];
+  const excluded = config.exclude || {};
+
+  if (replaced.includes("apps")) existing.apps = [];
+  if (replaced.includes("files")) existing.files = [];
+  if (replaced.includes("datagens")) existing.datagens = [];
+
+  if (excluded.apps) {
+    const isExcluded = createSourceMatcher(excluded.apps);
+    existing.apps = existing.apps.filter((app) => !isExcluded(app.source));
+  }
+  if (excluded.files) {
+    const isExcluded = createSourceMatcher(excluded.files);
+    existing.files = existing.files.filter((file) => !isExcluded(file.source));
+  }
+  if (excluded.datagens) {
+    const isExcluded = createSourceMatcher(excluded.datagens);
+    existing.datagens = existing.datagens.filter(
+      (datagen) => !isExcluded(datagen.source)
+    );
+  }
+
+  existing.apps.push(...apps);
+  existing.files.push(...files);
+  existing.datagens.push(...datagens);
+
+  return { apps, files, datagens };
+}
+
+/**
+ * Flattens an apps block into { source, destination } entries
+ * @param {Array|Object} apps - Old array format, single object, or array of objects
+ * @param {Function} expand - Expands source globs in a group's entries
+ * @returns {Array<Object>} App entries
+ */
+function collectApps(apps, expand) {
+  if (!apps) return [];
+
+  if (!Array.isArray(apps)) {
+    // Single object format: { source: ["./app1"], destination: "manager-apps" }
+    return apps.source ? collectGroup(apps, "apps", expand) : [];
+  }
+
+  // Old format: ["./app1", "./app2"]
+  if (apps.length > 0 && typeof apps[0] === "string") {
+    return collectGroup({ source: apps }, "apps", expand);
+  }
+
+  // Array of objects for colocated roles: [{ source: [...], destination: "..." }, ...]
+  return apps
+    .filter((appGroup) => appGroup.source)
+    .flatMap((appGroup) => collectGroup(appGroup, "apps", expand));
+}
+
+/**
+ * Flattens a files block into { source, destination } entries
+ * @param {Array|Object} files - Single object or array of objects
+ * @param {Function} expand - Expands source globs in a group's entries
+ * @returns {Array<Object>} File entries
+ */
+function collectFiles(files, expand) {
+  if (!files) return [];
+
+  return (Array.isArray(files) ? files : [files]).flatMap((fileGroup) =>
+    collectGroup(fileGroup, "system/local", expand)
+  );
+}
+
+/**
+ * Expands one { source, destination } group into an entry per source
+ * @param {Object} group - Group with a source string or array
+ * @param {string} defaultDestination - Destination when none is given
+ * @param {Function} expand - Expands source globs in a group's entries
+ * @returns {Array<Object>} Entries, tagged with the group's origin if known
+ */
+function collectGroup(group, defaultDestination, expand) {
+  const destination = group.destination || defaultDestination;
+  // Old files format: { source: "./file.conf", destination: "local" }
+  const sources =
+    typeof group.source === "string" ? [group.source] : group.source || [];
+
+  return expand(
+    sources.map((source) => ({
+      source,
+      destination,
+      ...(group.merge && { merge: true }),
+      ...(group.template && { template: true }),
+      ...(group.origin && { origin: group.origin })
+    }))
+  );
+}
+
+/**
+ * Flattens a datagens block into { source, destination } entries, one per
+ * script, each keeping its own group's destination and run settings
+ * @param {Array|Object} datagenConfig - Old array format, single object, or array of objects
+ * @param {Function} expand - Expands source globs in a group's entries
+ * @returns {Array<Object>} Datagen entries (destination is null when none is given)
+ */
+function collectDatagens(datagenConfig, expand) {
+  if (!datagenConfig) return [];
+
+  if (!Array.isArray(datagenConfig)) {
+    // Single object format: { source: ["./script.py"], destination: "/opt/log" }
+    return datagenConfig.source
+      ? collectDatagenGroup(datagenConfig, expand)
+      : [];
+  }
+
+  // Old format: ["TBD"] placeholder
+  if (datagenConfig.length > 0 && typeof datagenConfig[0] === "string") {
+    return collectGroup({ source: datagenConfig }, null, expand);
+  }
+
+  // Scripts with different destinations: [{ source, destination }, ...]
+  return datagenConfig
+    .filter((datagenGroup) => datagenGroup.source)
+    .flatMap((datagenGroup) => collectDatagenGroup(datagenGroup, expand));
+}
+
+/**
+ * Expands one datagens group into an entry per script, each carrying the
+ * group's run settings
+ * @param {Object} datagenGroup - Group with a source array, a destination
+ *   and the settings in DATAGEN_SETTINGS
+ * @param {Function} expand - Expands source globs in a group's entries
+ * @returns {Array<Object>} Datagen entries (destination is null when none is given)
+ */
+function collectDatagenGroup(datagenGroup, expand) {
+  const settings = Object.fromEntries(
+    DATAGEN_SETTINGS.filter((key) => datagenGroup[key] !== undefined).map(
+      (key) => [key, datagenGroup[key]]
+    )
+  );
+  return collectGroup(datagenGroup, null, expand).map((entry) => ({
+    ...entry,
+    ...settings
+  }));
 }
 
 /**
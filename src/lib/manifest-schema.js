@@ -0,0 +1,582 @@
+import path from "path";
+import {
+  GROUP_MEMBER_PATTERN,
+  SELECTOR_PATTERN
+} from "./instance-selectors.js";
+import { toPointer } from "./jsonc-parser.js";
+import { SYMLINK_POLICIES } from "./symlinks.js";
+
+/**
+ * Schema describing manifest.json, including every legacy shape that
+ * resolveInstances accepts for apps, files and datagens.
+ *
+ * The schema uses a small subset of JSON Schema (type, properties, required,
+ * additionalProperties, propertyNames, items, anyOf, enum, pattern, minimum)
+ * evaluated by validateManifest below.
+ */
+
+const stringArray = { type: "array", items: { type: "string" } };
+
+const dateString = {
+  type: "string",
+  pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+  description: "a YYYY-MM-DD date"
+};
+
+// { source: ["./apps/app1"], destination: "manager-apps" }
+const appGroup = {
+  type: "object",
+  properties: {
+    source: stringArray,
+    destination: { type: "string" },
+    // Render every text file in the app as a per-instance template
+    template: { type: "boolean" }
+  },
+  required: ["source"],
+  additionalProperties: false
+};
+
+const appsSchema = {
+  anyOf: [
+    // Old format: ["./app1", "./app2"]
+    { ...stringArray, description: "an array of app paths" },
+    // Colocated roles: [{ source: [...], destination: "..." }, ...]
+    {
+      type: "array",
+      items: appGroup,
+      description: "an array of { source, destination } objects"
+    },
+    appGroup
+  ]
+};
+
+const fileGroup = {
+  type: "object",
+  properties: {
+    source: {
+      anyOf: [
+        { type: "string", description: "a file path" },
+        { ...stringArray, description: "an array of file paths" }
+      ]
+    },
+    destination: { type: "string" },
+    // Merge .conf stanzas into a file an earlier block wrote to the same path
+    merge: { type: "boolean" },
+    // Render the file as a per-instance template even without a .tmpl suffix
+    template: { type: "boolean" }
+  },
+  required: ["source"],
+  additionalProperties: false
+};
+
+const filesSchema = {
+  anyOf: [
+    fileGroup,
+    {
+      type: "array",
+      items: fileGroup,
+      description: "an array of { source, destination } objects"
+    }
+  ]
+};
+
+// { source: ["./datagens/log.py"], destination: "/opt/log" }, plus how the
+// scripts run on the lab host
+const datagenGroup = {
+  type: "object",
+  properties: {
+    source: stringArray,
+    destination: { type: "string" },
+    // Script to run inside a datagen folder
+    entry: {
+      type: "string",
+      pattern: "^(?!/)(?!(.*/)?\\.\\.(/|$)).+$",
+      description: "a relative path inside the datagen folder"
+    },
+    interpreter: { type: "string" },
+    args: stringArray,
+    // Cron schedule; without one, the script runs continuously
+    schedule: {
+      type: "string",
+      pattern: "^(@(reboot|yearly|annually|monthly|weekly|daily|hourly)|\\S+(\\s+\\S+){4})$",
+      description: 'a cron schedule such as "*/5 * * * *" or "@hourly"'
+    },
+    output: { type: "string" },
+    owner: { type: "string" },
+    mode: {
+      type: "string",
+      pattern: "^0?[0-7]{3}$",
+      description: 'an octal file mode such as "0755"'
+    },
+    env: {
+      type: "object",
+      propertyNames: {
+        pattern: "^[A-Za-z_][A-Za-z0-9_]*$",
+        description: "an environment variable name"
+      },
+      additionalProperties: { type: "string" }
+    }
+  },
+  required: ["source"],
+  additionalProperties: false
+};
+
+const datagensSchema = {
+  anyOf: [
+    // Old format: ["TBD"] placeholder
+    { ...stringArray, description: "an array of datagen paths" },
+    // Scripts with different destinations: [{ source, destination }, ...]
+    {
+      type: "array",
+      items: datagenGroup,
+      description: "an array of { source, destination } objects"
+    },
+    datagenGroup
+  ]
+};
+
+// Entry kinds a block applies to: true for all of them, or ["apps", "files"]
+const entryKinds = {
+  anyOf: [
+    { type: "boolean", description: "true" },
+    {
+      type: "array",
+      items: { enum: ["apps", "files", "datagens"] },
+      description: 'an array of "apps", "files" or "datagens"'
+    }
+  ]
+};
+
+const instanceSchema = {
+  type: "object",
+  properties: {
+    apps: appsSchema,
+    files: filesSchema,
+    datagens: datagensSchema,
+    datagen: datagensSchema,
+    // Inherited sources to drop from the instances this block applies to
+    exclude: {
+      type: "object",
+      properties: {
+        apps: stringArray,
+        files: stringArray,
+        datagens: stringArray
+      },
+      additionalProperties: false
+    },
+    // Kinds that replace, rather than add to, those inherited from "*" and
+    // role blocks
+    replace: entryKinds,
+    // Kinds that replace, rather than add to, those of a base manifest
+    override: entryKinds
+  },
+  additionalProperties: false
+};
+
+const selectorString = {
+  type: "string",
+  pattern: SELECTOR_PATTERN,
+  description: 'an instance selector such as "idx1" or "idx*"'
+};
+
+const instanceName = {
+  type: "string",
+  pattern: "^[A-Za-z][A-Za-z0-9_-]*$",
+  description: 'an instance name such as "cm1"'
+};
+
+// spec.topology: how the instances connect, used to generate the
+// jslab_topology app
+const topologySchema = {
+  type: "object",
+  properties: {
+    hostname: {
+      type: "string",
+      description: 'a hostname pattern such as "{name}.lab.example.com"'
+    },
+    indexerCluster: {
+      type: "object",
+      properties: {
+        manager: instanceName,
+        peers: selectorString,
+        searchHeads: selectorString,
+        forwarders: selectorString,
+        replicationFactor: { type: "integer", minimum: 1 },
+        searchFactor: { type: "integer", minimum: 1 },
+        pass4SymmKey: { type: "string" },
+        label: { type: "string" }
+      },
+      required: ["manager", "peers", "pass4SymmKey"],
+      additionalProperties: false
+    },
+    searchHeadCluster: {
+      type: "object",
+      properties: {
+        members: selectorString,
+        deployer: instanceName,
+        replicationFactor: { type: "integer", minimum: 1 },
+        pass4SymmKey: { type: "string" },
+        label: { type: "string" }
+      },
+      required: ["members", "pass4SymmKey"],
+      additionalProperties: false
+    },
+    licenseManager: {
+      type: "object",
+      properties: { server: instanceName, clients: selectorString },
+      required: ["server"],
+      additionalProperties: false
+    },
+    deploymentServer: {
+      type: "object",
+      properties: { server: instanceName, clients: selectorString },
+      required: ["server", "clients"],
+      additionalProperties: false
+    },
+    monitoringConsole: {
+      type: "object",
+      properties: { server: instanceName },
+      required: ["server"],
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+export const manifestSchema = {
+  type: "object",
+  properties: {
+    $schema: { type: "string" },
+    extends: {
+      anyOf: [
+        { type: "string", description: "a base manifest path" },
+        { ...stringArray, description: "an array of base manifest paths" }
+      ]
+    },
+    // gitignore-style patterns for content never copied or packaged
+    ignore: stringArray,
+    // How symlinks inside copied apps and datagen folders are handled
+    symlinks: { enum: SYMLINK_POLICIES },
+    // Directories outside the course folder that sources may come from
+    allowedSources: stringArray,
+    metadata: {
+      type: "object",
+      properties: {
+        courseId: { type: "string" },
+        courseTitle: { type: "string" },
+        slug: { type: "string" },
+        description: { type: "string" },
+        courseDeveloper: {
+          anyOf: [
+            { type: "string", description: "a name" },
+            { ...stringArray, description: "an array of names" }
+          ]
+        },
+        modality: { type: "string" },
+        duration: { type: "string" },
+        audience: { type: "object", additionalProperties: stringArray },
+        ga: dateString,
+        updated: dateString,
+        splunk: { type: "object" }
+      },
+      additionalProperties: true
+    },
+    spec: {
+      type: "object",
+      properties: {
+        instances: {
+          type: "object",
+          propertyNames: {
+            pattern: "^[A-Za-z][A-Za-z0-9_-]*$",
+            description: "an instance prefix such as idx or sh"
+          },
+          additionalProperties: { type: "integer", minimum: 0 }
+        },
+        notes: stringArray,
+        // Named sets of instances usable as keys under "instances"
+        groups: {
+          type: "object",
+          propertyNames: {
+            pattern: "^[A-Za-z][A-Za-z0-9_-]*$",
+            description: "a group name such as site1"
+          },
+          additionalProperties: {
+            type: "array",
+            items: {
+              type: "string",
+              pattern: GROUP_MEMBER_PATTERN,
+              description: 'an instance selector other than "*", such as "idx1" or "idx*"'
+            },
+            description: "an array of instance selectors"
+          }
+        },
+        topology: topologySchema
+      },
+      required: ["instances"],
+      additionalProperties: false
+    },
+    instances: {
+      type: "object",
+      propertyNames: {
+        pattern: SELECTOR_PATTERN,
+        description:
+          'an instance selector such as "*", "idx*", "idx[1-2]", "idx1,idx3" or "sh3"'
+      },
+      additionalProperties: instanceSchema
+    }
+  },
+  required: ["spec", "instances"],
+  additionalProperties: false
+};
+
+/**
+ * Error thrown when a manifest does not match the schema
+ */
+export class ManifestValidationError extends Error {
+  /**
+   * @param {string} manifestPath - Path to the manifest that failed validation
+   * @param {Array<Object>} errors - Validation errors from validateManifest
+   */
+  constructor(manifestPath, errors) {
+    const details = errors
+      .map((error) => {
+        // Name the file for errors found in a base manifest
+        const file =
+          error.file && error.file !== manifestPath
+            ? `${path.relative(path.dirname(manifestPath), error.file)}:`
+            : "";
+        return `  ${file}${formatValidationError(error)}`;
+      })
+      .join("\n");
+    super(
+      `${path.basename(manifestPath)} failed validation with ${errors.length} error(s):\n${details}`
+    );
+    this.name = "ManifestValidationError";
+    this.manifestPath = manifestPath;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Formats path segments as a readable JSON path
+ * @param {Array<string|number>} segments - Path segments
+ * @returns {string} JSON path (e.g., '$.instances["sh*"].files')
+ */
+export function formatJsonPath(segments) {
+  return segments.reduce((result, segment) => {
+    if (typeof segment === "number") {
+      return `${result}[${segment}]`;
+    }
+    if (/^[A-Za-z_$][\w$]*$/.test(segment)) {
+      return `${result}.${segment}`;
+    }
+    return `${result}[${JSON.stringify(segment)}]`;
+  }, "$");
+}
+
+/**
+ * Formats a validation error as "line:column path message"
+ * @param {Object} error - Validation error
+ * @returns {string} Formatted error
+ */
+export function formatValidationError(error) {
+  const location = error.line ? `${error.line}:${error.column} ` : "";
+  return `${location}${error.jsonPath}: ${error.message}`;
+}
+
+/**
+ * Validates a parsed manifest against the manifest schema
+ * @param {Object} manifest - Parsed manifest object
+ * @param {Object} [options] - Validation options
+ * @param {Map} [options.locations] - Map of JSON pointers to { key, value } source positions
+ * @param {boolean} [options.partial] - Skip the required top-level properties
+ * @returns {Array<Object>} Validation errors with path, jsonPath, message, line and column
+ */
+export function validateManifest(manifest, options = {}) {
+  // Manifests that extend or are extended by others may leave out spec and
+  // instances; the merged result is checked for them instead
+  const schema = options.partial
+    ? { ...manifestSchema, required: [] }
+    : manifestSchema;
+  const errors = validateValue(manifest, schema, []);
+
+  return errors.map((error) => {
+    const location = options.locations?.get(toPointer(error.path));
+    const position = location?.[error.at] || location?.value;
+    return {
+      path: error.path,
+      jsonPath: formatJsonPath(error.path),
+      message: error.message,
+      line: position?.line,
+      column: position?.column
+    };
+  });
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function describeSchema(schema) {
+  if (schema.description) return schema.description;
+  if (schema.type === "array" && schema.items?.type) {
+    return `an array of ${schema.items.type}s`;
+  }
+  return `${/^[aeiou]/.test(schema.type) ? "an" : "a"} ${schema.type}`;
+}
+
+/**
+ * Validates a value against a schema node
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node
+ * @param {Array<string|number>} segments - Path to the value
+ * @returns {Array<Object>} Raw errors with path, at and message
+ */
+function validateValue(value, schema, segments) {
+  if (schema.anyOf) {
+    return validateAnyOf(value, schema, segments);
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [
+      {
+        path: segments,
+        at: "value",
+        message: `must be ${describeSchema(schema)}, got ${typeOf(value)}`
+      }
+    ];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      path: segments,
+      at: "value",
+      message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`
+    });
+  }
+
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({
+      path: segments,
+      at: "value",
+      message: `must be ${describeSchema(schema)}, got ${JSON.stringify(value)}`
+    });
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({
+      path: segments,
+      at: "value",
+      message: `must be >= ${schema.minimum}`
+    });
+  }
+
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateValue(item, schema.items, [...segments, index]));
+    });
+  }
+
+  if (schema.type === "object") {
+    errors.push(...validateObject(value, schema, segments));
+  }
+
+  return errors;
+}
+
+function validateObject(value, schema, segments) {
+  const errors = [];
+  const properties = schema.properties || {};
+
+  for (const required of schema.required || []) {
+    if (!(required in value)) {
+      errors.push({
+        path: segments,
+        at: "value",
+        message: `missing required property "${required}"`
+      });
+    }
+  }
+
+  for (const [key, propertyValue] of Object.entries(value)) {
+    const propertyPath = [...segments, key];
+
+    if (
+      schema.propertyNames &&
+      !new RegExp(schema.propertyNames.pattern).test(key)
+    ) {
+      errors.push({
+        path: propertyPath,
+        at: "key",
+        message: `"${key}" is not ${describeSchema(schema.propertyNames)}`
+      });
+      continue;
+    }
+
+    if (properties[key]) {
+      errors.push(
+        ...validateValue(propertyValue, properties[key], propertyPath)
+      );
+    } else if (schema.additionalProperties === false) {
+      const known = Object.keys(properties);
+      errors.push({
+        path: propertyPath,
+        at: "key",
+        message: `unknown property "${key}"${known.length ? ` (expected one of: ${known.join(", ")})` : ""}`
+      });
+    } else if (typeof schema.additionalProperties === "object") {
+      errors.push(
+        ...validateValue(
+          propertyValue,
+          schema.additionalProperties,
+          propertyPath
+        )
+      );
+    }
+  }
+
+  return errors;
+}
+
+function validateAnyOf(value, schema, segments) {
+  const candidates = schema.anyOf.map((alternative) => ({
+    alternative,
+    errors: validateValue(value, alternative, segments)
+  }));
+
+  if (candidates.some((candidate) => candidate.errors.length === 0)) {
+    return [];
+  }
+
+  // Report the errors of the closest alternative of the same type, so a
+  // wrong nested value reads "source must be an array" instead of listing
+  // every accepted shape.
+  const sameType = candidates
+    .filter(
+      ({ alternative }) =>
+        !alternative.type || matchesType(value, alternative.type)
+    )
+    .sort((a, b) => a.errors.length - b.errors.length);
+
+  if (sameType.length > 0) {
+    return sameType[0].errors;
+  }
+
+  return [
+    {
+      path: segments,
+      at: "value",
+      message: `must be ${schema.anyOf.map(describeSchema).join(" or ")}, got ${typeOf(value)}`
+    }
+  ];
+}
@@ -0,0 +1,113 @@
+import fsp from "fs/promises";
+import path from "path";
+
+/**
+ * How symlinks inside copied apps and datagen folders are handled, set with
+ * the manifest's `symlinks` setting:
+ *
+ * - "follow" (the default) copies what a link points to
+ * - "keep" copies the link itself, with its target unchanged
+ * - "reject-outside" follows links to paths inside the course directory and
+ *   reports the others as errors
+ *
+ * Sources named in the manifest are always followed. Broken links, and links
+ * to a directory holding the link, which would be copied forever, are
+ * reported as errors unless links are kept.
+ */
+
+export const SYMLINK_POLICIES = ["follow", "keep", "reject-outside"];
+
+/**
+ * Checks whether a path is a directory or inside one
+ * @param {string} filePath - Absolute path
+ * @param {string} dir - Absolute directory path
+ * @returns {boolean} True if filePath is dir or inside it
+ */
+export function isInside(filePath, dir) {
+  const relative = path.relative(dir, filePath);
+  return (
+    relative === "" ||
+    (relative !== ".." &&
+      !relative.startsWith(`..${path.sep}`) &&
+      !path.isAbsolute(relative))
+  );
+}
+
+/**
+ * Looks up where a symlink points
+ * @param {string} linkPath - Path to the symlink
+ * @returns {Promise<{target: string, realPath: string|null,
+ *   isDirectory: boolean, loops: boolean}>} The link's target as written,
+ *   the real path it resolves to (null when broken), whether that is a
+ *   directory, and whether it is a directory holding the link
+ */
+export async function inspectLink(linkPath) {
+  const target = await fsp.readlink(linkPath);
+  let realPath;
+  try {
+    realPath = await fsp.realpath(linkPath);
+  } catch {
+    return { target, realPath: null, isDirectory: false, loops: false };
+  }
+
+  const isDirectory = (await fsp.stat(realPath)).isDirectory();
+  return {
+    target,
+    realPath,
+    isDirectory,
+    loops:
+      isDirectory &&
+      isInside(await fsp.realpath(path.dirname(linkPath)), realPath)
+  };
+}
+
+/**
+ * Creates the check applied to each symlink found while copying
+ * @param {string|null} courseDir - Path to the course directory, which
+ *   problems name links relative to; null for the "follow" and "keep"
+ *   policies outside a course
+ * @param {string} [policy] - One of SYMLINK_POLICIES; defaults to "follow"
+ * @returns {Function} Maps a link path to a promise of { action, link,
+ *   problem }: action is "follow", "keep" or null for links not copied,
+ *   link is from inspectLink(), and problem is { code, message, details }
+ *   for links not copied
+ */
+export function createSymlinkPolicy(courseDir, policy = "follow") {
+  let courseRoot;
+
+  return async (linkPath) => {
+    const link = await inspectLink(linkPath);
+    if (policy === "keep") return { action: "keep", link };
+
+    const name = courseDir
+      ? path.relative(courseDir, linkPath).split(path.sep).join("/")
+      : linkPath;
+    const reject = (code, message) => ({
+      action: null,
+      link,
+      problem: { code, message, details: { source: name, target: link.target } }
+    });
+
+    if (link.realPath === null) {
+      return reject(
+        "broken-symlink",
+        `${name} links to ${link.target}, which does not exist`
+      );
+    }
+    if (link.loops) {
+      return reject(
+        "symlink-loop",
+        `${name} links to ${link.target}, a directory holding the link`
+      );
+    }
+
+    courseRoot ??= courseDir && (await fsp.realpath(courseDir));
+    if (policy === "reject-outside" && !isInside(link.realPath, courseRoot)) {
+      return reject(
+        "symlink-outside",
+        `${name} links to ${link.target}, outside the course directory`
+      );
+    }
+    return { action: "follow", link };
+  };
+}
@@ -0,0 +1,281 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import zlib from "zlib";
+
+/**
+ * Writes .tar.gz archives in ustar format, without the tar command, and
+ * reads them back for verification.
+ *
+ * Archives are reproducible: entries are sorted by name, every entry has the
+ * same mtime and is owned by root (uid and gid 0), and modes only keep
+ * whether a file is executable, as 755 or 644, so the umask of the checkout
+ * doesn't matter. Symlinks are archived as links. The same files always give
+ * the same bytes.
+ */
+
+const BLOCK_SIZE = 512;
+// Largest size a 12-byte octal field holds
+const MAX_SIZE = 0o77777777777;
+
+/**
+ * Works out the mtime recorded for every archive entry: SOURCE_DATE_EPOCH
+ * when set, else midnight UTC of the manifest's updated date, else now
+ * @param {string} [updated] - Manifest updated date (YYYY-MM-DD)
+ * @param {Object} [env] - Environment to read SOURCE_DATE_EPOCH from
+ * @returns {number} Seconds since the epoch
+ * @throws {Error} If SOURCE_DATE_EPOCH is not a whole number of seconds
+ */
+export function getArchiveTime(updated, env = process.env) {
+  const epoch = env.SOURCE_DATE_EPOCH;
+  if (epoch !== undefined && epoch !== "") {
+    if (!/^\d+$/.test(epoch)) {
+      throw new Error(
+        `SOURCE_DATE_EPOCH must be a whole number of seconds, not "${epoch}"`
+      );
+    }
+    return Number(epoch);
+  }
+
+  const date = updated ? Date.parse(`${updated}T00:00:00Z`) : NaN;
+  return Math.floor((Number.isNaN(date) ? Date.now() : date) / 1000);
+}
+
+/**
+ * Archives a directory as a gzipped ustar file. A partly written archive is
+ * removed if anything fails.
+ * @param {string} parentDir - Directory holding the one to archive
+ * @param {string} targetName - Name of the directory to archive, which every
+ *   entry name starts with
+ * @param {string} archivePath - Path of the archive to write
+ * @param {Object} options - Archive options
+ * @param {number} options.mtime - Modification time of every entry, in
+ *   seconds since the epoch, from getArchiveTime()
+ * @param {Object} [options.ignore] - Rules from createIgnoreRules() for
+ *   content left out
+ * @returns {Promise<void>}
+ * @throws {Error} If a path is too long for a ustar header, or a file is
+ *   not a regular file, directory or symlink
+ */
+export async function writeTarGz(parentDir, targetName, archivePath, options) {
+  try {
+    await pipeline(
+      Readable.from(archiveBlocks(parentDir, targetName, options)),
+      zlib.createGzip(),
+      fs.createWriteStream(archivePath)
+    );
+  } catch (error) {
+    await fsp.rm(archivePath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Reads the files and symlinks of a gzipped ustar archive into memory
+ * @param {Buffer} content - Archive content
+ * @returns {Map<string, {content: Buffer}|{link: string}>} Entries by name
+ *   (directories are left out)
+ * @throws {Error} If the content is not a gzipped tar archive
+ */
+export function readTarGz(content) {
+  const tar = zlib.gunzipSync(content);
+  const entries = new Map();
+  const field = (offset, length) =>
+    tar.toString("utf-8", offset, offset + length).replace(/\0.*$/s, "");
+
+  for (let offset = 0; offset + BLOCK_SIZE <= tar.length; ) {
+    if (tar[offset] === 0) break;
+
+    const base = field(offset, 100);
+    const prefix = field(offset + 345, 155);
+    const name = prefix ? `${prefix}/${base}` : base;
+    const size = parseInt(field(offset + 124, 12).trim() || "0", 8);
+    const type = field(offset + 156, 1);
+    offset += BLOCK_SIZE;
+
+    if (Number.isNaN(size) || offset + size > tar.length) {
+      throw new Error(`Truncated tar entry ${name}`);
+    }
+    if (type === "2") {
+      entries.set(name, { link: field(offset - BLOCK_SIZE + 157, 100) });
+    } else if (type === "0" || type === "") {
+      entries.set(name, { content: tar.subarray(offset, offset + size) });
+    }
+    offset += Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+
+  return entries;
+}
+
+/**
+ * Yields the blocks of a tar archive of a directory: a header for each
+ * entry in name order, each followed by the file's content, then the two
+ * empty blocks that end the archive
+ * @param {string} parentDir - Directory holding the one to archive
+ * @param {string} targetName - Name of the directory to archive
+ * @param {Object} options - Options for writeTarGz()
+ * @returns {AsyncGenerator<Buffer>} Archive content
+ */
+async function* archiveBlocks(parentDir, targetName, options) {
+  const { mtime, ignore } = options;
+
+  async function* walk(filePath, name) {
+    const stats = await fsp.lstat(filePath);
+
+    if (stats.isSymbolicLink()) {
+      yield createHeader(name, {
+        type: "2",
+        mode: 0o777,
+        mtime,
+        linkName: await fsp.readlink(filePath)
+      });
+      return;
+    }
+
+    if (stats.isDirectory()) {
+      yield createHeader(`${name}/`, { type: "5", mode: 0o755, mtime });
+
+      const entries = (await fsp.readdir(filePath, { withFileTypes: true }))
+        .filter(
+          (entry) =>
+            !ignore?.ignores(
+              path.join(filePath, entry.name),
+              entry.isDirectory()
+            )
+        )
+        .map((entry) => entry.name)
+        .sort(compareNames);
+      for (const entry of entries) {
+        yield* walk(path.join(filePath, entry), `${name}/${entry}`);
+      }
+      return;
+    }
+
+    if (!stats.isFile()) {
+      throw new Error(`${name} is not a file, directory or symlink`);
+    }
+    if (stats.size > MAX_SIZE) {
+      throw new Error(`${name} is too large for a ustar archive`);
+    }
+
+    yield createHeader(name, {
+      type: "0",
+      mode: stats.mode & 0o111 ? 0o755 : 0o644,
+      mtime,
+      size: stats.size
+    });
+
+    let written = 0;
+    for await (const chunk of fs.createReadStream(filePath)) {
+      written += chunk.length;
+      yield chunk;
+    }
+    if (written !== stats.size) {
+      throw new Error(`${name} changed while it was archived`);
+    }
+    if (written % BLOCK_SIZE !== 0) {
+      yield Buffer.alloc(BLOCK_SIZE - (written % BLOCK_SIZE));
+    }
+  }
+
+  yield* walk(path.join(parentDir, targetName), targetName);
+  yield Buffer.alloc(BLOCK_SIZE * 2);
+}
+
+/**
+ * Compares entry names by their UTF-8 bytes, so the order doesn't depend on
+ * the locale
+ * @param {string} a - Entry name
+ * @param {string} b - Entry name
+ * @returns {number} Negative, zero or positive, as for Array.prototype.sort
+ */
+function compareNames(a, b) {
+  return Buffer.compare(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * Builds a ustar header block
+ * @param {string} name - Entry name, with a trailing slash for directories
+ * @param {Object} entry - Entry fields
+ * @param {string} entry.type - Type flag: "0" file, "2" symlink, "5" directory
+ * @param {number} entry.mode - Permission bits
+ * @param {number} entry.mtime - Modification time in seconds since the epoch
+ * @param {number} [entry.size] - Size of a file's content
+ * @param {string} [entry.linkName] - Target of a symlink
+ * @returns {Buffer} Header block
+ * @throws {Error} If the name or link target doesn't fit
+ */
+function createHeader(name, { type, mode, mtime, size = 0, linkName = "" }) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  const { prefix, base } = splitName(name);
+
+  if (Buffer.byteLength(linkName) > 100) {
+    throw new Error(
+      `${name} links to a target too long for a ustar archive: ${linkName}`
+    );
+  }
+
+  header.write(base, 0, 100);
+  writeOctal(header, mode, 100, 8);
+  writeOctal(header, 0, 108, 8); // uid
+  writeOctal(header, 0, 116, 8); // gid
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, mtime, 136, 12);
+  header.write(type, 156, 1);
+  header.write(linkName, 157, 100);
+  header.write("ustar\u000000", 257, 8);
+  header.write("root", 265, 32); // uname
+  header.write("root", 297, 32); // gname
+  writeOctal(header, 0, 329, 8); // devmajor
+  writeOctal(header, 0, 337, 8); // devminor
+  header.write(prefix, 345, 155);
+
+  // The checksum is taken with its own field filled with spaces
+  header.fill(" ", 148, 156);
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(`${checksum.toString(8).padStart(6, "0")}\u0000 `, 148, 8);
+
+  return header;
+}
+
+/**
+ * Splits an entry name into the prefix and name fields of a ustar header,
+ * which hold up to 155 and 100 bytes, at a slash
+ * @param {string} name - Entry name
+ * @returns {{prefix: string, base: string}} Header fields
+ * @throws {Error} If the name can't be split to fit
+ */
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) {
+    return { prefix: "", base: name };
+  }
+
+  // A directory's trailing slash stays with its name
+  const search = name.endsWith("/") ? name.slice(0, -1) : name;
+  for (let index = search.indexOf("/"); index !== -1; ) {
+    const prefix = name.slice(0, index);
+    const base = name.slice(index + 1);
+    if (Buffer.byteLength(prefix) > 155) break;
+    if (Buffer.byteLength(base) <= 100) return { prefix, base };
+    index = search.indexOf("/", index + 1);
+  }
+  throw new Error(`${name} is too long for a ustar archive`);
+}
+
+/**
+ * Writes a number as a zero-padded octal field ending in a NUL byte
+ * @param {Buffer} header - Header block
+ * @param {number} value - Number to write
+ * @param {number} offset - Offset of the field
+ * @param {number} length - Length of the field, including the NUL byte
+ */
+function writeOctal(header, value, offset, length) {
+  header.write(
+    `${value.toString(8).padStart(length - 1, "0")}\u0000`,
+    offset,
+    length
+  );
+}
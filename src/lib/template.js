@@ -0,0 +1,88 @@
+import { parseInstanceName } from "./instance-selectors.js";
+import { interpolateString } from "./interpolate.js";
+
+/**
+ * Per-instance templates: files ending in `.tmpl`, or entries marked
+ * `"template": true`, are rendered with the same `${...}` placeholders as
+ * manifest values, plus values describing the instance being generated:
+ *
+ * - `${instance.name}`, `${instance.role}`, `${instance.index}` - e.g. "idx2", "idx", 2
+ * - `${instances}` - every resolved instance name, comma-separated
+ * - `${roles.cm}`, `${roles.cm[0]}` - the instances of a role
+ * - `${metadata.slug}`, `${vars.name}` or `${name}`, `${env.NAME}`
+ */
+
+export const TEMPLATE_SUFFIX = ".tmpl";
+
+/**
+ * Checks whether a file should be rendered as a template
+ * @param {string} fileName - File name or path
+ * @param {boolean} [marked] - Whether its entry sets "template": true
+ * @returns {boolean} True if the file is rendered
+ */
+export function isTemplate(fileName, marked = false) {
+  return marked || fileName.endsWith(TEMPLATE_SUFFIX);
+}
+
+/**
+ * Strips the .tmpl suffix a rendered file is written without
+ * @param {string} fileName - File name or path
+ * @returns {string} Output file name
+ */
+export function renderedName(fileName) {
+  return fileName.endsWith(TEMPLATE_SUFFIX)
+    ? fileName.slice(0, -TEMPLATE_SUFFIX.length)
+    : fileName;
+}
+
+/**
+ * Builds the values templates for one instance can reference
+ * @param {string} instanceName - Name of the instance (e.g., "idx2")
+ * @param {Array<string>} instanceNames - Every resolved instance name
+ * @param {Object} [options] - Context options
+ * @param {Object} [options.metadata] - Manifest metadata
+ * @param {Object} [options.vars] - Values passed with --var
+ * @param {Object} [options.env] - Environment variables (defaults to process.env)
+ * @returns {Object} Template context
+ */
+export function createTemplateContext(
+  instanceName,
+  instanceNames,
+  options = {}
+) {
+  const roles = {};
+  for (const name of instanceNames) {
+    const { role } = parseInstanceName(name);
+    (roles[role] ||= []).push(name);
+  }
+
+  return {
+    instance: { name: instanceName, ...parseInstanceName(instanceName) },
+    instances: instanceNames,
+    roles,
+    metadata: options.metadata || {},
+    vars: options.vars || {},
+    env: options.env || process.env
+  };
+}
+
+/**
+ * Renders the placeholders in a template
+ * @param {string} text - Template text
+ * @param {Object} context - Values from createTemplateContext()
+ * @returns {{text: string, errors: Array<string>}} Rendered text and a
+ *   message for every placeholder that could not be resolved
+ */
+export function renderTemplate(text, context) {
+  const errors = [];
+  const rendered = text
+    .split("\n")
+    .map((line, index) =>
+      interpolateString(line, context, (expression, message) =>
+        errors.push(`line ${index + 1}: ${message}`)
+      )
+    )
+    .join("\n");
+
+  return { text: rendered, errors };
+}
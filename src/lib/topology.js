@@ -0,0 +1,218 @@
+import { formatConf } from "./conf-file.js";
+import { expandSelector, parseInstanceName } from "./instance-selectors.js";
+
+/**
+ * Cluster wiring generated from spec.topology.
+ *
+ * Each instance named by the topology gets a small app, jslab_topology, with
+ * the server.conf, deploymentclient.conf, outputs.conf and inputs.conf
+ * stanzas that connect it to the rest of the lab: indexer cluster manager,
+ * peers and search heads, search head cluster members and deployer, license
+ * manager, deployment server and monitoring console. Hostnames follow
+ * `topology.hostname`, where `{name}`, `{role}` and `{index}` stand for the
+ * instance's name, role prefix and number.
+ */
+
+export const TOPOLOGY_APP = "jslab_topology";
+
+const MANAGEMENT_PORT = 8089;
+const RECEIVING_PORT = 9997;
+const REPLICATION_PORT = 9887;
+const SHC_REPLICATION_PORT = 9200;
+
+/**
+ * Lists the instance selectors used in a topology with their path under spec
+ * @param {Object} topology - spec.topology
+ * @returns {Array<{segments: Array<string>, selector: string}>} Selectors
+ */
+export function getTopologySelectors(topology) {
+  const fields = {
+    indexerCluster: ["manager", "peers", "searchHeads", "forwarders"],
+    searchHeadCluster: ["members", "deployer"],
+    licenseManager: ["server", "clients"],
+    deploymentServer: ["server", "clients"],
+    monitoringConsole: ["server"]
+  };
+
+  return Object.entries(fields).flatMap(([section, keys]) =>
+    keys
+      .filter((key) => topology[section]?.[key])
+      .map((key) => ({
+        segments: ["spec", "topology", section, key],
+        selector: topology[section][key]
+      }))
+  );
+}
+
+/**
+ * Builds the jslab_topology files for every instance the topology configures
+ * @param {Object} topology - spec.topology
+ * @param {Object} spec - Spec object with instance counts and groups
+ * @param {Array<string>} instanceNames - Every resolved instance name, used
+ *   for defaults such as the license manager's clients
+ * @returns {Map<string, Object>} Instance names mapped to { path: text }
+ *   files, with paths relative to the app directory
+ */
+export function buildTopology(topology, spec, instanceNames) {
+  // "*" selects every instance, which expandSelector() leaves to the caller
+  const select = (selector) => {
+    if (!selector) return [];
+    return selector === "*"
+      ? instanceNames
+      : expandSelector(selector, spec).names;
+  };
+  const hostname = (name) => {
+    const { role, index } = parseInstanceName(name);
+    return (topology.hostname || "{name}")
+      .replace(/\{name\}/g, name)
+      .replace(/\{role\}/g, role)
+      .replace(/\{index\}/g, index ?? "");
+  };
+  const managementUri = (name) =>
+    `https://${hostname(name)}:${MANAGEMENT_PORT}`;
+
+  // Instance name -> file name -> stanza name -> settings
+  const files = new Map();
+  const add = (instanceName, file, stanza, settings = {}) => {
+    if (!files.has(instanceName)) files.set(instanceName, new Map());
+    const instanceFiles = files.get(instanceName);
+    if (!instanceFiles.has(file)) instanceFiles.set(file, new Map());
+    const stanzas = instanceFiles.get(file);
+    stanzas.set(stanza, { ...stanzas.get(stanza), ...settings });
+  };
+  const defined = (settings) =>
+    Object.fromEntries(
+      Object.entries(settings).filter(([, value]) => value !== undefined)
+    );
+
+  const indexerCluster = topology.indexerCluster;
+  const searchHeadCluster = topology.searchHeadCluster;
+  const shcMembers = select(searchHeadCluster?.members);
+  const monitoringConsole = topology.monitoringConsole?.server;
+
+  if (indexerCluster) {
+    const { manager, pass4SymmKey } = indexerCluster;
+    const peers = select(indexerCluster.peers);
+    // Search head cluster members and the monitoring console search the
+    // indexer cluster unless searchHeads says otherwise
+    const searchHeads = indexerCluster.searchHeads
+      ? select(indexerCluster.searchHeads)
+      : [...shcMembers, ...(monitoringConsole ? [monitoringConsole] : [])];
+    const forwarders = indexerCluster.forwarders
+      ? select(indexerCluster.forwarders)
+      : instanceNames.filter((name) => !peers.includes(name));
+
+    add(
+      manager,
+      "server.conf",
+      "clustering",
+      defined({
+        mode: "manager",
+        replication_factor: indexerCluster.replicationFactor,
+        search_factor: indexerCluster.searchFactor,
+        pass4SymmKey,
+        cluster_label: indexerCluster.label
+      })
+    );
+
+    for (const peer of peers) {
+      add(peer, "server.conf", "clustering", {
+        mode: "peer",
+        manager_uri: managementUri(manager),
+        pass4SymmKey
+      });
+      add(peer, "server.conf", `replication_port://${REPLICATION_PORT}`);
+      add(peer, "inputs.conf", `splunktcp://${RECEIVING_PORT}`, {
+        disabled: 0
+      });
+    }
+
+    for (const searchHead of searchHeads) {
+      add(searchHead, "server.conf", "clustering", {
+        mode: "searchhead",
+        manager_uri: managementUri(manager),
+        pass4SymmKey
+      });
+    }
+
+    for (const forwarder of forwarders) {
+      add(forwarder, "outputs.conf", "tcpout", {
+        defaultGroup: "indexer_cluster"
+      });
+      add(forwarder, "outputs.conf", "tcpout:indexer_cluster", {
+        server: peers
+          .map((peer) => `${hostname(peer)}:${RECEIVING_PORT}`)
+          .join(",")
+      });
+    }
+  }
+
+  if (searchHeadCluster) {
+    const { deployer, pass4SymmKey } = searchHeadCluster;
+
+    for (const member of shcMembers) {
+      add(
+        member,
+        "server.conf",
+        "shclustering",
+        defined({
+          disabled: 0,
+          mgmt_uri: managementUri(member),
+          replication_factor: searchHeadCluster.replicationFactor,
+          conf_deploy_fetch_url: deployer ? managementUri(deployer) : undefined,
+          pass4SymmKey,
+          shcluster_label: searchHeadCluster.label
+        })
+      );
+      add(member, "server.conf", `replication_port://${SHC_REPLICATION_PORT}`);
+    }
+
+    if (deployer) {
+      add(
+        deployer,
+        "server.conf",
+        "shclustering",
+        defined({ pass4SymmKey, shcluster_label: searchHeadCluster.label })
+      );
+    }
+  }
+
+  if (topology.licenseManager) {
+    const { server } = topology.licenseManager;
+    const clients = topology.licenseManager.clients
+      ? select(topology.licenseManager.clients)
+      : instanceNames;
+
+    for (const client of clients.filter((name) => name !== server)) {
+      add(client, "server.conf", "license", {
+        manager_uri: managementUri(server)
+      });
+    }
+  }
+
+  if (topology.deploymentServer) {
+    const { server } = topology.deploymentServer;
+
+    for (const client of select(topology.deploymentServer.clients)) {
+      if (client === server) continue;
+      add(client, "deploymentclient.conf", "deployment-client");
+      add(client, "deploymentclient.conf", "target-broker:deploymentServer", {
+        targetUri: `${hostname(server)}:${MANAGEMENT_PORT}`
+      });
+    }
+  }
+
+  return new Map(
+    [...files].map(([instanceName, instanceFiles]) => [
+      instanceName,
+      Object.fromEntries(
+        [...instanceFiles].map(([file, stanzas]) => [
+          `default/${file}`,
+          formatConf(
+            [...stanzas].map(([name, settings]) => ({ name, settings }))
+          )
+        ])
+      )
+    ])
+  );
+}
@@ -0,0 +1,219 @@
+import fs from "fs";
+import path from "path";
+import { logger } from "./logger.js";
+
+/**
+ * File watching for `jslab --watch`: which paths a build depends on, which
+ * instances a change affects, and batching the changes an editor makes in
+ * quick succession into one rebuild.
+ */
+
+/**
+ * Maps every local source of the resolved instances to the instances using it
+ * @param {string} courseDir - Path to the course directory
+ * @param {Map} resolvedInstances - Map of instance names to their configurations
+ * @returns {Map<string, Set<string>>} Absolute source paths mapped to
+ *   instance names
+ */
+export function collectSourcePaths(courseDir, resolvedInstances) {
+  const sources = new Map();
+
+  for (const [instanceName, config] of resolvedInstances) {
+    const entries = [
+      ...(config.apps || []),
+      ...(config.files || []),
+      ...(config.datagens || [])
+    ];
+    for (const { source } of entries) {
+      if (!source || source === "TBD" || /^https?:\/\//.test(source)) continue;
+
+      const sourcePath = path.resolve(courseDir, source);
+      if (!sources.has(sourcePath)) sources.set(sourcePath, new Set());
+      sources.get(sourcePath).add(instanceName);
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Finds the instances that use a changed path, or anything inside it
+ * @param {Array<string>} changedPaths - Absolute paths that changed
+ * @param {Map<string, Set<string>>} sources - Sources from collectSourcePaths()
+ * @returns {Array<string>} Affected instance names
+ */
+export function findAffectedInstances(changedPaths, sources) {
+  const affected = new Set();
+
+  for (const changedPath of changedPaths) {
+    for (const [sourcePath, instanceNames] of sources) {
+      if (
+        changedPath === sourcePath ||
+        changedPath.startsWith(`${sourcePath}${path.sep}`)
+      ) {
+        instanceNames.forEach((name) => affected.add(name));
+      }
+    }
+  }
+
+  return [...affected];
+}
+
+/**
+ * Watches files and directories, calling onChange once changes stop coming
+ * @param {Array<string>} paths - Files and directories to watch; directories
+ *   are watched recursively and missing paths are skipped
+ * @param {Function} onChange - Called with the sorted changed paths
+ * @param {Object} [options] - Watch options
+ * @param {number} [options.debounceMs] - Quiet time before onChange is called
+ * @param {Function} [options.exclude] - Returns true for changed paths to
+ *   disregard, such as the output directory
+ * @param {Array<string>} [options.required] - Paths that must be watched,
+ *   such as the course directory
+ * @returns {{close: Function}} Handle that stops watching
+ * @throws {Error} If a required path is missing or can't be watched
+ */
+export function watchPaths(paths, onChange, options = {}) {
+  const { debounceMs = 300, exclude = () => false, required = [] } = options;
+  const changed = new Set();
+  const watchers = [];
+  let timer = null;
+
+  const record = (changedPath) => {
+    if (exclude(changedPath)) return;
+
+    changed.add(changedPath);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const batch = [...changed].sort();
+      changed.clear();
+      onChange(batch);
+    }, debounceMs);
+  };
+
+  for (const watchPath of new Set(paths)) {
+    const isRequired = required.includes(watchPath);
+    let isDirectory;
+    try {
+      isDirectory = fs.statSync(watchPath).isDirectory();
+    } catch (error) {
+      if (isRequired) throw error;
+      continue;
+    }
+
+    try {
+      watchers.push(
+        isDirectory
+          ? watchDirectory(watchPath, record, exclude)
+          : watchFile(watchPath, record)
+      );
+    } catch (error) {
+      if (isRequired) {
+        throw new Error(`Cannot watch ${watchPath}: ${error.message}`);
+      }
+      logger.warn(
+        { path: watchPath, error: error.message },
+        "Cannot watch path"
+      );
+    }
+  }
+
+  return {
+    close: () => {
+      clearTimeout(timer);
+      watchers.forEach((watcher) => watcher.close());
+    }
+  };
+}
+
+/**
+ * Watches a file
+ * @param {string} filePath - Path to the file
+ * @param {Function} record - Called with the file's path when it changes
+ * @returns {{close: Function}} Handle that stops watching
+ */
+function watchFile(filePath, record) {
+  const watcher = fs.watch(filePath, () => record(filePath));
+  // Editors that save by replacing a file end a file watch; the next
+  // rebuild watches the new file
+  watcher.on("error", (error) =>
+    logger.debug(
+      { path: filePath, error: error.message },
+      "Stopped watching path"
+    )
+  );
+  return watcher;
+}
+
+/**
+ * Watches a directory and everything inside it. Where fs.watch can't watch
+ * recursively, such as on Linux before Node 19.1, every directory is
+ * watched on its own, and directories created later are watched as they
+ * appear; excluded directories are left out.
+ * @param {string} dir - Path to the directory
+ * @param {Function} record - Called with the path of each change
+ * @param {Function} exclude - Returns true for paths to disregard
+ * @returns {{close: Function}} Handle that stops watching
+ */
+function watchDirectory(dir, record, exclude) {
+  const listener = (watchedDir) => (event, fileName) =>
+    record(fileName ? path.join(watchedDir, fileName.toString()) : watchedDir);
+
+  try {
+    return fs.watch(dir, { recursive: true }, listener(dir));
+  } catch (error) {
+    if (error.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") throw error;
+  }
+
+  const watchers = new Map();
+  const add = (watchedDir) => {
+    if (watchers.has(watchedDir)) return;
+
+    const onChange = listener(watchedDir);
+    const watcher = fs.watch(watchedDir, (event, fileName) => {
+      onChange(event, fileName);
+      if (!fileName) return;
+
+      const changedPath = path.join(watchedDir, fileName.toString());
+      const stats = fs.statSync(changedPath, { throwIfNoEntry: false });
+      if (stats?.isDirectory()) {
+        addTree(changedPath);
+      } else if (!stats && watchers.has(changedPath)) {
+        watchers.get(changedPath).close();
+        watchers.delete(changedPath);
+      }
+    });
+    // A removed directory ends its watch
+    watcher.on("error", () => {
+      watcher.close();
+      watchers.delete(watchedDir);
+    });
+    watchers.set(watchedDir, watcher);
+  };
+  const addTree = (watchedDir) => {
+    if (exclude(watchedDir)) return;
+    try {
+      add(watchedDir);
+      for (const entry of fs.readdirSync(watchedDir, {
+        withFileTypes: true
+      })) {
+        if (entry.isDirectory()) addTree(path.join(watchedDir, entry.name));
+      }
+    } catch {
+      // Removed while being added; its parent reports the change
+    }
+  };
+
+  // The directory itself must be watched; what's inside is best effort
+  add(dir);
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) addTree(path.join(dir, entry.name));
+  }
+
+  return {
+    close: () => {
+      watchers.forEach((watcher) => watcher.close());
+      watchers.clear();
+    }
+  };
+}
@@ -2,7 +2,17 @@ import { describe, it, expect, beforeEach, afterEach } from "vitest";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import { generateApps, cleanDist } from "../src/lib/app-generator.js";
+import { execSync } from "child_process";
+import {
+  generateApps,
+  cleanDist,
+  packageApps,
+  packageInstances
+} from "../src/lib/app-generator.js";
+import { hashFile } from "../src/lib/build-index.js";
+import { readBuildReport, verifyBuild } from "../src/lib/build-report.js";
+import { createDiagnostics } from "../src/lib/diagnostics.js";
+import { createIgnoreRules } from "../src/lib/ignore.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -27,27 +37,27 @@ describe("app-generator", () => {
   });
 
   describe("generateApps", () => {
-    it("should create dist directory if it does not exist", () => {
+    it("should create dist directory if it does not exist", async () => {
       const resolvedInstances = new Map();
-      resolvedInstances.set("idx1", { apps: [], files: [], datagen: null });
+      resolvedInstances.set("idx1", { apps: [], files: [], datagens: [] });
 
-      generateApps(testCourseDir, resolvedInstances);
+      await generateApps(testCourseDir, resolvedInstances);
 
       expect(fs.existsSync(distDir)).toBe(true);
     });
 
-    it("should create instance directories", () => {
+    it("should create instance directories", async () => {
       const resolvedInstances = new Map();
-      resolvedInstances.set("idx1", { apps: [], files: [], datagen: null });
-      resolvedInstances.set("sh1", { apps: [], files: [], datagen: null });
+      resolvedInstances.set("idx1", { apps: [], files: [], datagens: [] });
+      resolvedInstances.set("sh1", { apps: [], files: [], datagens: [] });
 
-      generateApps(testCourseDir, resolvedInstances);
+      await generateApps(testCourseDir, resolvedInstances);
 
       expect(fs.existsSync(path.join(distDir, "idx1"))).toBe(true);
       expect(fs.existsSync(path.join(distDir, "sh1"))).toBe(true);
     });
 
-    it("should handle file configurations", () => {
+    it("should handle file configurations", async () => {
       const resolvedInstances = new Map();
       resolvedInstances.set("sh3", {
         apps: [],
@@ -57,10 +67,10 @@ describe("app-generator", () => {
             destination: "system/local"
           }
         ],
-        datagen: null
+        datagens: []
       });
 
-      generateApps(testCourseDir, resolvedInstances);
+      await generateApps(testCourseDir, resolvedInstances);
 
       const targetFile = path.join(
         distDir,
@@ -71,23 +81,880 @@ describe("app-generator", () => {
       );
       expect(fs.existsSync(targetFile)).toBe(true);
     });
+
+    it("should merge .conf stanzas for files marked merge", async () => {
+      const resolvedInstances = new Map();
+      resolvedInstances.set("sh3", {
+        apps: [],
+        files: [
+          { source: "./files/health.conf", destination: "system/local" },
+          {
+            source: "./sh3/health.conf",
+            destination: "system/local",
+            merge: true
+          }
+        ],
+        datagens: []
+      });
+
+      await generateApps(testCourseDir, resolvedInstances);
+
+      const merged = fs.readFileSync(
+        path.join(distDir, "sh3", "system", "local", "health.conf"),
+        "utf-8"
+      );
+      expect(merged).toContain(
+        "# [feature:disk_space]: ./files/health.conf, ./sh3/health.conf"
+      );
+      expect(merged).toContain(
+        "[feature:disk_space]\ndisabled = 0\nindicator:disk_space:yellow = 10\n"
+      );
+      expect(merged).toContain("[feature:replication_failures]\ndisabled = 1");
+    });
+
+    it("should overwrite files not marked merge", async () => {
+      const resolvedInstances = new Map();
+      resolvedInstances.set("sh3", {
+        apps: [],
+        files: [
+          { source: "./files/health.conf", destination: "system/local" },
+          { source: "./sh3/health.conf", destination: "system/local" }
+        ],
+        datagens: []
+      });
+
+      await generateApps(testCourseDir, resolvedInstances);
+
+      expect(
+        fs.readFileSync(
+          path.join(distDir, "sh3", "system", "local", "health.conf"),
+          "utf-8"
+        )
+      ).toBe(
+        fs.readFileSync(path.join(testCourseDir, "sh3", "health.conf"), "utf-8")
+      );
+    });
+
+    it("should render templates for each instance", async () => {
+      const resolvedInstances = new Map();
+      for (const name of ["cm1", "idx1", "idx2"]) {
+        resolvedInstances.set(name, {
+          apps: [{ source: "./apps/uf-outputs", destination: "apps" }],
+          files: [
+            { source: "./files/server.conf.tmpl", destination: "system/local" }
+          ],
+          datagens: []
+        });
+      }
+
+      await generateApps(testCourseDir, resolvedInstances, {
+        metadata: { slug: "cluster-admin" },
+        vars: { pass4SymmKey: "changeme" }
+      });
+
+      const localDir = path.join(distDir, "idx2", "system", "local");
+      expect(fs.readdirSync(localDir)).toEqual(["server.conf"]);
+      expect(fs.readFileSync(path.join(localDir, "server.conf"), "utf-8")).toBe(
+        "[general]\nserverName = idx2\nsite = site2\n\n[clustering]\nmanager_uri = https://cm1:8089\npass4SymmKey = changeme\n"
+      );
+      expect(
+        fs.readFileSync(
+          path.join(
+            distDir,
+            "idx2",
+            "apps",
+            "uf-outputs",
+            "default",
+            "outputs.conf"
+          ),
+          "utf-8"
+        )
+      ).toBe("[tcpout:cluster-admin]\nserver = idx1,idx2\n");
+    });
+
+    it("should skip templates with unresolved placeholders", async () => {
+      const resolvedInstances = new Map();
+      resolvedInstances.set("idx1", {
+        apps: [],
+        files: [
+          { source: "./files/server.conf.tmpl", destination: "system/local" }
+        ],
+        datagens: []
+      });
+
+      await generateApps(testCourseDir, resolvedInstances);
+
+      expect(
+        fs.existsSync(
+          path.join(distDir, "idx1", "system", "local", "server.conf")
+        )
+      ).toBe(false);
+    });
+
+    it("should write the topology app", async () => {
+      const resolvedInstances = new Map();
+      resolvedInstances.set("idx1", {
+        apps: [],
+        files: [],
+        datagens: [],
+        topology: { "default/server.conf": "[clustering]\nmode = peer\n" }
+      });
+
+      await generateApps(testCourseDir, resolvedInstances);
+
+      const appDir = path.join(distDir, "idx1", "apps", "jslab_topology");
+      expect(
+        fs.readFileSync(path.join(appDir, "default", "server.conf"), "utf-8")
+      ).toBe("[clustering]\nmode = peer\n");
+      expect(
+        fs.readFileSync(path.join(appDir, "default", "app.conf"), "utf-8")
+      ).toContain("[ui]\nis_visible = false");
+    });
+
+    it("should expand source globs in app entries", async () => {
+      const resolvedInstances = new Map();
+      resolvedInstances.set("cm1", {
+        apps: [
+          { source: "./apps/*", destination: "manager-apps" },
+          { source: "!./apps/uf-*", destination: "manager-apps" }
+        ],
+        files: [],
+        datagens: []
+      });
+
+      await generateApps(testCourseDir, resolvedInstances);
+
+      expect(fs.readdirSync(path.join(distDir, "cm1", "manager-apps"))).toEqual(
+        ["idx-base-config", "idx-transforms"]
+      );
+    });
+
+    it("should copy every datagen and record each destination", async () => {
+      const resolvedInstances = new Map();
+      resolvedInstances.set("uf1", {
+        apps: [],
+        files: [],
+        datagens: [
+          { source: "./datagens/good-log.py", destination: "/opt/log/good" },
+          { source: "./datagens/bad-log.py", destination: "/opt/log/bad" },
+          { source: "TBD", destination: null }
+        ]
+      });
+
+      await generateApps(testCourseDir, resolvedInstances);
+
+      const datagenDir = path.join(distDir, "uf1", "datagen");
+      expect(fs.readdirSync(datagenDir).sort()).toEqual([
+        "bad-log.py",
+        "datagen-metadata.json",
+        "good-log.py",
+        "jslab-datagen-bad-log-py.service",
+        "jslab-datagen-good-log-py.service",
+        "run-bad-log.py.sh",
+        "run-good-log.py.sh"
+      ]);
+      expect(
+        JSON.parse(
+          fs.readFileSync(path.join(datagenDir, "datagen-metadata.json"))
+        )
+      ).toMatchObject({
+        "good-log.py": { destination: "/opt/log/good" },
+        "bad-log.py": { destination: "/opt/log/bad" }
+      });
+    });
+
+    it("should write a cron entry and wrapper for scheduled datagens", async () => {
+      const resolvedInstances = new Map();
+      resolvedInstances.set("uf1", {
+        apps: [],
+        files: [],
+        datagens: [
+          {
+            source: "./datagens/good-log.py",
+            destination: "/opt/log/good",
+            schedule: "*/5 * * * *",
+            owner: "splunk",
+            mode: "0750"
+          }
+        ]
+      });
+
+      await generateApps(testCourseDir, resolvedInstances);
+
+      const datagenDir = path.join(distDir, "uf1", "datagen");
+      expect(
+        fs.readFileSync(
+          path.join(datagenDir, "jslab-datagen-good-log-py.cron"),
+          "utf-8"
+        )
+      ).toContain("*/5 * * * * splunk /opt/log/good/run-good-log.py.sh\n");
+      expect(
+        fs.statSync(path.join(datagenDir, "good-log.py")).mode & 0o777
+      ).toBe(0o750);
+      expect(
+        fs.statSync(path.join(datagenDir, "run-good-log.py.sh")).mode & 0o777
+      ).toBe(0o755);
+      expect(
+        JSON.parse(
+          fs.readFileSync(path.join(datagenDir, "datagen-metadata.json"))
+        )["good-log.py"].unit
+      ).toEqual({
+        file: "jslab-datagen-good-log-py.cron",
+        installPath: "/etc/cron.d/jslab-datagen-good-log-py"
+      });
+    });
+
+    it("should report datagens that would install the same unit", async () => {
+      const lookalike = path.join(testCourseDir, "datagens", "good.log.py");
+      fs.copyFileSync(
+        path.join(testCourseDir, "datagens", "good-log.py"),
+        lookalike
+      );
+      const diagnostics = createDiagnostics();
+      const resolvedInstances = new Map([
+        [
+          "uf1",
+          {
+            apps: [],
+            files: [],
+            datagens: [
+              { source: "./datagens/good-log.py", destination: "/opt/log" },
+              { source: "./datagens/good.log.py", destination: "/opt/log" }
+            ]
+          }
+        ]
+      ]);
+
+      try {
+        await generateApps(testCourseDir, resolvedInstances, { diagnostics });
+      } finally {
+        fs.rmSync(lookalike);
+      }
+
+      expect(diagnostics.items).toEqual([
+        expect.objectContaining({
+          severity: "error",
+          code: "datagen-conflict",
+          instance: "uf1",
+          source: "./datagens/good.log.py",
+          message: expect.stringContaining(
+            "/etc/systemd/system/jslab-datagen-good-log-py.service"
+          )
+        })
+      ]);
+    });
+
+    it("should run the entry script of datagen folders and warn without one", async () => {
+      const folder = path.join(testCourseDir, "datagens", "web-log");
+      fs.mkdirSync(path.join(folder, "bin"), { recursive: true });
+      fs.writeFileSync(path.join(folder, "bin", "generate.py"), "");
+      fs.mkdirSync(path.join(testCourseDir, "datagens", "samples"));
+      const diagnostics = createDiagnostics();
+      const resolvedInstances = new Map([
+        [
+          "uf1",
+          {
+            apps: [],
+            files: [],
+            datagens: [
+              {
+                source: "./datagens/web-log",
+                destination: "/opt/log",
+                entry: "bin/generate.py"
+              },
+              { source: "./datagens/samples", destination: "/opt/samples" }
+            ]
+          }
+        ]
+      ]);
+
+      try {
+        await generateApps(testCourseDir, resolvedInstances, { diagnostics });
+      } finally {
+        fs.rmSync(folder, { recursive: true });
+        fs.rmSync(path.join(testCourseDir, "datagens", "samples"), {
+          recursive: true
+        });
+      }
+
+      const datagenDir = path.join(distDir, "uf1", "datagen");
+      expect(
+        fs.readFileSync(path.join(datagenDir, "run-web-log.sh"), "utf-8")
+      ).toContain("exec python3 /opt/log/web-log/bin/generate.py\n");
+      expect(
+        fs.existsSync(path.join(datagenDir, "jslab-datagen-web-log.service"))
+      ).toBe(true);
+      expect(diagnostics.items).toEqual([
+        expect.objectContaining({
+          severity: "warning",
+          code: "datagen-not-run",
+          source: "./datagens/samples"
+        })
+      ]);
+    });
+  });
+
+  describe("ignore rules", () => {
+    const appDir = path.join(testCourseDir, "apps", "idx-base-config");
+    const clutter = [
+      path.join(appDir, ".DS_Store"),
+      path.join(appDir, "default", "indexes.conf.bak")
+    ];
+    const resolvedInstances = new Map([
+      [
+        "idx1",
+        {
+          apps: [{ source: "./apps/idx-base-config", destination: "apps" }],
+          files: [],
+          datagens: []
+        }
+      ]
+    ]);
+
+    beforeEach(() => {
+      for (const file of clutter) fs.writeFileSync(file, "");
+    });
+
+    afterEach(() => {
+      for (const file of clutter) fs.rmSync(file, { force: true });
+    });
+
+    it("should skip ignored files when copying apps", async () => {
+      await generateApps(testCourseDir, resolvedInstances, {
+        ignore: createIgnoreRules(testCourseDir, ["*.bak"])
+      });
+
+      const copiedApp = path.join(distDir, "idx1", "apps", "idx-base-config");
+      expect(fs.readdirSync(copiedApp)).toEqual(["default"]);
+      expect(fs.readdirSync(path.join(copiedApp, "default")).sort()).toEqual([
+        "app.conf",
+        "indexes.conf"
+      ]);
+    });
+
+    it("should leave ignored files out of packaged apps", async () => {
+      await generateApps(testCourseDir, resolvedInstances);
+      const copiedApp = path.join(distDir, "idx1", "apps", "idx-base-config");
+      fs.writeFileSync(path.join(copiedApp, "default", "app.conf~"), "");
+
+      await packageApps(distDir, resolvedInstances);
+
+      const listing = execSync("tar -tzf idx-base-config.tar.gz", {
+        cwd: path.join(distDir, "idx1", "apps"),
+        encoding: "utf-8"
+      });
+      expect(listing).toContain("idx-base-config/default/app.conf\n");
+      expect(listing).not.toContain("app.conf~");
+    });
+  });
+
+  describe("incremental builds", () => {
+    const courseDir = path.join(fixturesDir, "test-incremental");
+    const dist = path.join(courseDir, "dist");
+    const marker = (...parts) => path.join(dist, ...parts, "marker");
+
+    const writeFile = (relativePath, content) => {
+      const filePath = path.join(courseDir, relativePath);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+    };
+    const instances = (entries) =>
+      new Map(
+        Object.entries(entries).map(([name, apps]) => [
+          name,
+          {
+            apps: apps.map((source) => ({ source, destination: "apps" })),
+            files: [],
+            datagens: []
+          }
+        ])
+      );
+
+    beforeEach(() => {
+      writeFile("apps/app_a/default/app.conf", "[ui]\n");
+      writeFile("apps/app_b/default/app.conf", "[ui]\n");
+    });
+
+    afterEach(() => {
+      fs.rmSync(courseDir, { recursive: true, force: true });
+    });
+
+    it("should only rebuild outputs whose sources changed", async () => {
+      const resolved = instances({
+        idx1: ["./apps/app_a", "./apps/app_b"],
+        sh1: ["./apps/app_b"]
+      });
+      await generateApps(courseDir, resolved);
+      fs.writeFileSync(marker("idx1", "apps", "app_a"), "");
+      fs.writeFileSync(marker("idx1", "apps", "app_b"), "");
+      fs.writeFileSync(marker("sh1", "apps", "app_b"), "");
+
+      writeFile("apps/app_a/default/app.conf", "[ui]\nis_visible = 0\n");
+      const { changed } = await generateApps(courseDir, resolved);
+
+      expect(changed).toEqual(["idx1"]);
+      expect(fs.existsSync(marker("idx1", "apps", "app_a"))).toBe(false);
+      expect(fs.existsSync(marker("idx1", "apps", "app_b"))).toBe(true);
+      expect(fs.existsSync(marker("sh1", "apps", "app_b"))).toBe(true);
+      expect(
+        fs.readFileSync(
+          path.join(dist, "idx1", "apps", "app_a", "default", "app.conf"),
+          "utf-8"
+        )
+      ).toContain("is_visible = 0");
+    });
+
+    it("should remove apps and instances the manifest no longer has", async () => {
+      await generateApps(
+        courseDir,
+        instances({
+          idx1: ["./apps/app_a", "./apps/app_b"],
+          sh1: ["./apps/app_b"]
+        })
+      );
+
+      const { changed } = await generateApps(
+        courseDir,
+        instances({ idx1: ["./apps/app_a"] })
+      );
+
+      expect(changed).toEqual(["idx1"]);
+      expect(fs.readdirSync(path.join(dist, "idx1", "apps"))).toEqual([
+        "app_a"
+      ]);
+      expect(fs.existsSync(path.join(dist, "sh1"))).toBe(false);
+    });
+
+    it("should only check the instances listed in only", async () => {
+      const resolved = instances({
+        idx1: ["./apps/app_a"],
+        sh1: ["./apps/app_a"]
+      });
+      await generateApps(courseDir, resolved);
+
+      writeFile("apps/app_a/default/app.conf", "[ui]\nis_visible = 0\n");
+      const { changed } = await generateApps(courseDir, resolved, {
+        only: ["sh1"]
+      });
+
+      expect(changed).toEqual(["sh1"]);
+      expect(
+        fs.readFileSync(
+          path.join(dist, "idx1", "apps", "app_a", "default", "app.conf"),
+          "utf-8"
+        )
+      ).toBe("[ui]\n");
+    });
+
+    it("should rebuild everything with force", async () => {
+      const resolved = instances({ idx1: ["./apps/app_a"] });
+      await generateApps(courseDir, resolved);
+      fs.writeFileSync(marker("idx1", "apps", "app_a"), "");
+
+      const { changed } = await generateApps(courseDir, resolved, {
+        force: true
+      });
+
+      expect(changed).toEqual(["idx1"]);
+      expect(fs.existsSync(marker("idx1", "apps", "app_a"))).toBe(false);
+    });
+
+    it("should list every file written in the build report", async () => {
+      const resolved = instances({
+        idx1: ["./apps/app_a", "./apps/app_b"]
+      });
+      const metadata = {
+        courseId: "0001",
+        slug: "test",
+        updated: "2026-01-01"
+      };
+      await generateApps(courseDir, resolved, { metadata });
+      writeFile("apps/app_a/default/app.conf", "[ui]\nis_visible = 0\n");
+      await generateApps(courseDir, resolved, { metadata });
+
+      const report = readBuildReport(dist);
+      expect(report.metadata).toEqual(metadata);
+      expect(Object.keys(report.instances.idx1.files)).toEqual([
+        "apps/app_a/default/app.conf",
+        "apps/app_b/default/app.conf"
+      ]);
+      expect(
+        report.instances.idx1.files["apps/app_a/default/app.conf"]
+      ).toEqual({
+        source: "apps/app_a/default/app.conf",
+        size: 20,
+        sha256: hashFile(
+          path.join(dist, "idx1", "apps", "app_a", "default", "app.conf")
+        )
+      });
+      expect(verifyBuild(dist).problems).toEqual([]);
+    });
+
+    it("should record archives in the build report", async () => {
+      const resolved = instances({ idx1: ["./apps/app_a"] });
+      await generateApps(courseDir, resolved, { tar: "apps", clean: true });
+      await packageApps(dist, resolved, true);
+
+      const report = readBuildReport(dist);
+      expect(Object.keys(report.archives)).toEqual(["idx1/apps/app_a.tar.gz"]);
+      expect(report.archives["idx1/apps/app_a.tar.gz"].source).toBe(
+        "apps/app_a"
+      );
+      expect(verifyBuild(dist)).toEqual({ checked: 2, problems: [] });
+    });
+
+    it("should verify apps packaged inside instance archives", async () => {
+      const resolved = instances({ idx1: ["./apps/app_a"] });
+      await generateApps(courseDir, resolved, { tar: "all", clean: true });
+      await packageApps(dist, resolved, true);
+      await packageInstances(dist, resolved, true);
+
+      const report = readBuildReport(dist);
+      expect(
+        report.instances.idx1.files["apps/app_a/default/app.conf"]
+      ).toMatchObject({ archive: "idx1/apps/app_a.tar.gz" });
+      expect(report.archives["idx1/apps/app_a.tar.gz"].archive).toBe(
+        "idx1.tar.gz"
+      );
+      expect(verifyBuild(dist).problems).toEqual([]);
+    });
+
+    it("should package the apps the manifest copies at any depth", async () => {
+      writeFile("apps/flat/app.conf", "[ui]\n");
+      writeFile("files/server.conf", "[general]\n");
+      const resolved = new Map([
+        [
+          "cm1",
+          {
+            apps: [
+              { source: "./apps/app_a", destination: "shcluster/apps" },
+              { source: "./apps/flat", destination: "deployment-apps" }
+            ],
+            files: [
+              { source: "./files/server.conf", destination: "system/local" }
+            ],
+            datagens: []
+          }
+        ]
+      ]);
+      await generateApps(courseDir, resolved, { tar: "apps", clean: true });
+      await packageApps(dist, resolved, true);
+
+      const listing = fs
+        .readdirSync(path.join(dist, "cm1"), { recursive: true })
+        .map((entry) => entry.split(path.sep).join("/"))
+        .filter((entry) => !entry.startsWith("system/"))
+        .sort();
+      expect(listing).toEqual([
+        "deployment-apps",
+        "deployment-apps/flat.tar.gz",
+        "shcluster",
+        "shcluster/apps",
+        "shcluster/apps/app_a.tar.gz",
+        "system"
+      ]);
+      expect(readBuildReport(dist).archives).toEqual({
+        "cm1/deployment-apps/flat.tar.gz": expect.objectContaining({
+          source: "apps/flat"
+        }),
+        "cm1/shcluster/apps/app_a.tar.gz": expect.objectContaining({
+          source: "apps/app_a"
+        })
+      });
+      expect(verifyBuild(dist).problems).toEqual([]);
+    });
+  });
+
+  describe("build problems", () => {
+    const missingApp = () => ({
+      apps: [{ source: "./apps/missing-app", destination: "apps" }],
+      files: [],
+      datagens: []
+    });
+    const baseApp = () => ({
+      apps: [{ source: "./apps/idx-base-config", destination: "apps" }],
+      files: [],
+      datagens: []
+    });
+    const resolvedInstances = new Map([
+      ["sh1", missingApp()],
+      ["sh2", missingApp()]
+    ]);
+
+    it("should collect missing sources as errors", async () => {
+      const diagnostics = createDiagnostics();
+
+      await generateApps(testCourseDir, resolvedInstances, {
+        diagnostics,
+        keepGoing: true,
+        concurrency: 2
+      });
+
+      expect(diagnostics.items).toEqual([
+        expect.objectContaining({
+          severity: "error",
+          code: "missing-source",
+          instance: "sh1",
+          source: "./apps/missing-app"
+        }),
+        expect.objectContaining({ code: "missing-source", instance: "sh2" })
+      ]);
+    });
+
+    it("should stop after an instance with errors unless keepGoing", async () => {
+      const { changed, skipped } = await generateApps(
+        testCourseDir,
+        resolvedInstances,
+        { diagnostics: createDiagnostics() }
+      );
+
+      expect(changed).toEqual(["sh1"]);
+      expect(skipped).toEqual(["sh2"]);
+      expect(fs.existsSync(path.join(distDir, "sh2"))).toBe(false);
+    });
+
+    it("should stop after an instance with warnings when strict", async () => {
+      const diagnostics = createDiagnostics({ strict: true });
+      const placeholder = () => ({
+        apps: [],
+        files: [],
+        datagens: [{ source: "TBD" }]
+      });
+
+      const { changed, skipped } = await generateApps(
+        testCourseDir,
+        new Map([
+          ["uf1", placeholder()],
+          ["uf2", placeholder()]
+        ]),
+        { diagnostics }
+      );
+
+      expect(changed).toEqual(["uf1"]);
+      expect(skipped).toEqual(["uf2"]);
+      expect(diagnostics.items).toEqual([
+        expect.objectContaining({
+          severity: "error",
+          code: "datagen-placeholder",
+          instance: "uf1"
+        })
+      ]);
+    });
+
+    it("should skip instances after one with errors when built concurrently", async () => {
+      const diagnostics = createDiagnostics();
+
+      const { changed, skipped } = await generateApps(
+        testCourseDir,
+        new Map([
+          ["idx1", baseApp()],
+          ["sh1", missingApp()],
+          ["idx2", baseApp()],
+          ["sh2", missingApp()]
+        ]),
+        { diagnostics, concurrency: 4 }
+      );
+
+      expect(changed).toEqual(["idx1", "sh1"]);
+      expect(skipped).toEqual(["idx2", "sh2"]);
+      expect(fs.readdirSync(distDir).sort()).toEqual([
+        ".jslab-index.json",
+        "idx1",
+        "jslab-build.json",
+        "sh1"
+      ]);
+      expect(diagnostics.items.map((item) => item.instance)).toEqual(["sh1"]);
+    });
+
+    it("should report archives that fail", async () => {
+      const resolved = new Map([["idx1", baseApp()]]);
+      await generateApps(testCourseDir, resolved, { tar: "apps" });
+      // Names longer than 100 characters don't fit in a ustar header
+      fs.writeFileSync(
+        path.join(distDir, "idx1", "apps", "idx-base-config", "x".repeat(120)),
+        ""
+      );
+      const diagnostics = createDiagnostics();
+
+      const unpackaged = await packageApps(
+        distDir,
+        resolved,
+        false,
+        undefined,
+        {
+          diagnostics
+        }
+      );
+
+      expect(unpackaged).toEqual(["idx1"]);
+      expect(diagnostics.items).toEqual([
+        expect.objectContaining({
+          severity: "error",
+          code: "package-failed",
+          instance: "idx1"
+        })
+      ]);
+    });
+
+    it("should remove archives of instances after one that failed", async () => {
+      const resolved = new Map([
+        ["idx1", baseApp()],
+        ["idx2", baseApp()]
+      ]);
+      await generateApps(testCourseDir, resolved, { tar: "apps" });
+      fs.writeFileSync(
+        path.join(distDir, "idx1", "apps", "idx-base-config", "x".repeat(120)),
+        ""
+      );
+
+      const unpackaged = await packageApps(distDir, resolved, true, undefined, {
+        diagnostics: createDiagnostics(),
+        concurrency: 2
+      });
+
+      expect(unpackaged).toEqual(["idx1", "idx2"]);
+      expect(fs.readdirSync(path.join(distDir, "idx2", "apps"))).toEqual([
+        "idx-base-config"
+      ]);
+    });
+  });
+
+  describe("modes and symlinks", () => {
+    const courseDir = path.join(fixturesDir, "test-links");
+    const dist = path.join(courseDir, "dist");
+    const appDir = path.join(courseDir, "apps", "app_a");
+    const outsideDir = path.join(fixturesDir, "test-links-outside");
+    const copied = (...parts) =>
+      path.join(dist, "idx1", "apps", "app_a", ...parts);
+    const modeOf = (filePath) =>
+      (fs.statSync(filePath).mode & 0o777).toString(8);
+    const resolved = new Map([
+      [
+        "idx1",
+        {
+          apps: [{ source: "./apps/app_a", destination: "apps" }],
+          files: [],
+          datagens: []
+        }
+      ]
+    ]);
+
+    beforeEach(() => {
+      fs.mkdirSync(path.join(appDir, "bin"), { recursive: true });
+      fs.mkdirSync(path.join(appDir, "lookups"), { recursive: true });
+      fs.mkdirSync(outsideDir, { recursive: true });
+      fs.writeFileSync(path.join(appDir, "bin", "fetch.py"), "print(1)\n");
+      fs.chmodSync(path.join(appDir, "bin", "fetch.py"), 0o644);
+      fs.writeFileSync(path.join(appDir, "bin", "secret.txt"), "");
+      fs.chmodSync(path.join(appDir, "bin", "secret.txt"), 0o600);
+      fs.writeFileSync(path.join(courseDir, "hosts.csv"), "host\n");
+      fs.symlinkSync(
+        "../../../hosts.csv",
+        path.join(appDir, "lookups", "hosts.csv")
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(courseDir, { recursive: true, force: true });
+      fs.rmSync(outsideDir, { recursive: true, force: true });
+    });
+
+    it("should keep file modes and make bin scripts executable", async () => {
+      await generateApps(courseDir, resolved, { tar: "apps" });
+
+      expect(modeOf(copied("bin", "fetch.py"))).toBe("755");
+      expect(modeOf(copied("bin", "secret.txt"))).toBe("600");
+
+      await packageApps(dist, resolved);
+      const listing = execSync("tar -tvzf app_a.tar.gz", {
+        cwd: path.join(dist, "idx1", "apps"),
+        encoding: "utf-8"
+      });
+      // Archives only keep whether a file is executable
+      expect(listing).toMatch(/^-rwxr-xr-x .* app_a\/bin\/fetch\.py$/m);
+      expect(listing).toMatch(/^-rw-r--r-- .* app_a\/bin\/secret\.txt$/m);
+    });
+
+    it("should follow symlinks by default", async () => {
+      await generateApps(courseDir, resolved);
+
+      const lookup = copied("lookups", "hosts.csv");
+      expect(fs.lstatSync(lookup).isSymbolicLink()).toBe(false);
+      expect(fs.readFileSync(lookup, "utf-8")).toBe("host\n");
+    });
+
+    it("should copy symlinks as links when kept", async () => {
+      await generateApps(courseDir, resolved, { symlinks: "keep" });
+
+      expect(fs.readlinkSync(copied("lookups", "hosts.csv"))).toBe(
+        "../../../hosts.csv"
+      );
+      expect(
+        readBuildReport(dist).instances.idx1.files[
+          "apps/app_a/lookups/hosts.csv"
+        ]
+      ).toEqual({
+        source: "apps/app_a/lookups/hosts.csv",
+        link: "../../../hosts.csv"
+      });
+      expect(verifyBuild(dist).problems).toEqual([]);
+    });
+
+    it("should reject symlinks outside the course directory", async () => {
+      fs.writeFileSync(path.join(outsideDir, "users.csv"), "user\n");
+      fs.symlinkSync(
+        path.join(outsideDir, "users.csv"),
+        path.join(appDir, "lookups", "users.csv")
+      );
+      const diagnostics = createDiagnostics();
+
+      await generateApps(courseDir, resolved, {
+        symlinks: "reject-outside",
+        diagnostics
+      });
+
+      expect(fs.readdirSync(copied("lookups"))).toEqual(["hosts.csv"]);
+      expect(diagnostics.items).toEqual([
+        expect.objectContaining({
+          severity: "error",
+          code: "symlink-outside",
+          instance: "idx1",
+          source: "apps/app_a/lookups/users.csv"
+        })
+      ]);
+    });
+
+    it("should report broken symlinks", async () => {
+      fs.symlinkSync("missing.csv", path.join(appDir, "lookups", "gone.csv"));
+      const diagnostics = createDiagnostics();
+
+      await generateApps(courseDir, resolved, { diagnostics });
+
+      expect(diagnostics.items).toEqual([
+        expect.objectContaining({
+          code: "broken-symlink",
+          message:
+            "apps/app_a/lookups/gone.csv links to missing.csv, which does not exist"
+        })
+      ]);
+    });
   });
 
   describe("cleanDist", () => {
-    it("should remove existing dist directory", () => {
+    it("should remove existing dist directory", async () => {
       // Create a dist directory
       fs.mkdirSync(distDir, { recursive: true });
       fs.writeFileSync(path.join(distDir, "test.txt"), "test");
 
       expect(fs.existsSync(distDir)).toBe(true);
 
-      cleanDist(testCourseDir);
+      await cleanDist(testCourseDir);
 
       expect(fs.existsSync(distDir)).toBe(false);
     });
 
-    it("should not throw error if dist does not exist", () => {
-      expect(() => cleanDist(testCourseDir)).not.toThrow();
+    it("should not throw error if dist does not exist", async () => {
+      await expect(cleanDist(testCourseDir)).resolves.toBeUndefined();
     });
   });
 });
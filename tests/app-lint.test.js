@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { lintApp, lintInstanceApps } from "../src/lib/app-lint.js";
+import { createDiagnostics } from "../src/lib/diagnostics.js";
+import { createIgnoreRules } from "../src/lib/ignore.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe("app-lint", () => {
+  const testDir = path.join(__dirname, "fixtures", "test-lint");
+  const appDir = path.join(testDir, "apps", "my_app");
+
+  const writeFile = (relativePath, content) => {
+    const filePath = path.join(appDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  const validAppConf =
+    "[launcher]\nversion = 1.0.0\n\n[package]\nid = my_app\n\n[ui]\nis_visible = 0\n";
+
+  beforeEach(() => {
+    fs.mkdirSync(appDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe("lintApp", () => {
+    it("should accept a well-formed app", () => {
+      writeFile("default/app.conf", validAppConf);
+      writeFile("default/props.conf", "[syslog]\nTRUNCATE = 0\n");
+
+      expect(lintApp(appDir)).toEqual([]);
+    });
+
+    it("should report a missing app.conf", () => {
+      writeFile("default/props.conf", "[syslog]\nTRUNCATE = 0\n");
+
+      expect(lintApp(appDir)).toEqual([
+        {
+          code: "missing-app-conf",
+          file: "default/app.conf",
+          message: "app has no default/app.conf"
+        }
+      ]);
+    });
+
+    it("should report missing stanzas and a mismatched package id", () => {
+      writeFile("default/app.conf", "[package]\nid = other_app\n");
+
+      expect(lintApp(appDir).map((finding) => finding.message)).toEqual([
+        "app.conf has no [launcher] stanza",
+        "app.conf has no [ui] stanza",
+        '[package] id "other_app" does not match the app directory "my_app"'
+      ]);
+    });
+
+    it("should report local settings, empty files and malformed stanzas", () => {
+      writeFile("default/app.conf", validAppConf);
+      writeFile("default/empty.conf", "\n");
+      writeFile(
+        "default/props.conf",
+        "[syslog\nTRUNCATE = 0\nREGEX = a \\\n[not a header]\n"
+      );
+      writeFile("local/props.conf", "[syslog]\nTRUNCATE = 1\n");
+      writeFile("metadata/local.meta", "[]\naccess = read : [ * ]\n");
+
+      expect(
+        lintApp(appDir).map((finding) => [finding.code, finding.file])
+      ).toEqual([
+        ["local-directory", "local"],
+        ["local-meta", "metadata/local.meta"],
+        ["empty-conf", "default/empty.conf"],
+        ["malformed-stanza", "default/props.conf"]
+      ]);
+    });
+
+    it("should skip files the ignore rules leave out", () => {
+      writeFile("default/app.conf", validAppConf);
+      writeFile("default/empty.conf.bak", "");
+      writeFile("local/props.conf", "[syslog]\nTRUNCATE = 1\n");
+      writeFile(".jslabignore", "/local/\n*.bak\n");
+
+      expect(lintApp(appDir, createIgnoreRules(null).forApp(appDir))).toEqual(
+        []
+      );
+    });
+  });
+
+  describe("lintInstanceApps", () => {
+    it("should report findings for every instance using the app", () => {
+      writeFile("default/app.conf", "[launcher]\n[package]\nid = my_app\n");
+      const diagnostics = createDiagnostics();
+      const app = { source: "./apps/my_app", destination: "apps" };
+
+      const count = lintInstanceApps(
+        testDir,
+        new Map([
+          ["sh1", { apps: [app], files: [], datagens: [] }],
+          ["sh2", { apps: [app, { source: "./apps/missing" }] }]
+        ]),
+        diagnostics
+      );
+
+      expect(count).toBe(2);
+      expect(diagnostics.items).toEqual(
+        ["sh1", "sh2"].map((instance) => ({
+          severity: "warning",
+          code: "missing-stanza",
+          message: "./apps/my_app: app.conf has no [ui] stanza",
+          instance,
+          app: "./apps/my_app",
+          file: path.join(appDir, "default/app.conf")
+        }))
+      );
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  createSourceHasher,
+  hashValue,
+  invalidateInstances,
+  readBuildIndex,
+  writeBuildIndex
+} from "../src/lib/build-index.js";
+import { createIgnoreRules } from "../src/lib/ignore.js";
+import { createSymlinkPolicy } from "../src/lib/symlinks.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe("build-index", () => {
+  const testDir = path.join(__dirname, "fixtures", "test-build-index");
+  const appDir = path.join(testDir, "apps", "my_app");
+
+  const writeFile = (relativePath, content) => {
+    const filePath = path.join(appDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  beforeEach(() => {
+    writeFile("default/app.conf", "[ui]\n");
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe("createSourceHasher", () => {
+    it("should change the hash when a file is renamed", async () => {
+      const before = await createSourceHasher()(appDir);
+      fs.renameSync(
+        path.join(appDir, "default", "app.conf"),
+        path.join(appDir, "default", "other.conf")
+      );
+
+      expect((await createSourceHasher()(appDir)).hash).not.toBe(before.hash);
+    });
+
+    it("should change the hash when a file's mode changes", async () => {
+      const before = await createSourceHasher()(appDir);
+      fs.chmodSync(path.join(appDir, "default", "app.conf"), 0o600);
+
+      expect((await createSourceHasher()(appDir)).hash).not.toBe(before.hash);
+    });
+
+    it("should hash kept symlinks by their target", async () => {
+      const keepLinks = createSymlinkPolicy(testDir, "keep");
+      const link = path.join(appDir, "default", "hosts.csv");
+      fs.symlinkSync("../lookups/hosts.csv", link);
+      const before = await createSourceHasher(keepLinks)(appDir);
+      fs.rmSync(link);
+      fs.symlinkSync("../lookups/users.csv", link);
+
+      expect((await createSourceHasher(keepLinks)(appDir)).hash).not.toBe(
+        before.hash
+      );
+    });
+
+    it("should hash each source once per build", async () => {
+      const hashSource = createSourceHasher();
+      const first = await hashSource(appDir);
+      writeFile("default/app.conf", "[ui]\nis_visible = 0\n");
+
+      expect(await hashSource(appDir)).toBe(first);
+    });
+
+    it("should skip ignored files and note templates", async () => {
+      const before = await createSourceHasher()(
+        appDir,
+        createIgnoreRules(null)
+      );
+      writeFile(".DS_Store", "");
+      const after = await createSourceHasher()(appDir, createIgnoreRules(null));
+
+      expect(after).toEqual(before);
+      expect(after.templated).toBe(false);
+
+      writeFile("default/inputs.conf.tmpl", "[monitor://${instance.name}]\n");
+      expect((await createSourceHasher()(appDir)).templated).toBe(true);
+    });
+
+    it("should return null for missing sources", async () => {
+      expect(
+        await createSourceHasher()(path.join(testDir, "missing"))
+      ).toBeNull();
+    });
+  });
+
+  describe("readBuildIndex", () => {
+    it("should read back what writeBuildIndex wrote", () => {
+      writeBuildIndex(testDir, { tar: null }, { idx1: { system: "abc" } });
+
+      expect(readBuildIndex(testDir)).toMatchObject({
+        settings: { tar: null },
+        instances: { idx1: { system: "abc" } }
+      });
+    });
+
+    it("should return null without a usable index", () => {
+      expect(readBuildIndex(testDir)).toBeNull();
+      fs.writeFileSync(path.join(testDir, ".jslab-index.json"), "{");
+      expect(readBuildIndex(testDir)).toBeNull();
+    });
+  });
+
+  describe("invalidateInstances", () => {
+    it("should clear the hashes of the instances given", () => {
+      writeBuildIndex(
+        testDir,
+        { tar: "apps" },
+        { idx1: { system: "abc" }, sh1: { system: "def" } }
+      );
+
+      invalidateInstances(testDir, ["idx1"]);
+
+      expect(readBuildIndex(testDir).instances).toEqual({
+        idx1: { system: null },
+        sh1: { system: "def" }
+      });
+    });
+  });
+
+  describe("hashValue", () => {
+    it("should hash equal values the same way", () => {
+      expect(hashValue({ a: [1, "b"] })).toBe(hashValue({ a: [1, "b"] }));
+      expect(hashValue({ a: 1 })).not.toBe(hashValue({ a: 2 }));
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  BUILD_REPORT_FILE,
+  describeFile,
+  readBuildReport,
+  recordArchives,
+  verifyBuild,
+  writeBuildReport
+} from "../src/lib/build-report.js";
+import { writeTarGz } from "../src/lib/tar-archive.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe("build-report", () => {
+  const distDir = path.join(__dirname, "fixtures", "test-build-report");
+  const appConf = path.join(distDir, "idx1", "apps", "my_app", "app.conf");
+
+  beforeEach(async () => {
+    fs.mkdirSync(path.dirname(appConf), { recursive: true });
+    fs.writeFileSync(appConf, "[ui]\n");
+    writeBuildReport(distDir, {
+      jslab: "1.0.0",
+      manifest: { sha256: null },
+      metadata: {},
+      instances: {
+        idx1: {
+          files: {
+            "apps/my_app/app.conf": await describeFile(appConf, {
+              source: "apps/my_app/app.conf"
+            })
+          }
+        }
+      },
+      archives: {}
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(distDir, { recursive: true, force: true });
+  });
+
+  describe("describeFile", () => {
+    it("should add the size and checksum to the origin", async () => {
+      expect(
+        await describeFile(appConf, { generated: "spec.topology" })
+      ).toEqual({
+        generated: "spec.topology",
+        size: 5,
+        sha256:
+          "00709133ba05fd1f709d377a4960f3149feeb5f6d53c20510996944801f1fdce"
+      });
+    });
+  });
+
+  describe("verifyBuild", () => {
+    it("should pass a build that matches its report", () => {
+      expect(verifyBuild(distDir)).toEqual({ checked: 1, problems: [] });
+    });
+
+    it("should report modified, missing and unexpected files", () => {
+      fs.writeFileSync(appConf, "[ui]\nis_visible = 0\n");
+      fs.writeFileSync(path.join(distDir, "idx1", "notes.txt"), "");
+
+      expect(verifyBuild(distDir).problems).toEqual([
+        { path: "idx1/apps/my_app/app.conf", problem: "modified" },
+        { path: "idx1/notes.txt", problem: "unexpected" }
+      ]);
+
+      fs.rmSync(appConf);
+      expect(verifyBuild(distDir).problems).toEqual([
+        { path: "idx1/apps/my_app/app.conf", problem: "missing" },
+        { path: "idx1/notes.txt", problem: "unexpected" }
+      ]);
+    });
+
+    it("should throw without a report", () => {
+      fs.rmSync(path.join(distDir, BUILD_REPORT_FILE));
+
+      expect(() => verifyBuild(distDir)).toThrow(
+        `No ${BUILD_REPORT_FILE} found`
+      );
+    });
+  });
+
+  describe("recordArchives", () => {
+    const appDir = path.dirname(appConf);
+    const archivePath = `${appDir}.tar.gz`;
+
+    const packageApp = async () => {
+      await writeTarGz(path.dirname(appDir), "my_app", archivePath, {
+        mtime: 0
+      });
+      fs.rmSync(appDir, { recursive: true });
+      await recordArchives(distDir, [{ archivePath, removedDir: appDir }]);
+    };
+
+    it("should check files against the archive that replaced them", async () => {
+      await packageApp();
+
+      const report = readBuildReport(distDir);
+      expect(report.archives["idx1/apps/my_app.tar.gz"].sha256).toMatch(
+        /^[0-9a-f]{64}$/
+      );
+      expect(report.instances.idx1.files["apps/my_app/app.conf"].archive).toBe(
+        "idx1/apps/my_app.tar.gz"
+      );
+      expect(verifyBuild(distDir)).toEqual({ checked: 2, problems: [] });
+    });
+
+    it("should report files changed inside a packaged archive", async () => {
+      await packageApp();
+      const report = readBuildReport(distDir);
+
+      // Repackage with a tampered file and record the new archive hash, so
+      // only the file inside it differs from the report
+      fs.mkdirSync(appDir, { recursive: true });
+      fs.writeFileSync(appConf, "[ui]\nis_visible = 0\n");
+      fs.writeFileSync(path.join(appDir, "notes.txt"), "");
+      await writeTarGz(path.dirname(appDir), "my_app", archivePath, {
+        mtime: 0
+      });
+      fs.rmSync(appDir, { recursive: true });
+      report.archives["idx1/apps/my_app.tar.gz"] = await describeFile(
+        archivePath,
+        {}
+      );
+      writeBuildReport(distDir, report);
+
+      expect(verifyBuild(distDir)).toEqual({
+        checked: 2,
+        problems: [
+          { path: "idx1/apps/my_app/app.conf", problem: "modified" },
+          { path: "idx1/apps/my_app/notes.txt", problem: "unexpected" }
+        ]
+      });
+    });
+  });
+});
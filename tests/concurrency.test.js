@@ -0,0 +1,61 @@
+import { describe, it, expect } from "vitest";
+import { mapConcurrent } from "../src/lib/concurrency.js";
+
+describe("concurrency", () => {
+  const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  describe("mapConcurrent", () => {
+    it("should keep item order with at most limit calls running", async () => {
+      let running = 0;
+      let most = 0;
+
+      const results = await mapConcurrent(
+        [30, 10, 20, 0],
+        2,
+        async (ms, index) => {
+          running++;
+          most = Math.max(most, running);
+          await delay(ms);
+          running--;
+          return index;
+        }
+      );
+
+      expect(results).toEqual([0, 1, 2, 3]);
+      expect(most).toBe(2);
+    });
+
+    it("should start no more calls once shouldStop returns true", async () => {
+      const started = [];
+      let stop = false;
+
+      const results = await mapConcurrent(
+        [1, 2, 3, 4],
+        2,
+        async (item) => {
+          started.push(item);
+          await delay(5);
+          stop ||= item === 1;
+          return item;
+        },
+        () => stop
+      );
+
+      expect(started).toEqual([1, 2]);
+      expect(results).toEqual([1, 2, undefined, undefined]);
+    });
+
+    it("should throw the first error once running calls finish", async () => {
+      let finished = false;
+
+      await expect(
+        mapConcurrent([1, 2], 2, async (item) => {
+          if (item === 1) throw new Error("boom");
+          await delay(10);
+          finished = true;
+        })
+      ).rejects.toThrow("boom");
+      expect(finished).toBe(true);
+    });
+  });
+});
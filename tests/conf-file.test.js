@@ -0,0 +1,101 @@
+import { describe, it, expect } from "vitest";
+import { formatConf, mergeConf, parseConf } from "../src/lib/conf-file.js";
+
+describe("conf-file", () => {
+  describe("parseConf", () => {
+    it("should split stanzas, settings and comments", () => {
+      const sections = parseConf(
+        "# global\nserverName = idx1\n\n[general]\npass4SymmKey = changeme\n"
+      );
+
+      expect(sections).toEqual([
+        {
+          name: "",
+          comments: [],
+          lines: [
+            { type: "comment", text: "# global" },
+            { type: "setting", key: "serverName", text: "serverName = idx1" },
+            { type: "blank", text: "" }
+          ]
+        },
+        {
+          name: "general",
+          comments: [],
+          lines: [
+            {
+              type: "setting",
+              key: "pass4SymmKey",
+              text: "pass4SymmKey = changeme"
+            }
+          ]
+        }
+      ]);
+    });
+
+    it("should keep continued lines with their setting", () => {
+      const [section] = parseConf(
+        "[search]\nsearch = index=main \\\n  | stats count\nother = 1"
+      );
+
+      expect(section.lines.map((line) => line.key)).toEqual([
+        "search",
+        "other"
+      ]);
+      expect(section.lines[0].text).toBe(
+        "search = index=main \\\n  | stats count"
+      );
+    });
+  });
+
+  describe("formatConf", () => {
+    it("should write stanzas separated by blank lines", () => {
+      expect(
+        formatConf([
+          { name: "clustering", settings: { mode: "peer" } },
+          { name: "replication_port://9887", settings: {} }
+        ])
+      ).toBe("[clustering]\nmode = peer\n\n[replication_port://9887]\n");
+    });
+  });
+
+  describe("mergeConf", () => {
+    it("should merge stanzas in order and name the source of each", () => {
+      const merged = mergeConf([
+        {
+          source: "./files/health.conf",
+          text: "[health_reporter]\ninterval = 30\n\n[feature:disk]\ndisabled = 0\nyellow = 20\n"
+        },
+        {
+          source: "./sh3/health.conf",
+          text: "# smaller disks\n[feature:disk]\nyellow = 10\n# new\nred = 5\n\n# extra checks\n[feature:extra]\ndisabled = 1\n"
+        }
+      ]);
+
+      expect(merged).toBe(
+        [
+          "# Merged by jslab from, in order of precedence:",
+          "#   ./files/health.conf",
+          "#   ./sh3/health.conf",
+          "#",
+          "# [health_reporter]: ./files/health.conf",
+          "# [feature:disk]: ./files/health.conf, ./sh3/health.conf",
+          "# [feature:extra]: ./sh3/health.conf",
+          "",
+          "[health_reporter]",
+          "interval = 30",
+          "",
+          "[feature:disk]",
+          "disabled = 0",
+          "yellow = 10",
+          "# new",
+          "red = 5",
+          "",
+          "# extra checks",
+          "[feature:extra]",
+          "disabled = 1",
+          ""
+        ].join("\n")
+      );
+    });
+  });
+});
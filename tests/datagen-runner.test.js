@@ -0,0 +1,116 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildDatagenRunner,
+  describeDatagen
+} from "../src/lib/datagen-runner.js";
+
+describe("datagen-runner", () => {
+  describe("describeDatagen", () => {
+    it("should fill in defaults for a continuous script", () => {
+      expect(
+        describeDatagen({ destination: "/opt/log/" }, "web-log.py")
+      ).toEqual({
+        destination: "/opt/log/",
+        path: "/opt/log/web-log.py",
+        interpreter: "python3",
+        args: [],
+        env: {},
+        output: null,
+        owner: "root",
+        mode: "0755",
+        schedule: null,
+        wrapper: {
+          file: "run-web-log.py.sh",
+          path: "/opt/log/run-web-log.py.sh"
+        },
+        unit: {
+          file: "jslab-datagen-web-log-py.service",
+          installPath: "/etc/systemd/system/jslab-datagen-web-log-py.service"
+        }
+      });
+    });
+
+    it("should run the entry script of a datagen folder", () => {
+      const descriptor = describeDatagen(
+        { destination: "/opt/log" },
+        "web-log",
+        "bin/generate.py"
+      );
+
+      expect(descriptor.path).toBe("/opt/log/web-log/bin/generate.py");
+      expect(descriptor.interpreter).toBe("python3");
+      expect(descriptor.wrapper.path).toBe("/opt/log/run-web-log.sh");
+    });
+
+    it("should run scripts without a known extension directly", () => {
+      expect(
+        describeDatagen({ destination: "/opt/log" }, "generate").interpreter
+      ).toBeNull();
+    });
+  });
+
+  describe("buildDatagenRunner", () => {
+    it("should write a wrapper that sets the environment and output", () => {
+      const descriptor = describeDatagen(
+        {
+          destination: "/opt/log",
+          args: ["--rate", "10 per second"],
+          env: { TZ: "UTC" },
+          output: "/var/log/web/access.log",
+          owner: "splunk"
+        },
+        "web-log.py"
+      );
+
+      const files = buildDatagenRunner(descriptor, "uf1");
+
+      expect(files["run-web-log.py.sh"]).toBe(
+        [
+          "#!/bin/sh",
+          "# Runs the web-log.py datagen. Generated by jslab for uf1.",
+          "export TZ=UTC",
+          "cd /opt/log || exit 1",
+          "mkdir -p /var/log/web",
+          "exec python3 /opt/log/web-log.py --rate '10 per second' >> /var/log/web/access.log",
+          ""
+        ].join("\n")
+      );
+      expect(files["jslab-datagen-web-log-py.service"]).toContain(
+        "User=splunk\nExecStart=/opt/log/run-web-log.py.sh\nRestart=always\n"
+      );
+    });
+
+    it("should write a cron entry for scheduled scripts", () => {
+      const descriptor = describeDatagen(
+        { destination: "/opt/log", schedule: "@hourly" },
+        "rotate.sh"
+      );
+
+      expect(buildDatagenRunner(descriptor, "uf1")).toEqual({
+        "run-rotate.sh.sh": expect.stringContaining(
+          "exec bash /opt/log/rotate.sh\n"
+        ),
+        "jslab-datagen-rotate-sh.cron":
+          "# Generated by jslab for uf1; install as /etc/cron.d/jslab-datagen-rotate-sh\n@hourly root /opt/log/run-rotate.sh.sh\n"
+      });
+    });
+
+    it("should quote destinations in cron entries and systemd units", () => {
+      const scheduled = describeDatagen(
+        { destination: "/opt/my logs/100%", schedule: "@hourly" },
+        "gen.sh"
+      );
+      const continuous = describeDatagen(
+        { destination: "/opt/my logs/100%" },
+        "gen.sh"
+      );
+
+      expect(
+        buildDatagenRunner(scheduled, "uf1")["jslab-datagen-gen-sh.cron"]
+      ).toContain("@hourly root '/opt/my logs/100\\%/run-gen.sh.sh'\n");
+      expect(
+        buildDatagenRunner(continuous, "uf1")["jslab-datagen-gen-sh.service"]
+      ).toContain('ExecStart="/opt/my logs/100%%/run-gen.sh.sh"\n');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from "vitest";
+import {
+  createDiagnostics,
+  formatBuildSummary,
+  formatDiagnostic,
+  reportDiagnostics
+} from "../src/lib/diagnostics.js";
+
+describe("diagnostics", () => {
+  describe("createDiagnostics", () => {
+    it("should collect warnings and errors in order", () => {
+      const diagnostics = createDiagnostics();
+
+      diagnostics.warn("unknown-prefix", "no count", { jsonPath: "$.a" });
+      diagnostics.error("other", "broken");
+
+      expect(diagnostics.items).toEqual([
+        {
+          severity: "warning",
+          code: "unknown-prefix",
+          message: "no count",
+          jsonPath: "$.a"
+        },
+        { severity: "error", code: "other", message: "broken" }
+      ]);
+    });
+
+    it("should record warnings as errors when strict", () => {
+      const diagnostics = createDiagnostics({ strict: true });
+
+      diagnostics.warn("unmatched-glob", "matched nothing");
+
+      expect(diagnostics.items).toEqual([
+        {
+          severity: "error",
+          code: "unmatched-glob",
+          message: "matched nothing"
+        }
+      ]);
+    });
+  });
+
+  describe("formatDiagnostic", () => {
+    it("should include the file, position and JSON path when known", () => {
+      expect(
+        formatDiagnostic({
+          code: "duplicate-key",
+          message: 'Duplicate key "sh3"',
+          file: "manifest.json",
+          line: 5,
+          column: 5,
+          jsonPath: "$.instances.sh3"
+        })
+      ).toBe(
+        'manifest.json:5:5 $.instances.sh3: Duplicate key "sh3" [duplicate-key]'
+      );
+      expect(formatDiagnostic({ code: "x", message: "plain" })).toBe(
+        "plain [x]"
+      );
+    });
+  });
+
+  describe("reportDiagnostics", () => {
+    it("should count warnings as errors only when strict", () => {
+      const diagnostics = createDiagnostics();
+      diagnostics.warn("unknown-prefix", "no count");
+      const strict = createDiagnostics({ strict: true });
+      strict.warn("unknown-prefix", "counted");
+
+      expect(reportDiagnostics(diagnostics.items)).toBe(0);
+      expect(reportDiagnostics(strict.items)).toBe(1);
+    });
+  });
+
+  describe("formatBuildSummary", () => {
+    it("should count problems per instance and list them", () => {
+      const diagnostics = createDiagnostics();
+      diagnostics.error("missing-source", "App source not found: ./apps/a", {
+        instance: "sh1"
+      });
+      diagnostics.warn("unmatched-glob", "Source glob ./x/* matched nothing");
+
+      expect(
+        formatBuildSummary(diagnostics.items, [
+          { name: "sh1", status: "built" },
+          { name: "idx1", status: "not built" }
+        ])
+      ).toBe(
+        [
+          "Instance  Status     Errors  Warnings",
+          "sh1       built           1         0",
+          "idx1      not built       0         0",
+          "(course)                  0         1",
+          "",
+          "sh1:",
+          "  error: App source not found: ./apps/a [missing-source]",
+          "",
+          "(course):",
+          "  warning: Source glob ./x/* matched nothing [unmatched-glob]"
+        ].join("\n")
+      );
+    });
+  });
+});
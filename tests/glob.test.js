@@ -0,0 +1,140 @@
+import { describe, it, expect, afterEach } from "vitest";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  createSourceMatcher,
+  expandEntries,
+  globToRegExp,
+  isGlob
+} from "../src/lib/glob.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe("glob", () => {
+  const courseDir = path.join(__dirname, "fixtures", "cluster-course");
+
+  describe("isGlob", () => {
+    it("should detect glob syntax and negations", () => {
+      expect(isGlob("./apps/idx-*")).toBe(true);
+      expect(isGlob("!./apps/*-wip")).toBe(true);
+      expect(isGlob("./files/{a,b}.conf")).toBe(true);
+      expect(isGlob("./apps/idx-base-config")).toBe(false);
+    });
+  });
+
+  describe("globToRegExp", () => {
+    it("should keep single wildcards within one path segment", () => {
+      const regex = globToRegExp("apps/*");
+
+      expect(regex.test("apps/uf-base")).toBe(true);
+      expect(regex.test("apps/uf-base/default")).toBe(false);
+    });
+
+    it("should match any depth with **", () => {
+      const regex = globToRegExp("apps/**/*.conf");
+
+      expect(regex.test("apps/app.conf")).toBe(true);
+      expect(regex.test("apps/uf-base/default/app.conf")).toBe(true);
+    });
+
+    it("should support character classes and alternatives", () => {
+      expect(globToRegExp("idx[12]").test("idx2")).toBe(true);
+      expect(globToRegExp("idx[!12]").test("idx2")).toBe(false);
+      expect(globToRegExp("{cm,sh}/server.conf").test("sh/server.conf")).toBe(
+        true
+      );
+    });
+  });
+
+  describe("createSourceMatcher", () => {
+    it("should match paths and globs regardless of a leading ./", () => {
+      const isMatch = createSourceMatcher(["apps/sh-*", "./files/health.conf"]);
+
+      expect(isMatch("./apps/sh-base-config")).toBe(true);
+      expect(isMatch("files/health.conf")).toBe(true);
+      expect(isMatch("./apps/idx-base-config")).toBe(false);
+    });
+  });
+
+  describe("expandEntries", () => {
+    const sources = (patterns, options) => {
+      const { entries, unmatched } = expandEntries(
+        courseDir,
+        patterns.map((source) => ({ source })),
+        options
+      );
+      return { sources: entries.map((entry) => entry.source), unmatched };
+    };
+
+    it("should expand globs relative to the course directory in sorted order", () => {
+      const { sources: expanded, unmatched } = sources(["./apps/idx-*"]);
+
+      expect(expanded).toEqual([
+        "./apps/idx-base-config",
+        "./apps/idx-transforms"
+      ]);
+      expect(unmatched).toEqual([]);
+    });
+
+    it("should remove earlier matches with negated patterns", () => {
+      expect(
+        sources(["./apps/*", "!./apps/*-transforms", "!./apps/uf-*"]).sources
+      ).toEqual(["./apps/idx-base-config"]);
+    });
+
+    it("should keep plain paths and report globs that match nothing", () => {
+      expect(sources(["./apps/missing-app", "./files/*.txt"])).toEqual({
+        sources: ["./apps/missing-app"],
+        unmatched: ["./files/*.txt"]
+      });
+    });
+
+    it("should copy the destination of the entry each match came from", () => {
+      const { entries } = expandEntries(courseDir, [
+        { source: "./*/server.conf", destination: "system/local" }
+      ]);
+
+      expect(entries).toEqual([
+        { source: "./cm/server.conf", destination: "system/local" },
+        { source: "./sh3/server.conf", destination: "system/local" }
+      ]);
+    });
+
+    describe("with output to leave out", () => {
+      const outputCourseDir = path.join(__dirname, "fixtures", "test-glob");
+      const write = (relativePath) => {
+        const filePath = path.join(outputCourseDir, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, "");
+      };
+
+      afterEach(() => {
+        fs.rmSync(outputCourseDir, { recursive: true, force: true });
+      });
+
+      it("should not match inside the output directory or node_modules", () => {
+        for (const dir of ["apps", "dist", "out", "node_modules/pkg"]) {
+          write(`${dir}/app.conf`);
+        }
+        const expand = (options) =>
+          expandEntries(
+            outputCourseDir,
+            [{ source: "**/app.conf" }],
+            options
+          ).entries.map((entry) => entry.source);
+
+        expect(expand()).toEqual(["apps/app.conf", "out/app.conf"]);
+        expect(
+          expand({ outputDir: path.join(outputCourseDir, "out") })
+        ).toEqual(["apps/app.conf", "dist/app.conf"]);
+        expect(
+          expandEntries(outputCourseDir, [
+            { source: "node_modules/*/app.conf" }
+          ]).entries
+        ).toEqual([{ source: "node_modules/pkg/app.conf" }]);
+      });
+    });
+  });
+});
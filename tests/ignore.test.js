@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createIgnoreRules, parseIgnoreFile } from "../src/lib/ignore.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe("ignore", () => {
+  const courseDir = path.join(__dirname, "fixtures", "test-ignore");
+  const appDir = path.join(courseDir, "apps", "my_app");
+
+  const writeFile = (relativePath, content = "") => {
+    const filePath = path.join(courseDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  beforeEach(() => {
+    fs.mkdirSync(appDir, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(courseDir, { recursive: true, force: true });
+  });
+
+  describe("parseIgnoreFile", () => {
+    it("should skip blank lines and comments", () => {
+      expect(parseIgnoreFile("# notes\n\n*.bak\r\n  build/  \n")).toEqual([
+        "*.bak",
+        "build/"
+      ]);
+    });
+  });
+
+  describe("createIgnoreRules", () => {
+    it("should ignore editor and OS clutter by default", () => {
+      const ignore = createIgnoreRules(null);
+
+      expect(ignore.ignores(path.join(appDir, ".DS_Store"))).toBe(true);
+      expect(ignore.ignores(path.join(appDir, "bin", "gen.pyc"))).toBe(true);
+      expect(
+        ignore.ignores(path.join(appDir, "bin", "__pycache__"), true)
+      ).toBe(true);
+      expect(ignore.ignores(path.join(appDir, "default", "app.conf~"))).toBe(
+        true
+      );
+      expect(ignore.ignores(path.join(appDir, "default", "app.conf"))).toBe(
+        false
+      );
+    });
+
+    it("should only match directories with a trailing slash", () => {
+      const ignore = createIgnoreRules(null);
+
+      expect(ignore.ignores(path.join(appDir, ".git"), true)).toBe(true);
+      expect(ignore.ignores(path.join(appDir, ".git"), false)).toBe(false);
+    });
+
+    it("should read the course .jslabignore", () => {
+      writeFile(".jslabignore", "# scratch files\n*.bak\n");
+      const ignore = createIgnoreRules(courseDir);
+
+      expect(ignore.ignores(path.join(appDir, "default", "x.bak"))).toBe(true);
+    });
+
+    it("should anchor patterns with a slash to the course directory", () => {
+      const ignore = createIgnoreRules(courseDir, ["/apps/my_app/notes"]);
+
+      expect(ignore.ignores(path.join(appDir, "notes"))).toBe(true);
+      expect(ignore.ignores(path.join(appDir, "default", "notes"))).toBe(false);
+    });
+
+    it("should let later rules re-include paths", () => {
+      writeFile(".jslabignore", "*.log\n");
+      const ignore = createIgnoreRules(courseDir, ["!keep.log"]);
+
+      expect(ignore.ignores(path.join(appDir, "debug.log"))).toBe(true);
+      expect(ignore.ignores(path.join(appDir, "keep.log"))).toBe(false);
+    });
+
+    it("should add an app's own .jslabignore with forApp", () => {
+      writeFile("apps/my_app/.jslabignore", "/samples/\n!.DS_Store\n");
+      const ignore = createIgnoreRules(courseDir).forApp(appDir);
+
+      expect(ignore.ignores(path.join(appDir, "samples"), true)).toBe(true);
+      expect(ignore.ignores(path.join(appDir, "bin", "samples"), true)).toBe(
+        false
+      );
+      expect(ignore.ignores(path.join(appDir, ".DS_Store"))).toBe(false);
+      expect(
+        createIgnoreRules(courseDir).ignores(path.join(appDir, ".DS_Store"))
+      ).toBe(true);
+    });
+
+    it("should match escaped leading characters literally", () => {
+      const ignore = createIgnoreRules(courseDir, ["\\#draft#", "\\!notes"]);
+
+      expect(ignore.ignores(path.join(appDir, "#draft#"))).toBe(true);
+      expect(ignore.ignores(path.join(appDir, "!notes"))).toBe(true);
+    });
+  });
+});
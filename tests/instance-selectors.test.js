@@ -0,0 +1,185 @@
+import { describe, it, expect } from "vitest";
+import {
+  checkSelector,
+  expandSelector,
+  splitSelector,
+  SELECTOR_PATTERN
+} from "../src/lib/instance-selectors.js";
+
+describe("instance-selectors", () => {
+  const spec = {
+    instances: { idx: 4, cm: 1, sh: 3 },
+    groups: {
+      site1: ["idx1", "idx2", "sh1"],
+      managers: ["cm*", "site2"],
+      site2: ["idx[3-4]"]
+    }
+  };
+
+  describe("SELECTOR_PATTERN", () => {
+    it("should accept every selector form", () => {
+      const pattern = new RegExp(SELECTOR_PATTERN);
+
+      for (const selector of [
+        "*",
+        "idx*",
+        "idx[1-2]",
+        "idx[1,3-4]",
+        "idx1,idx3",
+        "idx*,cm*",
+        "site1",
+        "sh3"
+      ]) {
+        expect(pattern.test(selector)).toBe(true);
+      }
+      expect(pattern.test("idx 1")).toBe(false);
+      expect(pattern.test("i*dx")).toBe(false);
+      expect(pattern.test("idx1,")).toBe(false);
+    });
+  });
+
+  describe("splitSelector", () => {
+    it("should keep commas inside ranges", () => {
+      expect(splitSelector("idx[1,3],cm*")).toEqual(["idx[1,3]", "cm*"]);
+    });
+  });
+
+  describe("expandSelector", () => {
+    it("should treat * as global", () => {
+      expect(expandSelector("*", spec)).toEqual({ scope: "global", names: [] });
+    });
+
+    it("should expand role wildcards up to the spec count", () => {
+      expect(expandSelector("sh*", spec)).toEqual({
+        scope: "role",
+        names: ["sh1", "sh2", "sh3"]
+      });
+    });
+
+    it("should expand ranges and lists", () => {
+      expect(expandSelector("idx[1-2]", spec).names).toEqual(["idx1", "idx2"]);
+      expect(expandSelector("idx[1,3-4]", spec).names).toEqual([
+        "idx1",
+        "idx3",
+        "idx4"
+      ]);
+      expect(expandSelector("idx1,idx3", spec)).toEqual({
+        scope: "role",
+        names: ["idx1", "idx3"]
+      });
+    });
+
+    it("should cut ranges to the spec count", () => {
+      expect(expandSelector("idx[0-2,3-6]", spec).names).toEqual([
+        "idx1",
+        "idx2",
+        "idx3",
+        "idx4"
+      ]);
+      expect(expandSelector("sh[1-99999999]", spec).names).toEqual([
+        "sh1",
+        "sh2",
+        "sh3"
+      ]);
+      expect(expandSelector("uf[1-2]", spec).names).toEqual([]);
+    });
+
+    it("should select nothing for * inside a group", () => {
+      expect(
+        expandSelector("everyone", { ...spec, groups: { everyone: ["*"] } })
+          .names
+      ).toEqual([]);
+    });
+
+    it("should expand named groups, including groups of groups", () => {
+      expect(expandSelector("site1", spec).names).toEqual([
+        "idx1",
+        "idx2",
+        "sh1"
+      ]);
+      expect(expandSelector("managers", spec).names).toEqual([
+        "cm1",
+        "idx3",
+        "idx4"
+      ]);
+    });
+
+    it("should treat a single name as a specific instance", () => {
+      expect(expandSelector("sh3", spec)).toEqual({
+        scope: "instance",
+        names: ["sh3"]
+      });
+    });
+
+    it("should not repeat instances selected twice", () => {
+      expect(expandSelector("idx*,site1", spec).names).toEqual([
+        "idx1",
+        "idx2",
+        "idx3",
+        "idx4",
+        "sh1"
+      ]);
+    });
+  });
+
+  describe("checkSelector", () => {
+    it("should accept selectors that match spec.instances", () => {
+      expect(checkSelector("*", spec)).toEqual([]);
+      expect(checkSelector("idx*,cm1", spec)).toEqual([]);
+      expect(checkSelector("idx[1-4]", spec)).toEqual([]);
+      expect(checkSelector("managers", spec)).toEqual([]);
+    });
+
+    it("should report prefixes with no count", () => {
+      expect(checkSelector("hf*", spec)).toEqual([
+        {
+          code: "unknown-prefix",
+          message:
+            '"hf*" uses prefix "hf", which has no count in spec.instances'
+        }
+      ]);
+      expect(checkSelector("uf1", spec)[0].code).toBe("unknown-prefix");
+    });
+
+    it("should report instance numbers beyond the count", () => {
+      expect(checkSelector("sh9", spec)).toEqual([
+        {
+          code: "index-out-of-range",
+          message: '"sh9" is outside spec.instances.sh (3)'
+        }
+      ]);
+      expect(checkSelector("idx[3-6]", spec)).toEqual([
+        {
+          code: "index-out-of-range",
+          message:
+            '"idx[3-6]" goes outside spec.instances.idx (4); the instances outside it are left out'
+        }
+      ]);
+      expect(checkSelector("sh0", spec)).toHaveLength(1);
+    });
+
+    it("should report reversed ranges", () => {
+      expect(checkSelector("idx[1,3-1]", spec)).toEqual([
+        {
+          code: "empty-range",
+          message:
+            '"idx[1,3-1]" has the reversed range 3-1, which selects nothing'
+        }
+      ]);
+    });
+
+    it("should check group members and name the group", () => {
+      const problems = checkSelector("site3", {
+        ...spec,
+        groups: { site3: ["sh4"] }
+      });
+
+      expect(problems).toEqual([
+        {
+          code: "index-out-of-range",
+          message: '"sh4" is outside spec.instances.sh (3) (in group "site3")'
+        }
+      ]);
+    });
+  });
+});
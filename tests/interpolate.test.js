@@ -0,0 +1,99 @@
+import { describe, it, expect } from "vitest";
+import {
+  interpolateManifest,
+  interpolateString,
+  InterpolationError
+} from "../src/lib/interpolate.js";
+
+describe("interpolate", () => {
+  describe("interpolateString", () => {
+    const context = {
+      metadata: { slug: "cluster-admin", audience: { role: ["sysadmin"] } },
+      vars: { flavor: "wip" },
+      env: { HOME: "/home/lab" }
+    };
+
+    it("should resolve metadata, vars and env placeholders", () => {
+      expect(
+        interpolateString(
+          "${metadata.slug}/${vars.flavor}/${flavor}/${env.HOME}/${metadata.audience.role[0]}",
+          context,
+          () => {}
+        )
+      ).toBe("cluster-admin/wip/wip//home/lab/sysadmin");
+    });
+
+    it("should keep escaped placeholders literal", () => {
+      expect(interpolateString("$${metadata.slug}", context, () => {})).toBe(
+        "${metadata.slug}"
+      );
+    });
+
+    it("should report undefined variables", () => {
+      const errors = [];
+      interpolateString("${nope} ${metadata}", context, (name, message) =>
+        errors.push({ name, message })
+      );
+
+      expect(errors).toEqual([
+        {
+          name: "nope",
+          message: 'undefined variable "nope" in "${nope} ${metadata}"'
+        },
+        {
+          name: "metadata",
+          message:
+            '"metadata" is an object, not a value, in "${nope} ${metadata}"'
+        }
+      ]);
+    });
+  });
+
+  describe("interpolateManifest", () => {
+    it("should resolve placeholders in nested values", () => {
+      const manifest = interpolateManifest(
+        {
+          metadata: {
+            slug: "lab",
+            splunk: { platform: { version: "10.2.1" } }
+          },
+          spec: { instances: { uf: 1 } },
+          instances: {
+            "uf*": {
+              apps: ["./apps/base-${metadata.splunk.platform.version}"],
+              datagens: {
+                source: ["./datagens/${metadata.slug}.py"],
+                destination: "/opt/${vars.logdir}"
+              }
+            }
+          }
+        },
+        { vars: { logdir: "log" }, env: {} }
+      );
+
+      expect(manifest.instances["uf*"]).toEqual({
+        apps: ["./apps/base-10.2.1"],
+        datagens: {
+          source: ["./datagens/lab.py"],
+          destination: "/opt/log"
+        }
+      });
+      expect(manifest.spec.instances.uf).toBe(1);
+    });
+
+    it("should name the manifest path of undefined variables", () => {
+      expect(() =>
+        interpolateManifest(
+          { instances: { "uf*": { datagens: { destination: "${vars.x}" } } } },
+          { env: {} }
+        )
+      ).toThrow(InterpolationError);
+      expect(() =>
+        interpolateManifest(
+          { instances: { "uf*": { datagens: { destination: "${vars.x}" } } } },
+          { env: {} }
+        )
+      ).toThrow('$.instances["uf*"].datagens.destination: undefined variable');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from "vitest";
+import { parseJsonc, JsoncSyntaxError } from "../src/lib/jsonc-parser.js";
+
+describe("jsonc-parser", () => {
+  describe("parseJsonc", () => {
+    it("should parse plain JSON", () => {
+      const { value } = parseJsonc('{"a": [1, -2.5e3, true, null], "b": "c"}');
+
+      expect(value).toEqual({ a: [1, -2500, true, null], b: "c" });
+    });
+
+    it("should strip line and block comments", () => {
+      const { value } = parseJsonc(`{
+        // line comment
+        "a": 1, /* block
+        comment */ "b": 2
+      }`);
+
+      expect(value).toEqual({ a: 1, b: 2 });
+    });
+
+    it("should keep comment markers and escaped quotes inside strings", () => {
+      const { value } = parseJsonc(
+        '{"url": "https://example.com", "quote": "say \\"hi\\" // not a comment", "glob": "/* keep */"}'
+      );
+
+      expect(value).toEqual({
+        url: "https://example.com",
+        quote: 'say "hi" // not a comment',
+        glob: "/* keep */"
+      });
+    });
+
+    it("should allow trailing commas without touching string values", () => {
+      const { value } = parseJsonc('{"a": ["x", "y",], "b": "1,]",}');
+
+      expect(value).toEqual({ a: ["x", "y"], b: "1,]" });
+    });
+
+    it("should decode escape sequences", () => {
+      const { value } = parseJsonc('"tab\\there \\u00e9 \\\\ \\/"');
+
+      expect(value).toBe("tab\there é \\ /");
+    });
+
+    it("should record key and value positions", () => {
+      const { locations } = parseJsonc('{\n  "spec": {\n    "idx": 4\n  }\n}');
+
+      expect(locations.get("/spec/idx")).toEqual({
+        key: { line: 3, column: 5 },
+        value: { line: 3, column: 12 }
+      });
+    });
+
+    it("should report the original line and column of syntax errors", () => {
+      const text = '{\n  /* a comment */ "a": 1\n  "b": 2\n}';
+
+      expect(() => parseJsonc(text)).toThrow(JsoncSyntaxError);
+      try {
+        parseJsonc(text);
+      } catch (error) {
+        expect(error.line).toBe(3);
+        expect(error.column).toBe(3);
+        expect(error.message).toBe(
+          'Expected "," or "}" but found string "b" at line 3, column 3'
+        );
+      }
+    });
+
+    it("should report duplicate keys and keep the last value", () => {
+      const { value, duplicates } = parseJsonc(
+        '{\n  "a": { "b": 1,\n    "b": 2 }\n}'
+      );
+
+      expect(value.a.b).toBe(2);
+      expect(duplicates).toEqual([{ path: ["a", "b"], line: 3, column: 5 }]);
+    });
+
+    it("should reject unterminated block comments", () => {
+      expect(() => parseJsonc('{"a": 1 /* oops')).toThrow(
+        "Unterminated block comment at line 1, column 9"
+      );
+    });
+
+    it("should reject invalid escapes and bare words", () => {
+      expect(() => parseJsonc('"\\x"')).toThrow("Invalid escape sequence");
+      expect(() => parseJsonc("{a: 1}")).toThrow('Unexpected "a"');
+    });
+  });
+});
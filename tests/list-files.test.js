@@ -0,0 +1,43 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { listFiles } from "../src/lib/list-files.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe("list-files", () => {
+  const testDir = path.join(__dirname, "fixtures", "test-list-files");
+
+  beforeEach(() => {
+    fs.mkdirSync(path.join(testDir, "default", "data"), { recursive: true });
+    fs.writeFileSync(path.join(testDir, "default", "app.conf"), "");
+    fs.writeFileSync(path.join(testDir, "default", "data", "ui.xml"), "");
+    fs.writeFileSync(path.join(testDir, "README"), "");
+    fs.symlinkSync("default", path.join(testDir, "local"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe("listFiles", () => {
+    it("should list files at any depth, sorted, without following links", () => {
+      expect(listFiles(testDir)).toEqual([
+        "README",
+        "default/app.conf",
+        "default/data/ui.xml"
+      ]);
+    });
+
+    it("should list symlinks when asked to", () => {
+      expect(listFiles(testDir, { symlinks: true })).toEqual([
+        "README",
+        "default/app.conf",
+        "default/data/ui.xml",
+        "local"
+      ]);
+    });
+  });
+});
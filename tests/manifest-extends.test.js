@@ -0,0 +1,203 @@
+import { describe, it, expect } from "vitest";
+import {
+  mergeManifests,
+  normalizeManifest
+} from "../src/lib/manifest-extends.js";
+
+describe("manifest-extends", () => {
+  describe("normalizeManifest", () => {
+    it("should convert every legacy shape into tagged groups", () => {
+      const manifest = normalizeManifest(
+        {
+          instances: {
+            "sh*": { apps: ["./apps/a", "./apps/b"] },
+            sh1: {
+              files: { source: "./sh1/server.conf", destination: "local" },
+              datagen: ["TBD"]
+            }
+          }
+        },
+        { origin: "base.json", rebase: (source) => `../shared/${source}` }
+      );
+
+      expect(manifest.instances["sh*"].apps).toEqual([
+        {
+          source: ["../shared/./apps/a", "../shared/./apps/b"],
+          destination: "apps",
+          origin: "base.json"
+        }
+      ]);
+      expect(manifest.instances.sh1.files).toEqual([
+        {
+          source: ["../shared/./sh1/server.conf"],
+          destination: "local",
+          origin: "base.json"
+        }
+      ]);
+      expect(manifest.instances.sh1.datagens).toEqual([
+        { source: ["../shared/TBD"], origin: "base.json" }
+      ]);
+    });
+
+    it("should rebase exclusions and negated globs like sources", () => {
+      const manifest = normalizeManifest(
+        {
+          instances: {
+            idx1: {
+              apps: ["./apps/*", "!./apps/*-wip"],
+              exclude: { apps: ["./apps/a2-wip"], files: ["!./keep.conf"] }
+            }
+          }
+        },
+        { origin: "base.json", rebase: (source) => `../shared/${source}` }
+      );
+
+      expect(manifest.instances.idx1.apps[0].source).toEqual([
+        "../shared/./apps/*",
+        "!../shared/./apps/*-wip"
+      ]);
+      expect(manifest.instances.idx1.exclude).toEqual({
+        apps: ["../shared/./apps/a2-wip"],
+        files: ["!../shared/./keep.conf"]
+      });
+    });
+
+    it("should rebase allowed source directories", () => {
+      const manifest = normalizeManifest(
+        { allowedSources: ["./vendor"] },
+        { origin: "base.json", rebase: (source) => `../shared/${source}` }
+      );
+
+      expect(manifest.allowedSources).toEqual(["../shared/./vendor"]);
+    });
+  });
+
+  describe("mergeManifests", () => {
+    const group = (source, origin) => ({
+      source: [source],
+      destination: "apps",
+      origin
+    });
+
+    it("should append apps from the extending manifest by default", () => {
+      const merged = mergeManifests(
+        { instances: { "sh*": { apps: [group("./a", "base")] } } },
+        { instances: { "sh*": { apps: [group("./b", "child")] } } }
+      );
+
+      expect(merged.instances["sh*"].apps).toEqual([
+        group("./a", "base"),
+        group("./b", "child")
+      ]);
+    });
+
+    it("should append datagens from the extending manifest", () => {
+      const merged = mergeManifests(
+        { instances: { "uf*": { datagens: [group("./base.py", "base")] } } },
+        { instances: { "uf*": { datagens: [group("./lab.py", "child")] } } }
+      );
+
+      expect(merged.instances["uf*"].datagens).toEqual([
+        group("./base.py", "base"),
+        group("./lab.py", "child")
+      ]);
+    });
+
+    it("should replace every kind with override: true", () => {
+      const merged = mergeManifests(
+        {
+          instances: {
+            "sh*": {
+              apps: [group("./a", "base")],
+              files: [group("./f", "base")]
+            }
+          }
+        },
+        {
+          instances: {
+            "sh*": { override: true, apps: [group("./b", "child")] }
+          }
+        }
+      );
+
+      expect(merged.instances["sh*"]).toEqual({
+        apps: [group("./b", "child")]
+      });
+    });
+
+    it("should not carry the base's override into the extending block", () => {
+      const merged = mergeManifests(
+        {
+          instances: {
+            "sh*": { override: ["apps"], apps: [group("./a", "base")] }
+          }
+        },
+        { instances: { "sh*": { apps: [group("./b", "child")] } } }
+      );
+
+      expect(merged.instances["sh*"]).toEqual({
+        apps: [group("./a", "base"), group("./b", "child")]
+      });
+    });
+
+    it("should combine exclusions from the base and extending blocks", () => {
+      const merged = mergeManifests(
+        {
+          instances: {
+            "uf*": { exclude: { apps: ["./apps/a"], files: ["./f.conf"] } }
+          }
+        },
+        { instances: { "uf*": { exclude: { apps: ["./apps/b"] } } } }
+      );
+
+      expect(merged.instances["uf*"].exclude).toEqual({
+        apps: ["./apps/a", "./apps/b"],
+        files: ["./f.conf"]
+      });
+    });
+
+    it("should keep base selectors first and add new ones", () => {
+      const merged = mergeManifests(
+        { instances: { "*": {}, "idx*": {} } },
+        { instances: { cm1: {}, "*": {} } }
+      );
+
+      expect(Object.keys(merged.instances)).toEqual(["*", "idx*", "cm1"]);
+    });
+
+    it("should combine ignore patterns, base first", () => {
+      const merged = mergeManifests(
+        { ignore: ["*.bak", "samples/"] },
+        { ignore: ["!keep.bak"] }
+      );
+
+      expect(merged.ignore).toEqual(["*.bak", "samples/", "!keep.bak"]);
+    });
+
+    it("should combine allowed source directories", () => {
+      const merged = mergeManifests(
+        { allowedSources: ["../shared/vendor"] },
+        { allowedSources: ["/opt/apps"] }
+      );
+
+      expect(merged.allowedSources).toEqual(["../shared/vendor", "/opt/apps"]);
+    });
+
+    it("should inherit the symlink policy unless the child sets one", () => {
+      expect(mergeManifests({ symlinks: "keep" }, {}).symlinks).toBe("keep");
+      expect(
+        mergeManifests({ symlinks: "keep" }, { symlinks: "follow" }).symlinks
+      ).toBe("follow");
+    });
+
+    it("should not inherit metadata", () => {
+      const merged = mergeManifests(
+        { metadata: { slug: "base" }, spec: { instances: { idx: 1 } } },
+        { spec: { instances: { sh: 1 } } }
+      );
+
+      expect(merged.metadata).toBeUndefined();
+      expect(merged.spec.instances).toEqual({ idx: 1, sh: 1 });
+    });
+  });
+});
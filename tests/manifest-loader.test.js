@@ -5,8 +5,10 @@ import { fileURLToPath } from "url";
 import {
   loadManifest,
   resolveInstances,
-  updateManifestDate
+  updateManifestDate,
+  validateManifestFile
 } from "../src/lib/manifest-loader.js";
+import { createDiagnostics } from "../src/lib/diagnostics.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -39,6 +41,377 @@ describe("manifest-loader", () => {
       expect(manifest.instances).toBeDefined();
       expect(manifest.instances["cm*"]).toBeDefined();
     });
+
+    it("should throw a validation error for manifests that do not match the schema", () => {
+      const courseDir = path.join(fixturesDir, "invalid-course");
+
+      expect(() => loadManifest(courseDir)).toThrow(
+        "manifest.json failed validation with 3 error(s)"
+      );
+    });
+  });
+
+  describe("loadManifest with JSONC syntax", () => {
+    const testDir = path.join(fixturesDir, "test-jsonc");
+
+    beforeEach(() => {
+      fs.mkdirSync(testDir, { recursive: true });
+    });
+
+    afterEach(() => {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it("should parse block comments, escaped quotes and trailing commas", () => {
+      fs.writeFileSync(
+        path.join(testDir, "manifest.json"),
+        `{
+  /* shared settings */
+  "metadata": { "description": "Say \\"hi\\" // not a comment", },
+  "spec": { "instances": { "idx": 1 } },
+  "instances": {},
+}`
+      );
+
+      const manifest = loadManifest(testDir);
+
+      expect(manifest.metadata.description).toBe('Say "hi" // not a comment');
+    });
+
+    it("should report syntax errors at the original line and column", () => {
+      fs.writeFileSync(
+        path.join(testDir, "manifest.json"),
+        '{\n  // comment\n  "spec": { "instances": { "idx": 1 } }\n  "instances": {}\n}'
+      );
+
+      expect(() => loadManifest(testDir)).toThrow(
+        'Invalid JSON in manifest.json: Expected "," or "}" but found string "instances" at line 4, column 3'
+      );
+    });
+  });
+
+  describe("loadManifest with variables", () => {
+    const testDir = path.join(fixturesDir, "test-variables");
+
+    beforeEach(() => {
+      fs.mkdirSync(testDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(testDir, "manifest.json"),
+        JSON.stringify({
+          metadata: { slug: "cluster-admin" },
+          spec: { instances: { uf: 1 } },
+          instances: {
+            "uf*": {
+              datagens: {
+                source: ["./datagens/${metadata.slug}.py"],
+                destination: "${logdir}"
+              }
+            }
+          }
+        })
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it("should resolve placeholders before instances are resolved", () => {
+      const manifest = loadManifest(testDir, { vars: { logdir: "/opt/log" } });
+
+      expect(manifest.instances["uf*"].datagens).toEqual({
+        source: ["./datagens/cluster-admin.py"],
+        destination: "/opt/log"
+      });
+    });
+
+    it("should reject undefined variables", () => {
+      expect(() => loadManifest(testDir)).toThrow(
+        '$.instances["uf*"].datagens.destination: undefined variable "logdir"'
+      );
+    });
+
+    it("should give the position of undefined variables", () => {
+      const manifestPath = path.join(testDir, "manifest.json");
+      const text = fs.readFileSync(manifestPath, "utf-8");
+      const { errors } = validateManifestFile(testDir);
+
+      expect(errors).toEqual([
+        expect.objectContaining({
+          jsonPath: '$.instances["uf*"].datagens.destination',
+          file: manifestPath,
+          line: 1,
+          column: text.indexOf('"${logdir}"') + 1
+        })
+      ]);
+    });
+
+    it("should validate pattern-checked fields after interpolation", () => {
+      const manifestPath = path.join(testDir, "manifest.json");
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+      manifest.instances["uf*"].datagens.schedule = "${vars.cron}";
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+
+      const loaded = loadManifest(testDir, {
+        vars: { logdir: "/opt/log", cron: "*/5 * * * *" }
+      });
+
+      expect(loaded.instances["uf*"].datagens.schedule).toBe("*/5 * * * *");
+      expect(() =>
+        loadManifest(testDir, { vars: { logdir: "/opt/log", cron: "often" } })
+      ).toThrow("must be a cron schedule");
+    });
+  });
+
+  describe("loadManifest with extends", () => {
+    const cycleDir = path.join(fixturesDir, "test-extends-cycle");
+
+    afterEach(() => {
+      fs.rmSync(cycleDir, { recursive: true, force: true });
+    });
+
+    it("should deep-merge spec from base manifests", () => {
+      const manifest = loadManifest(path.join(fixturesDir, "extends-course"));
+
+      expect(manifest.spec.instances).toEqual({ idx: 3, sh: 2 });
+      expect(manifest.spec.notes).toEqual([
+        "Base cluster layout from _shared/base-cluster.json.",
+        "Adds a third indexer."
+      ]);
+      expect(manifest.extends).toBeUndefined();
+    });
+
+    it("should append inherited file lists and resolve base paths relative to the base file", () => {
+      const manifest = loadManifest(path.join(fixturesDir, "extends-course"));
+
+      expect(manifest.instances["*"].files).toEqual([
+        {
+          source: ["../_shared/files/health.conf"],
+          destination: "system/local",
+          origin: "../_shared/base-cluster.json"
+        },
+        {
+          source: ["./files/server.conf"],
+          destination: "system/local",
+          origin: "manifest.json"
+        }
+      ]);
+    });
+
+    it("should replace inherited lists named in override", () => {
+      const manifest = loadManifest(path.join(fixturesDir, "extends-course"));
+
+      expect(manifest.instances["sh*"].apps).toEqual([
+        {
+          source: ["./apps/sh-course-config"],
+          destination: "apps",
+          origin: "manifest.json"
+        }
+      ]);
+    });
+
+    it("should carry the origin of each entry into resolved instances", () => {
+      const manifest = loadManifest(path.join(fixturesDir, "extends-course"));
+      const resolved = resolveInstances(manifest.instances, manifest.spec);
+
+      expect(resolved.get("sh1").files.map((file) => file.origin)).toEqual([
+        "../_shared/base-cluster.json",
+        "manifest.json"
+      ]);
+    });
+
+    it("should list every manifest file read", () => {
+      const courseDir = path.join(fixturesDir, "extends-course");
+      const manifestFiles = [];
+      loadManifest(courseDir, { manifestFiles });
+
+      expect(manifestFiles).toEqual([
+        path.join(courseDir, "manifest.json"),
+        path.join(fixturesDir, "_shared", "base-cluster.json")
+      ]);
+    });
+
+    it("should report circular extends", () => {
+      fs.mkdirSync(cycleDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(cycleDir, "manifest.json"),
+        JSON.stringify({ extends: "./base.json", instances: {} })
+      );
+      fs.writeFileSync(
+        path.join(cycleDir, "base.json"),
+        JSON.stringify({ extends: "./manifest.json", spec: { instances: {} } })
+      );
+
+      const { errors } = validateManifestFile(cycleDir);
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].file).toBe(path.join(cycleDir, "base.json"));
+      expect(errors[0].message).toBe('circular extends of "./manifest.json"');
+    });
+
+    it("should resolve placeholders in base manifests and name the file of errors", () => {
+      fs.mkdirSync(cycleDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(cycleDir, "manifest.json"),
+        JSON.stringify({
+          metadata: { slug: "cluster-admin" },
+          extends: "./base.json",
+          spec: { instances: { uf: 1 } },
+          instances: {}
+        })
+      );
+      fs.writeFileSync(
+        path.join(cycleDir, "base.json"),
+        JSON.stringify(
+          {
+            instances: {
+              "uf*": {
+                files: {
+                  source: "./files/${metadata.slug}.conf",
+                  destination: "${logdir}"
+                }
+              }
+            }
+          },
+          null,
+          2
+        )
+      );
+
+      const { errors } = validateManifestFile(cycleDir);
+      expect(errors).toEqual([
+        {
+          path: ["instances", "uf*", "files", "destination"],
+          jsonPath: '$.instances["uf*"].files.destination',
+          message: 'undefined variable "logdir" in "${logdir}"',
+          line: 6,
+          column: 24,
+          file: path.join(cycleDir, "base.json")
+        }
+      ]);
+
+      const manifest = loadManifest(cycleDir, { vars: { logdir: "local" } });
+      expect(manifest.instances["uf*"].files).toEqual([
+        {
+          source: ["./files/cluster-admin.conf"],
+          destination: "local",
+          origin: "base.json"
+        }
+      ]);
+    });
+
+    it("should rebase negated globs in base manifests", () => {
+      fs.mkdirSync(path.join(cycleDir, "shared"), { recursive: true });
+      fs.writeFileSync(
+        path.join(cycleDir, "manifest.json"),
+        JSON.stringify({
+          extends: "./shared/base.json",
+          spec: { instances: { sh: 1 } },
+          instances: {}
+        })
+      );
+      fs.writeFileSync(
+        path.join(cycleDir, "shared", "base.json"),
+        JSON.stringify({
+          instances: { "sh*": { apps: ["./apps/*", "!./apps/*-wip"] } }
+        })
+      );
+
+      const manifest = loadManifest(cycleDir);
+      expect(manifest.instances["sh*"].apps).toEqual([
+        {
+          source: ["./shared/apps/*", "!./shared/apps/*-wip"],
+          destination: "apps",
+          origin: "shared/base.json"
+        }
+      ]);
+    });
+
+    it("should report missing base manifests", () => {
+      fs.mkdirSync(cycleDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(cycleDir, "manifest.json"),
+        JSON.stringify({ extends: ["./missing.json"], instances: {} })
+      );
+
+      expect(() => loadManifest(cycleDir)).toThrow(
+        '$.extends[0]: base manifest "./missing.json" not found'
+      );
+    });
+  });
+
+  describe("validateManifestFile diagnostics", () => {
+    const testDir = path.join(fixturesDir, "test-duplicates");
+
+    beforeEach(() => {
+      fs.mkdirSync(testDir, { recursive: true });
+    });
+
+    afterEach(() => {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it("should report duplicate keys with their position", () => {
+      fs.writeFileSync(
+        path.join(testDir, "manifest.json"),
+        `{
+  "spec": { "instances": { "sh": 3 } },
+  "instances": {
+    "sh3": { "apps": ["./apps/a"] },
+    "sh3": { "apps": ["./apps/b"] }
+  }
+}`
+      );
+      const diagnostics = createDiagnostics();
+
+      const { manifest, errors } = validateManifestFile(testDir, {
+        diagnostics
+      });
+
+      expect(errors).toEqual([]);
+      expect(manifest.instances.sh3.apps).toEqual(["./apps/b"]);
+      expect(diagnostics.items).toEqual([
+        {
+          severity: "warning",
+          code: "duplicate-key",
+          message: 'Duplicate key "sh3"; the last one wins',
+          jsonPath: "$.instances.sh3",
+          file: path.join(testDir, "manifest.json"),
+          line: 5,
+          column: 5
+        }
+      ]);
+    });
+  });
+
+  describe("validateManifestFile", () => {
+    it("should return no errors for a valid manifest", () => {
+      const courseDir = path.join(fixturesDir, "cluster-course");
+      const { errors } = validateManifestFile(courseDir);
+
+      expect(errors).toEqual([]);
+    });
+
+    it("should report errors with line and column", () => {
+      const courseDir = path.join(fixturesDir, "invalid-course");
+      const { errors } = validateManifestFile(courseDir);
+
+      expect(
+        errors.map(({ jsonPath, line, column }) => ({ jsonPath, line, column }))
+      ).toEqual([
+        { jsonPath: "$.spec.instances.uf", line: 8, column: 13 },
+        {
+          jsonPath: '$.instances["uf*"].datagens.source',
+          line: 14,
+          column: 19
+        },
+        {
+          jsonPath: '$.instances["uf*"].datagens.destiantion',
+          line: 15,
+          column: 9
+        }
+      ]);
+    });
   });
 
   describe("resolveInstances", () => {
@@ -247,6 +620,561 @@ describe("manifest-loader", () => {
     });
   });
 
+  describe("resolveInstances precedence", () => {
+    const instances = {
+      sh3: {
+        exclude: { files: ["./files/health.conf"] },
+        apps: {
+          source: ["./apps/sh3-config"],
+          destination: "apps"
+        }
+      },
+      "sh*": {
+        apps: {
+          source: ["./apps/sh-base-config"],
+          destination: "apps"
+        }
+      },
+      "*": {
+        files: {
+          source: ["./files/health.conf"],
+          destination: "system/local"
+        },
+        datagens: ["TBD"]
+      }
+    };
+    const spec = { instances: { sh: 3 } };
+
+    it("should apply global, then role, then specific instance blocks", () => {
+      const resolved = resolveInstances(instances, spec);
+
+      expect(resolved.get("sh3").apps.map((app) => app.source)).toEqual([
+        "./apps/sh-base-config",
+        "./apps/sh3-config"
+      ]);
+    });
+
+    it("should let an instance exclude inherited entries", () => {
+      const resolved = resolveInstances(instances, spec);
+
+      expect(resolved.get("sh3").files).toEqual([]);
+      expect(resolved.get("sh1").files).toHaveLength(1);
+    });
+
+    it("should support globs in exclusions", () => {
+      const resolved = resolveInstances(
+        {
+          ...instances,
+          sh2: { exclude: { apps: ["./apps/sh-*"], datagens: ["TBD"] } }
+        },
+        spec
+      );
+
+      expect(resolved.get("sh2").apps).toEqual([]);
+      expect(resolved.get("sh2").datagens).toEqual([]);
+      expect(resolved.get("sh1").datagens).toEqual([
+        { source: "TBD", destination: null }
+      ]);
+    });
+
+    it("should replace inherited kinds the block defines with replace: true", () => {
+      const resolved = resolveInstances(
+        {
+          ...instances,
+          sh1: {
+            replace: true,
+            apps: {
+              source: ["./apps/sh-base-config-variant"],
+              destination: "apps"
+            }
+          }
+        },
+        spec
+      );
+
+      expect(resolved.get("sh1").apps.map((app) => app.source)).toEqual([
+        "./apps/sh-base-config-variant"
+      ]);
+      // files are not defined in the sh1 block, so they are still inherited
+      expect(resolved.get("sh1").files).toHaveLength(1);
+    });
+
+    it("should replace only the listed kinds with a replace array", () => {
+      const resolved = resolveInstances(
+        { ...instances, sh1: { replace: ["apps", "files"] } },
+        spec
+      );
+
+      expect(resolved.get("sh1").apps).toEqual([]);
+      expect(resolved.get("sh1").files).toEqual([]);
+    });
+
+    it("should accumulate datagens from every matching block", () => {
+      const resolved = resolveInstances(
+        {
+          "*": {
+            datagens: { source: ["./datagens/all.py"], destination: "/opt/all" }
+          },
+          "sh*": {
+            datagens: [
+              { source: ["./datagens/sh.py"], destination: "/opt/sh" },
+              { source: ["./datagens/web.py"], destination: "/opt/web" }
+            ]
+          },
+          sh1: { datagens: { source: ["./datagens/sh1.py"] } }
+        },
+        spec
+      );
+
+      expect(resolved.get("sh1").datagens).toEqual([
+        { source: "./datagens/all.py", destination: "/opt/all" },
+        { source: "./datagens/sh.py", destination: "/opt/sh" },
+        { source: "./datagens/web.py", destination: "/opt/web" },
+        { source: "./datagens/sh1.py", destination: null }
+      ]);
+      expect(resolved.get("sh2").datagens).toHaveLength(3);
+    });
+
+    it("should replace inherited datagens when asked", () => {
+      const resolved = resolveInstances(
+        {
+          "*": { datagens: { source: ["./datagens/all.py"] } },
+          sh1: {
+            replace: ["datagens"],
+            datagens: { source: ["./datagens/sh.py"], destination: "/opt/log" }
+          }
+        },
+        spec
+      );
+
+      expect(resolved.get("sh1").datagens).toEqual([
+        { source: "./datagens/sh.py", destination: "/opt/log" }
+      ]);
+    });
+
+    it("should keep the run settings of each datagen group", () => {
+      const resolved = resolveInstances(
+        {
+          sh1: {
+            datagens: {
+              source: ["./datagens/sh.py", "./datagens/web.py"],
+              destination: "/opt/log",
+              schedule: "@hourly",
+              env: { TZ: "UTC" }
+            }
+          }
+        },
+        spec
+      );
+
+      expect(resolved.get("sh1").datagens).toEqual([
+        {
+          source: "./datagens/sh.py",
+          destination: "/opt/log",
+          schedule: "@hourly",
+          env: { TZ: "UTC" }
+        },
+        {
+          source: "./datagens/web.py",
+          destination: "/opt/log",
+          schedule: "@hourly",
+          env: { TZ: "UTC" }
+        }
+      ]);
+    });
+  });
+
+  describe("resolveInstances with selectors", () => {
+    const spec = {
+      instances: { idx: 4, cm: 1 },
+      groups: { site1: ["idx1", "idx2"] }
+    };
+
+    it("should apply range and list selectors to the selected instances", () => {
+      const resolved = resolveInstances(
+        {
+          "idx[1-2]": { apps: ["./apps/site1"] },
+          "idx*,cm*": { apps: ["./apps/cluster"] }
+        },
+        spec
+      );
+
+      expect(resolved.get("idx1").apps.map((app) => app.source)).toEqual([
+        "./apps/site1",
+        "./apps/cluster"
+      ]);
+      expect(resolved.get("idx3").apps.map((app) => app.source)).toEqual([
+        "./apps/cluster"
+      ]);
+      expect(resolved.get("cm1").apps.map((app) => app.source)).toEqual([
+        "./apps/cluster"
+      ]);
+    });
+
+    it("should apply spec.groups names as role-level blocks", () => {
+      const resolved = resolveInstances(
+        {
+          idx1: { exclude: { files: ["./files/site.conf"] } },
+          site1: {
+            files: { source: ["./files/site.conf"], destination: "local" }
+          }
+        },
+        spec
+      );
+
+      expect(resolved.get("idx1").files).toEqual([]);
+      expect(resolved.get("idx2").files).toHaveLength(1);
+      expect(resolved.has("idx3")).toBe(false);
+    });
+  });
+
+  describe("resolveInstances diagnostics", () => {
+    const spec = { instances: { idx: 2, sh: 3 } };
+
+    it("should collect unknown prefixes and out-of-range names", () => {
+      const diagnostics = createDiagnostics();
+      const resolved = resolveInstances(
+        {
+          "hf*": { apps: ["./apps/hf"] },
+          sh9: { apps: ["./apps/sh"] },
+          "idx*": { apps: ["./apps/idx"] }
+        },
+        spec,
+        { diagnostics }
+      );
+
+      expect(diagnostics.items).toEqual([
+        {
+          severity: "warning",
+          code: "unknown-prefix",
+          message:
+            '"hf*" uses prefix "hf", which has no count in spec.instances',
+          jsonPath: '$.instances["hf*"]'
+        },
+        {
+          severity: "warning",
+          code: "index-out-of-range",
+          message: '"sh9" is outside spec.instances.sh (3)',
+          jsonPath: "$.instances.sh9"
+        }
+      ]);
+      // Behaviour is unchanged apart from the warnings
+      expect(resolved.has("sh9")).toBe(true);
+      expect(resolved.has("idx2")).toBe(true);
+    });
+
+    it("should remove entries repeated by several blocks", () => {
+      const resolved = resolveInstances(
+        {
+          "*": { apps: ["./apps/sh-base-config"] },
+          "sh*": { apps: ["apps/sh-base-config", "./apps/sh-search"] }
+        },
+        spec
+      );
+
+      expect(resolved.get("sh1").apps.map((app) => app.source)).toEqual([
+        "./apps/sh-base-config",
+        "./apps/sh-search"
+      ]);
+    });
+
+    it("should report different sources written to the same path", () => {
+      const diagnostics = createDiagnostics();
+      resolveInstances(
+        {
+          "sh*": {
+            files: { source: "./cm/server.conf", destination: "local" }
+          },
+          sh3: {
+            files: { source: "./sh3/server.conf", destination: "system/local" }
+          }
+        },
+        spec,
+        { diagnostics }
+      );
+
+      expect(diagnostics.items).toEqual([
+        {
+          severity: "warning",
+          code: "output-collision",
+          message:
+            '"./cm/server.conf" ($.instances["sh*"].files) and "./sh3/server.conf" ($.instances.sh3.files) both write sh3/system/local/server.conf',
+          jsonPath: "$.instances.sh3.files",
+          instance: "sh3",
+          outputPath: "system/local/server.conf"
+        }
+      ]);
+    });
+
+    it("should not report files merged on purpose", () => {
+      const diagnostics = createDiagnostics();
+      const resolved = resolveInstances(
+        {
+          "*": { files: { source: "./files/health.conf" } },
+          sh3: { files: { source: "./sh3/health.conf", merge: true } }
+        },
+        spec,
+        { diagnostics }
+      );
+
+      expect(diagnostics.items).toEqual([]);
+      expect(resolved.get("sh3").files).toEqual([
+        { source: "./files/health.conf", destination: "system/local" },
+        {
+          source: "./sh3/health.conf",
+          destination: "system/local",
+          merge: true
+        }
+      ]);
+    });
+
+    it("should report sources outside the course directory once", () => {
+      const diagnostics = createDiagnostics();
+      const resolved = resolveInstances(
+        {
+          "sh*": {
+            apps: ["./apps/sh-base-config", "../../../home/user/.ssh"]
+          },
+          sh1: { datagens: { source: ["/opt/gen.py"], destination: "/opt" } }
+        },
+        spec,
+        { courseDir: fixturesDir, diagnostics }
+      );
+
+      expect(diagnostics.items).toEqual([
+        {
+          severity: "error",
+          code: "source-outside",
+          message:
+            'Source "../../../home/user/.ssh" is outside the course directory and allowedSources',
+          jsonPath: '$.instances["sh*"].apps',
+          source: "../../../home/user/.ssh"
+        },
+        {
+          severity: "error",
+          code: "source-outside",
+          message:
+            'Source "/opt/gen.py" is outside the course directory and allowedSources',
+          jsonPath: "$.instances.sh1.datagens",
+          source: "/opt/gen.py"
+        }
+      ]);
+      expect(resolved.get("sh2").apps.map((app) => app.source)).toEqual([
+        "./apps/sh-base-config"
+      ]);
+      expect(resolved.get("sh1").datagens).toEqual([]);
+    });
+
+    it("should report symlinked sources that point outside the course directory", () => {
+      const courseDir = path.join(fixturesDir, "test-symlinked-source");
+      const outsideDir = path.join(fixturesDir, "test-symlink-target");
+      fs.mkdirSync(path.join(courseDir, "apps", "inside"), { recursive: true });
+      fs.mkdirSync(path.join(outsideDir, "secret"), { recursive: true });
+      fs.symlinkSync(
+        path.join(outsideDir, "secret"),
+        path.join(courseDir, "apps", "linked")
+      );
+      fs.symlinkSync("inside", path.join(courseDir, "apps", "alias"));
+      const diagnostics = createDiagnostics();
+
+      let resolved;
+      try {
+        resolved = resolveInstances(
+          { sh2: { apps: ["./apps/linked", "./apps/alias"] } },
+          spec,
+          { courseDir, diagnostics }
+        );
+      } finally {
+        fs.rmSync(courseDir, { recursive: true, force: true });
+        fs.rmSync(outsideDir, { recursive: true, force: true });
+      }
+
+      expect(diagnostics.items).toEqual([
+        expect.objectContaining({
+          code: "source-outside",
+          source: "./apps/linked"
+        })
+      ]);
+      expect(resolved.get("sh2").apps.map((app) => app.source)).toEqual([
+        "./apps/alias"
+      ]);
+    });
+
+    it("should accept sources in allowed directories", () => {
+      const diagnostics = createDiagnostics();
+      const resolved = resolveInstances(
+        { "sh*": { apps: ["../shared/apps/sh-search"] } },
+        spec,
+        {
+          courseDir: fixturesDir,
+          allowedSources: ["../shared"],
+          diagnostics
+        }
+      );
+
+      expect(diagnostics.items).toEqual([]);
+      expect(resolved.get("sh1").apps).toHaveLength(1);
+    });
+
+    it("should accept sources next to the base manifest that names them", () => {
+      const diagnostics = createDiagnostics();
+      resolveInstances(
+        {
+          "sh*": {
+            files: [
+              {
+                source: ["../_shared/files/health.conf"],
+                destination: "system/local",
+                origin: "../_shared/base-cluster.json"
+              },
+              {
+                source: ["../_shared/files/server.conf"],
+                destination: "system/local",
+                origin: "manifest.json"
+              }
+            ]
+          }
+        },
+        spec,
+        { courseDir: path.join(fixturesDir, "extends-course"), diagnostics }
+      );
+
+      expect(diagnostics.items).toEqual([
+        {
+          severity: "error",
+          code: "source-outside",
+          message:
+            'Source "../_shared/files/server.conf" is outside the course directory and allowedSources (in manifest.json)',
+          jsonPath: '$.instances["sh*"].files',
+          source: "../_shared/files/server.conf"
+        }
+      ]);
+    });
+
+    it("should report destinations outside the instance directory", () => {
+      const diagnostics = createDiagnostics();
+      const resolved = resolveInstances(
+        {
+          "idx*": {
+            apps: { source: ["./apps/idx"], destination: "../../etc" },
+            files: [
+              { source: "./files/a.conf", destination: "../../etc" },
+              { source: "./files/b.conf", destination: "system/../../etc" },
+              { source: "./files/c.conf", destination: "../apps/local" }
+            ]
+          }
+        },
+        spec,
+        { diagnostics }
+      );
+
+      expect(
+        diagnostics.items.map(({ code, destination, jsonPath }) => [
+          code,
+          destination,
+          jsonPath
+        ])
+      ).toEqual([
+        ["destination-outside", "../../etc", '$.instances["idx*"].apps'],
+        ["destination-outside", "../../etc", '$.instances["idx*"].files'],
+        ["destination-outside", "system/../../etc", '$.instances["idx*"].files']
+      ]);
+      expect(resolved.get("idx1").apps).toEqual([]);
+      // system/../apps/local is still inside the instance directory
+      expect(resolved.get("idx1").files.map((file) => file.source)).toEqual([
+        "./files/c.conf"
+      ]);
+    });
+
+    it("should collect globs that match nothing", () => {
+      const diagnostics = createDiagnostics();
+      resolveInstances({ "idx*": { apps: ["./apps/missing-*"] } }, spec, {
+        courseDir: fixturesDir,
+        diagnostics
+      });
+
+      expect(diagnostics.items.map((item) => item.code)).toEqual([
+        "unmatched-glob"
+      ]);
+    });
+  });
+
+  describe("resolveInstances with topology", () => {
+    it("should add topology instances and attach their generated files", () => {
+      const diagnostics = createDiagnostics();
+      const resolved = resolveInstances(
+        { "sh*": { apps: ["./apps/sh-base-config"] } },
+        {
+          instances: { idx: 2, cm: 1, sh: 1 },
+          topology: {
+            indexerCluster: {
+              manager: "cm1",
+              peers: "idx[1-3]",
+              pass4SymmKey: "key"
+            }
+          }
+        },
+        { diagnostics }
+      );
+
+      expect([...resolved.keys()]).toEqual(["sh1", "cm1", "idx1", "idx2"]);
+      expect(Object.keys(resolved.get("idx1").topology)).toEqual([
+        "default/server.conf",
+        "default/inputs.conf"
+      ]);
+      expect(Object.keys(resolved.get("sh1").topology)).toEqual([
+        "default/outputs.conf"
+      ]);
+      expect(diagnostics.items).toEqual([
+        {
+          severity: "warning",
+          code: "index-out-of-range",
+          message:
+            '"idx[1-3]" goes outside spec.instances.idx (2); the instances outside it are left out',
+          jsonPath: "$.spec.topology.indexerCluster.peers"
+        }
+      ]);
+    });
+  });
+
+  describe("resolveInstances with globs", () => {
+    const courseDir = path.join(fixturesDir, "cluster-course");
+
+    it("should expand source globs when given a course directory", () => {
+      const instances = {
+        "cm*": {
+          apps: {
+            source: ["./apps/idx-*"],
+            destination: "manager-apps"
+          },
+          files: {
+            source: ["./files/*.conf"],
+            destination: "system/local"
+          }
+        }
+      };
+      const spec = { instances: { cm: 1 } };
+
+      const resolved = resolveInstances(instances, spec, { courseDir });
+
+      expect(resolved.get("cm1").apps).toEqual([
+        { source: "./apps/idx-base-config", destination: "manager-apps" },
+        { source: "./apps/idx-transforms", destination: "manager-apps" }
+      ]);
+      expect(resolved.get("cm1").files).toEqual([
+        { source: "./files/health.conf", destination: "system/local" }
+      ]);
+    });
+
+    it("should leave globs unexpanded without a course directory", () => {
+      const instances = { cm1: { apps: ["./apps/idx-*"] } };
+
+      const resolved = resolveInstances(instances, { instances: {} });
+
+      expect(resolved.get("cm1").apps[0].source).toBe("./apps/idx-*");
+    });
+  });
+
   describe("updateManifestDate", () => {
     const testDir = path.join(fixturesDir, "test-update-date");
     const testManifestPath = path.join(testDir, "manifest.json");
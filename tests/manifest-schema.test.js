@@ -0,0 +1,138 @@
+import { describe, it, expect } from "vitest";
+import {
+  validateManifest,
+  formatJsonPath,
+  formatValidationError
+} from "../src/lib/manifest-schema.js";
+
+describe("manifest-schema", () => {
+  const validManifest = () => ({
+    metadata: { courseId: "0061", updated: "2026-01-21" },
+    spec: { instances: { idx: 2, sh: 1 } },
+    instances: {
+      "*": {
+        files: { source: ["./files/health.conf"], destination: "system/local" }
+      },
+      "idx*": { apps: ["./apps/idx-base"] },
+      sh1: {
+        apps: [
+          { source: ["./apps/uf-base"], destination: "deployment-apps" },
+          { source: ["./apps/sh-base"], destination: "shcluster/apps" }
+        ],
+        files: { source: "./sh1/server.conf", destination: "local" },
+        datagen: ["TBD"]
+      }
+    }
+  });
+
+  describe("validateManifest", () => {
+    it("should accept every legacy instance shape", () => {
+      expect(validateManifest(validManifest())).toEqual([]);
+    });
+
+    it("should require spec and instances", () => {
+      const errors = validateManifest({ metadata: {} });
+
+      expect(errors.map((error) => error.message)).toEqual([
+        'missing required property "spec"',
+        'missing required property "instances"'
+      ]);
+    });
+
+    it("should reject unknown properties with a JSON path", () => {
+      const manifest = validManifest();
+      manifest.instances["*"].files.destiantion = "system/local";
+
+      const errors = validateManifest(manifest);
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].jsonPath).toBe('$.instances["*"].files.destiantion');
+      expect(errors[0].message).toContain('unknown property "destiantion"');
+    });
+
+    it("should reject instance counts that are not integers", () => {
+      const manifest = validManifest();
+      manifest.spec.instances.idx = "4";
+
+      const errors = validateManifest(manifest);
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].jsonPath).toBe("$.spec.instances.idx");
+      expect(errors[0].message).toBe("must be an integer, got string");
+    });
+
+    it("should report the closest shape for datagen sources", () => {
+      const manifest = validManifest();
+      manifest.instances.sh1.datagen = {
+        source: "./datagens/good-log.py",
+        destination: "/opt/log/"
+      };
+
+      const errors = validateManifest(manifest);
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].jsonPath).toBe("$.instances.sh1.datagen.source");
+      expect(errors[0].message).toBe("must be an array of strings, got string");
+    });
+
+    it("should check datagen run settings", () => {
+      const manifest = validManifest();
+      manifest.instances.sh1.datagen = {
+        source: ["./datagens/good-log.py"],
+        destination: "/opt/log/",
+        schedule: "every 5 minutes",
+        mode: "0755",
+        env: { TZ: "UTC" }
+      };
+
+      const errors = validateManifest(manifest);
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].jsonPath).toBe("$.instances.sh1.datagen.schedule");
+    });
+
+    it("should reject invalid instance selectors", () => {
+      const manifest = validManifest();
+      manifest.instances["idx 1"] = {};
+
+      const errors = validateManifest(manifest);
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].jsonPath).toBe('$.instances["idx 1"]');
+    });
+
+    it("should reject * as a group member", () => {
+      const manifest = validManifest();
+      manifest.spec.groups = { everyone: ["idx*", "*"] };
+
+      const errors = validateManifest(manifest);
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0].jsonPath).toBe("$.spec.groups.everyone[1]");
+    });
+
+    it("should attach positions from a location map", () => {
+      const manifest = validManifest();
+      manifest.spec.instances.idx = -1;
+      const locations = new Map([
+        ["/spec/instances/idx", { value: { line: 4, column: 14 } }]
+      ]);
+
+      const [error] = validateManifest(manifest, { locations });
+
+      expect(error.line).toBe(4);
+      expect(error.column).toBe(14);
+      expect(formatValidationError(error)).toBe(
+        "4:14 $.spec.instances.idx: must be >= 0"
+      );
+    });
+  });
+
+  describe("formatJsonPath", () => {
+    it("should quote keys that are not identifiers", () => {
+      expect(formatJsonPath(["instances", "lm*", "apps", 1, "source"])).toBe(
+        '$.instances["lm*"].apps[1].source'
+      );
+    });
+  });
+});
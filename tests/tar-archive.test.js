@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { execSync } from "child_process";
+import { fileURLToPath } from "url";
+import { createIgnoreRules } from "../src/lib/ignore.js";
+import { getArchiveTime, writeTarGz } from "../src/lib/tar-archive.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Reads the headers of a .tar.gz archive
+function readEntries(archivePath) {
+  const tar = zlib.gunzipSync(fs.readFileSync(archivePath));
+  const text = (offset, length) =>
+    tar
+      .subarray(offset, offset + length)
+      .toString()
+      .replace(/\0.*$/s, "");
+  const entries = [];
+
+  for (let offset = 0; tar[offset] !== 0; ) {
+    const size = parseInt(text(offset + 124, 12), 8);
+    const prefix = text(offset + 345, 155);
+    entries.push({
+      name: prefix ? `${prefix}/${text(offset, 100)}` : text(offset, 100),
+      type: text(offset + 156, 1),
+      mode: text(offset + 100, 8),
+      uid: parseInt(text(offset + 108, 8), 8),
+      gid: parseInt(text(offset + 116, 8), 8),
+      mtime: parseInt(text(offset + 136, 12), 8),
+      ...(size > 0 && { size }),
+      ...(text(offset + 157, 100) && { link: text(offset + 157, 100) })
+    });
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return entries;
+}
+
+describe("tar-archive", () => {
+  const testDir = path.join(__dirname, "fixtures", "test-tar-archive");
+  const appDir = path.join(testDir, "my_app");
+  const archivePath = path.join(testDir, "my_app.tar.gz");
+  const mtime = Date.UTC(2026, 0, 15) / 1000;
+
+  beforeEach(() => {
+    fs.mkdirSync(path.join(appDir, "default"), { recursive: true });
+    fs.mkdirSync(path.join(appDir, "bin"), { recursive: true });
+    fs.writeFileSync(path.join(appDir, "default", "app.conf"), "[ui]\n");
+    fs.writeFileSync(path.join(appDir, "bin", "run.sh"), "#!/bin/sh\n");
+    fs.chmodSync(path.join(appDir, "bin", "run.sh"), 0o775);
+    fs.symlinkSync("../default/app.conf", path.join(appDir, "bin", "conf"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe("writeTarGz", () => {
+    it("should archive sorted entries owned by root with one mtime", async () => {
+      await writeTarGz(testDir, "my_app", archivePath, { mtime });
+
+      expect(readEntries(archivePath)).toEqual([
+        { name: "my_app/", type: "5", mode: "0000755", uid: 0, gid: 0, mtime },
+        {
+          name: "my_app/bin/",
+          type: "5",
+          mode: "0000755",
+          uid: 0,
+          gid: 0,
+          mtime
+        },
+        {
+          name: "my_app/bin/conf",
+          type: "2",
+          mode: "0000777",
+          uid: 0,
+          gid: 0,
+          mtime,
+          link: "../default/app.conf"
+        },
+        {
+          name: "my_app/bin/run.sh",
+          type: "0",
+          mode: "0000755",
+          uid: 0,
+          gid: 0,
+          mtime,
+          size: 10
+        },
+        {
+          name: "my_app/default/",
+          type: "5",
+          mode: "0000755",
+          uid: 0,
+          gid: 0,
+          mtime
+        },
+        {
+          name: "my_app/default/app.conf",
+          type: "0",
+          mode: "0000644",
+          uid: 0,
+          gid: 0,
+          mtime,
+          size: 5
+        }
+      ]);
+      // tar checks each header's checksum while listing
+      expect(
+        execSync("tar -xOzf my_app.tar.gz my_app/default/app.conf", {
+          cwd: testDir,
+          encoding: "utf-8"
+        })
+      ).toBe("[ui]\n");
+    });
+
+    it("should write the same bytes whatever the file times and umask", async () => {
+      await writeTarGz(testDir, "my_app", archivePath, { mtime });
+      const first = fs.readFileSync(archivePath);
+
+      const appConf = path.join(appDir, "default", "app.conf");
+      fs.chmodSync(appConf, 0o664);
+      fs.chmodSync(path.join(appDir, "bin"), 0o775);
+      fs.utimesSync(appConf, new Date(2020, 0, 1), new Date(2020, 0, 1));
+      await writeTarGz(testDir, "my_app", archivePath, { mtime });
+
+      expect(fs.readFileSync(archivePath).equals(first)).toBe(true);
+    });
+
+    it("should leave out ignored content", async () => {
+      fs.writeFileSync(path.join(appDir, "default", "app.conf~"), "");
+
+      await writeTarGz(testDir, "my_app", archivePath, {
+        mtime,
+        ignore: createIgnoreRules(null)
+      });
+
+      expect(readEntries(archivePath).map((entry) => entry.name)).not.toContain(
+        "my_app/default/app.conf~"
+      );
+    });
+
+    it("should split long names between the prefix and name fields", async () => {
+      const deepDir = path.join(appDir, "d".repeat(90), "e".repeat(40));
+      fs.mkdirSync(deepDir, { recursive: true });
+      fs.writeFileSync(path.join(deepDir, "f".repeat(90)), "x");
+
+      await writeTarGz(testDir, "my_app", archivePath, { mtime });
+
+      const listing = execSync("tar -tzf my_app.tar.gz", {
+        cwd: testDir,
+        encoding: "utf-8"
+      });
+      expect(listing).toContain(
+        `my_app/${"d".repeat(90)}/${"e".repeat(40)}/${"f".repeat(90)}\n`
+      );
+    });
+
+    it("should fail on names too long for ustar and remove the archive", async () => {
+      fs.writeFileSync(path.join(appDir, "x".repeat(120)), "");
+
+      await expect(
+        writeTarGz(testDir, "my_app", archivePath, { mtime })
+      ).rejects.toThrow("is too long for a ustar archive");
+      expect(fs.existsSync(archivePath)).toBe(false);
+    });
+  });
+
+  describe("getArchiveTime", () => {
+    it("should prefer SOURCE_DATE_EPOCH", () => {
+      expect(
+        getArchiveTime("2026-01-15", { SOURCE_DATE_EPOCH: "1700000000" })
+      ).toBe(1700000000);
+    });
+
+    it("should use midnight UTC of the updated date", () => {
+      expect(getArchiveTime("2026-01-15", {})).toBe(mtime);
+    });
+
+    it("should fall back to the current time", () => {
+      const now = Math.floor(Date.now() / 1000);
+      expect(getArchiveTime(undefined, {})).toBeGreaterThanOrEqual(now);
+    });
+
+    it("should reject a malformed SOURCE_DATE_EPOCH", () => {
+      expect(() =>
+        getArchiveTime("2026-01-15", { SOURCE_DATE_EPOCH: "yesterday" })
+      ).toThrow(
+        'SOURCE_DATE_EPOCH must be a whole number of seconds, not "yesterday"'
+      );
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import {
+  createTemplateContext,
+  isTemplate,
+  renderTemplate,
+  renderedName
+} from "../src/lib/template.js";
+
+describe("template", () => {
+  const context = createTemplateContext("idx2", ["cm1", "idx1", "idx2"], {
+    metadata: { slug: "cluster-admin" },
+    vars: { pass4SymmKey: "changeme" },
+    env: {}
+  });
+
+  describe("createTemplateContext", () => {
+    it("should describe the instance and group instances by role", () => {
+      expect(context.instance).toEqual({ name: "idx2", role: "idx", index: 2 });
+      expect(context.instances).toEqual(["cm1", "idx1", "idx2"]);
+      expect(context.roles).toEqual({ cm: ["cm1"], idx: ["idx1", "idx2"] });
+    });
+  });
+
+  describe("renderTemplate", () => {
+    it("should render instance values, roles, metadata and vars", () => {
+      const { text, errors } = renderTemplate(
+        [
+          "serverName = ${instance.name}",
+          "site = site${instance.index}",
+          "manager_uri = https://${roles.cm[0]}:8089",
+          "peers = ${roles.idx}",
+          "label = ${metadata.slug}",
+          "pass4SymmKey = ${pass4SymmKey}",
+          "literal = $${not.a.placeholder}"
+        ].join("\n"),
+        context
+      );
+
+      expect(errors).toEqual([]);
+      expect(text).toBe(
+        [
+          "serverName = idx2",
+          "site = site2",
+          "manager_uri = https://cm1:8089",
+          "peers = idx1,idx2",
+          "label = cluster-admin",
+          "pass4SymmKey = changeme",
+          "literal = ${not.a.placeholder}"
+        ].join("\n")
+      );
+    });
+
+    it("should report unresolved placeholders with their line", () => {
+      const { errors } = renderTemplate("[general]\nsite = ${site}", context);
+
+      expect(errors).toEqual([
+        'line 2: undefined variable "site" in "site = ${site}"'
+      ]);
+    });
+  });
+
+  describe("isTemplate and renderedName", () => {
+    it("should recognise .tmpl files and marked entries", () => {
+      expect(isTemplate("server.conf.tmpl")).toBe(true);
+      expect(isTemplate("server.conf")).toBe(false);
+      expect(isTemplate("server.conf", true)).toBe(true);
+      expect(renderedName("server.conf.tmpl")).toBe("server.conf");
+      expect(renderedName("server.conf")).toBe("server.conf");
+    });
+  });
+});
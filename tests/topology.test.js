@@ -0,0 +1,157 @@
+import { describe, it, expect } from "vitest";
+import { buildTopology, getTopologySelectors } from "../src/lib/topology.js";
+
+describe("topology", () => {
+  const spec = {
+    instances: { idx: 2, cm: 1, sh: 2, lm: 1, uf: 1, mc: 1 }
+  };
+  const instanceNames = [
+    "cm1",
+    "idx1",
+    "idx2",
+    "sh1",
+    "sh2",
+    "lm1",
+    "uf1",
+    "mc1"
+  ];
+  const topology = {
+    hostname: "{name}.lab.local",
+    indexerCluster: {
+      manager: "cm1",
+      peers: "idx*",
+      replicationFactor: 2,
+      searchFactor: 2,
+      pass4SymmKey: "idxc-key"
+    },
+    searchHeadCluster: {
+      members: "sh*",
+      deployer: "lm1",
+      pass4SymmKey: "shc-key",
+      label: "shc1"
+    },
+    licenseManager: { server: "lm1" },
+    deploymentServer: { server: "lm1", clients: "uf*" },
+    monitoringConsole: { server: "mc1" }
+  };
+
+  describe("getTopologySelectors", () => {
+    it("should list every selector with its path", () => {
+      expect(
+        getTopologySelectors({
+          indexerCluster: { manager: "cm1", peers: "idx*" },
+          monitoringConsole: { server: "mc1" }
+        })
+      ).toEqual([
+        {
+          segments: ["spec", "topology", "indexerCluster", "manager"],
+          selector: "cm1"
+        },
+        {
+          segments: ["spec", "topology", "indexerCluster", "peers"],
+          selector: "idx*"
+        },
+        {
+          segments: ["spec", "topology", "monitoringConsole", "server"],
+          selector: "mc1"
+        }
+      ]);
+    });
+  });
+
+  describe("buildTopology", () => {
+    const files = buildTopology(topology, spec, instanceNames);
+
+    it("should configure the indexer cluster manager and peers", () => {
+      expect(files.get("cm1")["default/server.conf"]).toBe(
+        [
+          "[clustering]",
+          "mode = manager",
+          "replication_factor = 2",
+          "search_factor = 2",
+          "pass4SymmKey = idxc-key",
+          "",
+          "[license]",
+          "manager_uri = https://lm1.lab.local:8089",
+          ""
+        ].join("\n")
+      );
+      expect(files.get("idx2")["default/server.conf"]).toContain(
+        "[clustering]\nmode = peer\nmanager_uri = https://cm1.lab.local:8089\npass4SymmKey = idxc-key\n\n[replication_port://9887]\n"
+      );
+      expect(files.get("idx2")["default/inputs.conf"]).toBe(
+        "[splunktcp://9997]\ndisabled = 0\n"
+      );
+    });
+
+    it("should make search head cluster members cluster search heads", () => {
+      const serverConf = files.get("sh1")["default/server.conf"];
+
+      expect(serverConf).toContain(
+        "[clustering]\nmode = searchhead\nmanager_uri = https://cm1.lab.local:8089"
+      );
+      expect(serverConf).toContain(
+        [
+          "[shclustering]",
+          "disabled = 0",
+          "mgmt_uri = https://sh1.lab.local:8089",
+          "conf_deploy_fetch_url = https://lm1.lab.local:8089",
+          "pass4SymmKey = shc-key",
+          "shcluster_label = shc1"
+        ].join("\n")
+      );
+      expect(files.get("lm1")["default/server.conf"]).toBe(
+        "[shclustering]\npass4SymmKey = shc-key\nshcluster_label = shc1\n"
+      );
+      expect(files.get("mc1")["default/server.conf"]).toContain(
+        "mode = searchhead"
+      );
+    });
+
+    it("should forward everything but the peers to the indexers", () => {
+      expect(files.get("uf1")["default/outputs.conf"]).toBe(
+        [
+          "[tcpout]",
+          "defaultGroup = indexer_cluster",
+          "",
+          "[tcpout:indexer_cluster]",
+          "server = idx1.lab.local:9997,idx2.lab.local:9997",
+          ""
+        ].join("\n")
+      );
+      expect(files.get("idx1")["default/outputs.conf"]).toBeUndefined();
+    });
+
+    it("should point deployment clients at the deployment server", () => {
+      expect(files.get("uf1")["default/deploymentclient.conf"]).toBe(
+        "[deployment-client]\n\n[target-broker:deploymentServer]\ntargetUri = lm1.lab.local:8089\n"
+      );
+      expect(files.get("sh1")["default/deploymentclient.conf"]).toBeUndefined();
+    });
+
+    it("should select every instance with *", () => {
+      const everyone = buildTopology(
+        { deploymentServer: { server: "lm1", clients: "*" } },
+        spec,
+        instanceNames
+      );
+
+      expect([...everyone.keys()]).toEqual(
+        instanceNames.filter((name) => name !== "lm1")
+      );
+    });
+
+    it("should default hostnames to the instance name", () => {
+      const plain = buildTopology(
+        { licenseManager: { server: "lm1", clients: "idx*" } },
+        spec,
+        instanceNames
+      );
+
+      expect([...plain.keys()]).toEqual(["idx1", "idx2"]);
+      expect(plain.get("idx1")["default/server.conf"]).toBe(
+        "[license]\nmanager_uri = https://lm1:8089\n"
+      );
+    });
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  collectSourcePaths,
+  findAffectedInstances,
+  watchPaths
+} from "../src/lib/watcher.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe("watcher", () => {
+  const courseDir = path.join(__dirname, "fixtures", "test-watch");
+
+  beforeEach(() => {
+    fs.mkdirSync(path.join(courseDir, "apps", "my_app"), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(courseDir, { recursive: true, force: true });
+  });
+
+  const resolvedInstances = new Map([
+    [
+      "idx1",
+      {
+        apps: [{ source: "./apps/my_app", destination: "apps" }],
+        files: [{ source: "./files/server.conf", destination: "local" }],
+        datagens: [{ source: "TBD", destination: null }]
+      }
+    ],
+    [
+      "sh1",
+      {
+        apps: [
+          { source: "./apps/my_app", destination: "apps" },
+          { source: "https://example.com/app.tgz", destination: "apps" }
+        ],
+        files: [],
+        datagens: []
+      }
+    ]
+  ]);
+
+  describe("collectSourcePaths", () => {
+    it("should map local sources to the instances using them", () => {
+      const sources = collectSourcePaths(courseDir, resolvedInstances);
+
+      expect([...sources]).toEqual([
+        [path.join(courseDir, "apps", "my_app"), new Set(["idx1", "sh1"])],
+        [path.join(courseDir, "files", "server.conf"), new Set(["idx1"])]
+      ]);
+    });
+  });
+
+  describe("findAffectedInstances", () => {
+    it("should find the instances using a changed path or its directory", () => {
+      const sources = collectSourcePaths(courseDir, resolvedInstances);
+
+      expect(
+        findAffectedInstances(
+          [path.join(courseDir, "files", "server.conf")],
+          sources
+        )
+      ).toEqual(["idx1"]);
+      expect(
+        findAffectedInstances(
+          [path.join(courseDir, "apps", "my_app", "default", "app.conf")],
+          sources
+        )
+      ).toEqual(["idx1", "sh1"]);
+      expect(
+        findAffectedInstances(
+          [path.join(courseDir, "apps", "my_app2")],
+          sources
+        )
+      ).toEqual([]);
+    });
+  });
+
+  describe("watchPaths", () => {
+    it("should report a burst of changes once", async () => {
+      const appDir = path.join(courseDir, "apps", "my_app");
+      const calls = [];
+      const changed = new Promise((resolve) => {
+        const watcher = watchPaths(
+          [courseDir, path.join(courseDir, "missing")],
+          (paths) => {
+            calls.push(paths);
+            // Give a second call the chance to arrive before checking
+            setTimeout(() => {
+              watcher.close();
+              resolve();
+            }, 200);
+          },
+          {
+            debounceMs: 100,
+            exclude: (changedPath) => changedPath.endsWith(".swp")
+          }
+        );
+
+        fs.writeFileSync(path.join(appDir, "a.conf"), "");
+        fs.writeFileSync(path.join(appDir, "b.conf"), "");
+        fs.writeFileSync(path.join(appDir, ".a.conf.swp"), "");
+      });
+
+      await changed;
+
+      expect(calls).toHaveLength(1);
+      expect(calls[0]).toEqual(
+        expect.arrayContaining([
+          path.join(appDir, "a.conf"),
+          path.join(appDir, "b.conf")
+        ])
+      );
+      expect(calls[0].some((changedPath) => changedPath.endsWith(".swp"))).toBe(
+        false
+      );
+    });
+
+    it("should see changes in directories created while watching", async () => {
+      const newDir = path.join(courseDir, "apps", "new_app", "default");
+      const changed = new Promise((resolve) => {
+        const watcher = watchPaths(
+          [courseDir],
+          (paths) => {
+            if (paths.includes(path.join(newDir, "app.conf"))) {
+              watcher.close();
+              resolve();
+            }
+          },
+          { debounceMs: 50 }
+        );
+
+        fs.mkdirSync(newDir, { recursive: true });
+        // Give the new directories time to be watched
+        setTimeout(
+          () => fs.writeFileSync(path.join(newDir, "app.conf"), ""),
+          200
+        );
+      });
+
+      await changed;
+    });
+
+    it("should throw if a required path can't be watched", () => {
+      const missing = path.join(courseDir, "missing");
+
+      expect(() =>
+        watchPaths([missing], () => {}, { required: [missing] })
+      ).toThrow("ENOENT");
+    });
+  });
+});